@@ -0,0 +1,1227 @@
+/**
+ * @fileoverview An in-memory fake of the SharePoint REST API, for testing
+ * code built on SpRestApi without a SharePoint server. Load it after
+ * sp-rest-api.js, or require() it in Node, and pass its transport to
+ * SpRestApi:
+ *
+ *      var backend = new SpRestApi.FakeBackend({
+ *          lists: { Tasks: [{ Title: 'Write tests', Status: 'Open' }] },
+ *          users: [{ Id: 7, Title: 'John', Email: 'john@example.com' }],
+ *      });
+ *      var api = new SpRestApi({
+ *          siteUrl: 'https://example.com/sites/test',
+ *          listTitle: 'Tasks',
+ *          transport: backend.transport,
+ *      });
+ */
+
+if (typeof SpRestApi === 'undefined' && typeof require === 'function') {
+    var SpRestApi = require('./sp-rest-api.js');
+}
+
+/**
+ * @typedef {Object} FakeBackendFixtures - The initial data of a fake
+ *      backend.
+ * @property {Object.<string, Array.<Object>>} [lists] - The items of each
+ *      list, by the list title. The items get the `Id` in the order given,
+ *      unless they have it already.
+ * @property {Object.<string, Array.<Object>>} [fields] - The columns of each
+ *      list, by the list title, as SP.Field objects with at least the
+ *      `InternalName` and `TypeAsString`. The lists have the Title, ID,
+ *      Created and Modified columns by default.
+ * @property {Array.<Object>} [users] - The users of the site, with at least
+ *      the `Id`, and usually `Title`, `Email` and `LoginName`.
+ * @property {number} [currentUserId] - The ID of the current user. The
+ *      first user by default.
+ * @property {number} [pageSize] - The number of items per page if the
+ *      request has no `$top`. 100 by default, same as SharePoint.
+ */
+
+/**
+ * An in-memory fake of the SharePoint REST API endpoints used by SpRestApi:
+ * the request digest, list information, reading the items with `$select`,
+ * `$filter`, `$expand`, `$orderby`, `$top` and paging, creating, updating and
+ * deleting items (with etags), and reading users. The responses are in the
+ * verbosity requested by the Accept header. Other endpoints respond with
+ * 404 Not Found, among them the batch requests ($batch), creating and
+ * changing lists and columns, attachments, files and folders, the recycle
+ * bin and item versions, changes, permissions, groups, search and the site
+ * (web) properties. See route() for the full list of supported endpoints.
+ * @class
+ * @param {FakeBackendFixtures} [fixtures] - The initial data.
+ */
+SpRestApi.FakeBackend = function (fixtures) {
+    var self = this;
+    fixtures = fixtures || {};
+
+    /**
+     * The lists, keyed by the lower-case list title.
+     * @type {Object.<string, FakeList>}
+     */
+    this.lists = {};
+
+    /**
+     * The users of the site.
+     * @type {Array.<Object>}
+     */
+    this.users = [];
+
+    /**
+     * The ID of the current user.
+     * @type {?number}
+     */
+    this.currentUserId = fixtures.currentUserId || null;
+
+    /**
+     * The number of items per page if the request has no `$top`.
+     * @type {number}
+     */
+    this.pageSize = fixtures.pageSize || 100;
+
+    /**
+     * All requests received, for checking them in the tests.
+     * @type {Array.<TransportRequest>}
+     */
+    this.requests = [];
+
+    /**
+     * The number of request digests issued.
+     * @type {number}
+     */
+    this.digestCount = 0;
+
+    /**
+     * The transport to be passed in the `transport` option of SpRestApi.
+     * @type {Transport}
+     */
+    this.transport = function (request) {
+        return self.handleRequest(request);
+    };
+
+    (fixtures.users || []).forEach(function (user) { self.addUser(user); });
+
+    Object.keys(fixtures.lists || {}).forEach(function (title) {
+        self.addList(title, fixtures.lists[title], {
+            fields: (fixtures.fields || {})[title],
+        });
+    });
+};
+
+/**
+ * @typedef {Object} FakeList - A list of the fake backend.
+ * @property {string} id - The list ID (GUID).
+ * @property {string} title - The list title.
+ * @property {string} url - The server-relative URL, e.g. '/Lists/Tasks'.
+ * @property {string} entityType - The ListItemEntityTypeFullName.
+ * @property {Array.<Object>} fields - The columns, as SP.Field objects.
+ * @property {Array.<Object>} items - The items, with the `Id`, `Created`,
+ *      `Modified` and the internal `__version` which is used for the etags.
+ * @property {number} nextId - The ID of the next new item.
+ */
+
+/**
+ * Adds a list, or replaces the list with the same title.
+ * @param {string} title - The list title.
+ * @param {Array.<Object>} [items] - The items of the list.
+ * @param {{id: string, url: string, entityType: string, fields: Array}}
+ *      [options] - The list ID, the server-relative URL and the
+ *      ListItemEntityTypeFullName, if other than generated from the title,
+ *      and the columns other than the default ones.
+ * @returns {FakeList} The new list.
+ */
+SpRestApi.FakeBackend.prototype.addList = function (title, items, options) {
+    var self = this;
+    options = options || {};
+
+    var list = {
+        id: options.id || SpRestApi.FakeBackend.createGuid(),
+        title: title,
+        url: options.url || '/Lists/' + title.replace(/\s/g, ''),
+        entityType: options.entityType ||
+            SpRestApi.replaceSharepointSpecialChars(
+                'SP.Data.' + title.capitalize() + 'ListItem'),
+        fields: SpRestApi.FakeBackend.getDefaultFields()
+            .concat(options.fields || []).map(function (field) {
+                return SpRestApi.extend({
+                    __metadata: { type: 'SP.Field' },
+                    Title: field.InternalName,
+                    Hidden: false,
+                    ReadOnlyField: false,
+                    Required: false,
+                }, field);
+            }),
+        items: [],
+        nextId: 1,
+    };
+
+    this.lists[title.toLowerCase()] = list;
+
+    (items || []).forEach(function (item) { self.addItem(title, item); });
+
+    return list;
+};
+
+/**
+ * Adds an item to a list directly, without a request.
+ * @param {string} listTitle - The list title.
+ * @param {Object} item - The values of the item. The `Id` is assigned
+ *      automatically, unless the item has it already.
+ * @returns {Object} The stored item.
+ */
+SpRestApi.FakeBackend.prototype.addItem = function (listTitle, item) {
+    var list = this.lists[listTitle.toLowerCase()];
+    var now = new Date().toISOString();
+    var stored = SpRestApi.extend({ Created: now, Modified: now }, item);
+
+    stored.Id = stored.Id || stored.ID || list.nextId;
+    stored.ID = stored.Id;
+    stored.__version = 1;
+    list.nextId = Math.max(list.nextId, stored.Id + 1);
+    list.items.push(stored);
+
+    return stored;
+};
+
+/**
+ * Returns the current items of a list, e.g. to check the result of the
+ * code under test.
+ * @param {string} listTitle - The list title.
+ * @returns {Array.<Object>} Copies of the items, without the internal
+ *      properties.
+ */
+SpRestApi.FakeBackend.prototype.getItems = function (listTitle) {
+    var list = this.lists[listTitle.toLowerCase()];
+    if (!list) { return []; }
+
+    return list.items.map(function (item) {
+        var copy = SpRestApi.extend({}, item);
+        delete copy.__version;
+        return copy;
+    });
+};
+
+/**
+ * Adds a user to the site. The first user is the current user, unless
+ * `currentUserId` was set.
+ * @param {Object} user - The user, with at least the `Id`.
+ * @returns {Object} The stored user.
+ */
+SpRestApi.FakeBackend.prototype.addUser = function (user) {
+    var stored = SpRestApi.extend({
+        Title: 'User ' + user.Id,
+        Email: '',
+        LoginName: 'i:0#.f|membership|user' + user.Id,
+        IsSiteAdmin: false,
+        PrincipalType: 1,
+    }, user);
+
+    this.users.push(stored);
+    if (!this.currentUserId) { this.currentUserId = stored.Id; }
+
+    return stored;
+};
+
+/**
+ * Handles a request sent through the transport of this backend.
+ * @param {TransportRequest} request - The request.
+ * @returns {Promise.<TransportResponse>} A promise resolved with the
+ *      response, like the one from SharePoint.
+ */
+SpRestApi.FakeBackend.prototype.handleRequest = function (request) {
+    var headers = {};
+    Object.keys(request.headers || {}).forEach(function (name) {
+        headers[name.toLowerCase()] = request.headers[name];
+    });
+
+    var context = {
+        method: (headers['x-http-method'] || request.method).toUpperCase(),
+        headers: headers,
+        verbosity: headers.accept || SpRestApi.Verbosity.VERBOSE,
+        body: request.body,
+        url: request.url,
+    };
+
+    this.requests.push(request);
+
+    var index = request.url.toLowerCase().indexOf('/_api/');
+    var queryIndex = request.url.indexOf('?');
+    context.baseUrl = request.url.slice(0, index);
+    context.path = request.url.slice(index + 5,
+        queryIndex === -1 ? undefined : queryIndex);
+    context.query = SpRestApi.FakeBackend.parseQueryString(
+        queryIndex === -1 ? '' : request.url.slice(queryIndex + 1));
+
+    var result;
+    try {
+        result = index === -1 ?
+            this.createErrorResult(404, 'Not found.') :
+            this.route(context);
+    } catch (error) {
+        if (!error.fakeStatus) { return Promise.reject(error); }
+        result = this.createErrorResult(error.fakeStatus, error.message,
+            error.fakeCode);
+    }
+
+    return Promise.resolve(this.createResponse(result, context));
+};
+
+/**
+ * Calls the handler of the requested endpoint. Supported are only:
+ * - POST /contextinfo
+ * - GET /web/GetUserById(id), GET /web/currentuser, POST /web/ensureuser
+ * - the list by its title, ID or URL: GET of the list itself, GET and POST
+ *   of /items, GET, MERGE and DELETE of /items(id), and GET of /fields
+ *
+ * Anything else, e.g. /$batch, /items(id)/recycle(), /items(id)/versions,
+ * /items(id)/AttachmentFiles, POST to /fields, the files and folders,
+ * /search/query or /web itself, responds with 404 Not Found.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The result, with the body in the
+ *      verbose format (see createResponse()).
+ */
+SpRestApi.FakeBackend.prototype.route = function (context) {
+    var path = context.path;
+    var method = context.method;
+    var match;
+
+    if (/^\/contextinfo$/i.test(path) && method === 'POST') {
+        return this.getContextInfo(context);
+    }
+
+    if (method !== 'GET') { this.checkDigest(context); }
+
+    match = /^\/web\/getuserbyid\((\d+)\)$/i.exec(path);
+    if (match && method === 'GET') {
+        return this.getUser(Number(match[1]), context);
+    }
+
+    if (/^\/web\/currentuser$/i.test(path) && method === 'GET') {
+        return this.getUser(this.currentUserId, context);
+    }
+
+    if (/^\/web\/ensureuser$/i.test(path) && method === 'POST') {
+        return this.ensureUser(context);
+    }
+
+    // The list by its title, ID or URL, and the rest of the path
+    match = new RegExp('^/web/(?:lists/getbytitle\\(\'(.*?)\'\\)|' +
+        'lists\\(guid\'(.*?)\'\\)|getlist\\(\'(.*?)\'\\))(.*)$', 'i')
+        .exec(path);
+    if (match) {
+        var list = this.findList(match[1], match[2], match[3]);
+        return this.routeList(list, match[4], context);
+    }
+
+    return this.createErrorResult(404, 'The endpoint ' + path +
+        ' is not supported by the fake backend.');
+};
+
+/**
+ * Calls the handler of a list endpoint.
+ * @param {FakeList} list - The list.
+ * @param {string} path - The rest of the path after the list, e.g.
+ *      '/items(1)'.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The result.
+ */
+SpRestApi.FakeBackend.prototype.routeList = function (list, path, context) {
+    var method = context.method;
+    var match = /^\/items\((\d+)\)$/i.exec(path);
+
+    if (path === '' && method === 'GET') {
+        return { status: 200, body: this.formatList(list, context) };
+    }
+
+    if (/^\/items$/i.test(path) && method === 'GET') {
+        return this.getItemsResult(list, context);
+    }
+
+    if (/^\/fields$/i.test(path) && method === 'GET') {
+        var filter = context.query.$filter ?
+            SpRestApi.FakeBackend.parseFilter(context.query.$filter) : null;
+        return {
+            status: 200,
+            body: {
+                results: list.fields.filter(function (field) {
+                    return !filter || filter(field);
+                }),
+            },
+        };
+    }
+
+    if (/^\/items$/i.test(path) && method === 'POST') {
+        return this.createItemResult(list, context);
+    }
+
+    if (match) {
+        var item = this.findItem(list, Number(match[1]));
+
+        if (method === 'GET') {
+            return {
+                status: 200,
+                body: this.formatItem(list, item, context.query),
+            };
+        } else if (method === 'MERGE') {
+            return this.updateItemResult(list, item, context);
+        } else if (method === 'DELETE') {
+            this.checkEtag(item, context);
+            list.items.splice(list.items.indexOf(item), 1);
+            return { status: 200, body: null };
+        }
+    }
+
+    return this.createErrorResult(404, 'The endpoint ' + context.path +
+        ' is not supported by the fake backend.');
+};
+
+/**
+ * Issues a new request digest.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The context information.
+ */
+SpRestApi.FakeBackend.prototype.getContextInfo = function (context) {
+    this.digestCount++;
+
+    // Same format as SharePoint, e.g. '0x1234...,19 Oct 2017 10:00:00 -0000'
+    var issued = new Date().toUTCString().slice(5).replace('GMT', '-0000');
+
+    return {
+        status: 200,
+        body: {
+            GetContextWebInformation: {
+                __metadata: { type: 'SP.ContextWebInformation' },
+                FormDigestTimeoutSeconds: 1800,
+                FormDigestValue: '0xFAKE' + this.digestCount + ',' + issued,
+                LibraryVersion: '16.0.0.0',
+                SiteFullUrl: context.baseUrl,
+                WebFullUrl: context.baseUrl,
+            },
+        },
+    };
+};
+
+/**
+ * Rejects the write requests without a request digest, same as SharePoint.
+ * @param {Object} context - The parsed request.
+ */
+SpRestApi.FakeBackend.prototype.checkDigest = function (context) {
+    if (!context.headers['x-requestdigest']) {
+        throw SpRestApi.FakeBackend.createError(403, 'The security ' +
+            'validation for this page is invalid and might be corrupted. ' +
+            'Please use your web browser\'s Back button to try your ' +
+            'operation again.',
+            '-2130575251, Microsoft.SharePoint.SPException');
+    }
+};
+
+/**
+ * Rejects the request if its IF-MATCH header does not match the etag of the
+ * item.
+ * @param {Object} item - The stored item.
+ * @param {Object} context - The parsed request.
+ */
+SpRestApi.FakeBackend.prototype.checkEtag = function (item, context) {
+    var expected = context.headers['if-match'];
+    var etag = '"' + item.__version + '"';
+
+    if (expected && expected !== '*' && expected !== etag) {
+        throw SpRestApi.FakeBackend.createError(412, 'The request ETag ' +
+            'value \'' + expected + '\' does not match the object\'s ETag ' +
+            'value \'' + etag + '\'.',
+            '-1, Microsoft.SharePoint.Client.ClientServiceException');
+    }
+};
+
+/**
+ * Finds a list by its title, ID or server-relative URL.
+ * @param {string} [title] - The list title, URL-encoded.
+ * @param {string} [id] - The list ID.
+ * @param {string} [url] - The server-relative URL, URL-encoded.
+ * @returns {FakeList} The list.
+ */
+SpRestApi.FakeBackend.prototype.findList = function (title, id, url) {
+    var self = this;
+    var decode = function (value) {
+        return decodeURIComponent(value).replace(/''/g, '\'');
+    };
+
+    var list = Object.keys(this.lists).map(function (key) {
+        return self.lists[key];
+    }).filter(function (list) {
+        if (title !== undefined) {
+            return list.title.toLowerCase() === decode(title).toLowerCase();
+        } else if (id !== undefined) {
+            return list.id.toLowerCase() === id.toLowerCase();
+        }
+
+        // The URL may be either server-relative or relative to the site
+        var path = decode(url).toLowerCase().replace(/\/+$/, '');
+        return path.slice(-list.url.length) === list.url.toLowerCase();
+    })[0];
+
+    if (!list) {
+        throw SpRestApi.FakeBackend.createError(404, 'List \'' +
+            decode(title || id || url) + '\' does not exist at site.',
+            '-1, System.ArgumentException');
+    }
+
+    return list;
+};
+
+/**
+ * Finds an item by its ID.
+ * @param {FakeList} list - The list.
+ * @param {number} id - The item ID.
+ * @returns {Object} The stored item.
+ */
+SpRestApi.FakeBackend.prototype.findItem = function (list, id) {
+    var item = list.items.filter(function (item) {
+        return item.Id === id;
+    })[0];
+
+    if (!item) {
+        throw SpRestApi.FakeBackend.createError(404, 'Item does not exist. ' +
+            'It may have been deleted by another user.',
+            '-2130575338, Microsoft.SharePoint.SPException');
+    }
+
+    return item;
+};
+
+/**
+ * Returns a page of the items matching the query.
+ * @param {FakeList} list - The list.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The items, with the URL of the
+ *      next page.
+ */
+SpRestApi.FakeBackend.prototype.getItemsResult = function (list, context) {
+    var self = this;
+    var query = context.query;
+    var filter = query.$filter ?
+        SpRestApi.FakeBackend.parseFilter(query.$filter) : null;
+    var items = list.items.filter(function (item) {
+        return !filter || filter(self.expandItem(item));
+    });
+
+    if (query.$orderby) {
+        items = SpRestApi.FakeBackend.sortItems(items, query.$orderby);
+    }
+
+    // Continue after the last item of the previous page
+    var start = Number(query.$skip) || 0;
+    var token = /p_ID=(\d+)/.exec(query.$skiptoken || '');
+    if (token) {
+        items.some(function (item, i) {
+            start = i + 1;
+            return item.Id === Number(token[1]);
+        });
+    }
+
+    var top = Number(query.$top) || this.pageSize;
+    var page = items.slice(start, start + top);
+    var body = {
+        results: page.map(function (item) {
+            return self.formatItem(list, item, query);
+        }),
+    };
+
+    if (start + top < items.length) {
+        body.__next = context.url.replace(/[?&]\$skiptoken=[^&]*/, '') +
+            (context.url.indexOf('?') === -1 ? '?' : '&') + '$skiptoken=' +
+            encodeURIComponent('Paged=TRUE&p_ID=' + page[page.length - 1].Id);
+    }
+
+    return { status: 200, body: body };
+};
+
+/**
+ * Creates an item from the request body.
+ * @param {FakeList} list - The list.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The created item.
+ */
+SpRestApi.FakeBackend.prototype.createItemResult = function (list, context) {
+    var values = this.parseItemBody(list, context);
+    delete values.Id;
+    delete values.ID;
+
+    var item = this.addItem(list.title, values);
+
+    return { status: 201, body: this.formatItem(list, item, {}) };
+};
+
+/**
+ * Updates an item from the request body.
+ * @param {FakeList} list - The list.
+ * @param {Object} item - The stored item.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The empty result.
+ */
+SpRestApi.FakeBackend.prototype.updateItemResult = function (list, item,
+    context) {
+    this.checkEtag(item, context);
+
+    var values = this.parseItemBody(list, context);
+    delete values.Id;
+    delete values.ID;
+
+    SpRestApi.extend(item, values);
+    item.Modified = new Date().toISOString();
+    item.__version++;
+
+    return { status: 204, body: null };
+};
+
+/**
+ * Parses the JSON body of a create or update request, and checks the
+ * entity type if specified.
+ * @param {FakeList} list - The list.
+ * @param {Object} context - The parsed request.
+ * @returns {Object} The values, without the metadata.
+ */
+SpRestApi.FakeBackend.prototype.parseItemBody = function (list, context) {
+    var body = SpRestApi.parseJson(context.body) || {};
+    var type = (body.__metadata && body.__metadata.type) ||
+        body['odata.type'] || body['@odata.type'];
+
+    if (type && type !== list.entityType) {
+        throw SpRestApi.FakeBackend.createError(400, 'A type named \'' +
+            type + '\' could not be resolved by the model.',
+            '-1, Microsoft.SharePoint.Client.InvalidClientQueryException');
+    }
+
+    var values = {};
+    Object.keys(body).forEach(function (key) {
+        if (key === '__metadata' || SpRestApi.isODataAnnotation(key)) {
+            return;
+        }
+
+        var value = body[key];
+        values[key] = value && value.results instanceof Array ?
+            value.results : value;
+    });
+
+    return values;
+};
+
+/**
+ * Returns a user by the ID.
+ * @param {number} id - The user ID.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The user.
+ */
+SpRestApi.FakeBackend.prototype.getUser = function (id, context) {
+    var user = this.findUser(id);
+
+    if (!user) {
+        return this.createErrorResult(404, 'User cannot be found.',
+            '-2146232832, Microsoft.SharePoint.SPException');
+    }
+
+    var result = SpRestApi.extend({
+        __metadata: { type: 'SP.User' },
+    }, user);
+
+    if (/\bGroups\b/.test(context.query.$expand || '')) {
+        result.Groups = { results: user.Groups || [] };
+    } else {
+        delete result.Groups;
+    }
+
+    return { status: 200, body: result };
+};
+
+/**
+ * Returns a user by the login name or email in the request body. Unlike
+ * SharePoint, the user must already be in the fake backend.
+ * @param {Object} context - The parsed request.
+ * @returns {{status: number, body: any}} The user.
+ */
+SpRestApi.FakeBackend.prototype.ensureUser = function (context) {
+    var body = SpRestApi.parseJson(context.body) || {};
+    var name = String(body.logonName || '').toLowerCase();
+    var user = this.users.filter(function (user) {
+        return String(user.LoginName).toLowerCase() === name ||
+            String(user.Email).toLowerCase() === name ||
+            String(user.LoginName).toLowerCase().split('|').pop() === name;
+    })[0];
+
+    return this.getUser(user ? user.Id : null, context);
+};
+
+/**
+ * Finds a user by the ID.
+ * @param {number} id - The user ID.
+ * @returns {?Object} The stored user, or null if not found.
+ */
+SpRestApi.FakeBackend.prototype.findUser = function (id) {
+    return this.users.filter(function (user) {
+        return user.Id === id;
+    })[0] || null;
+};
+
+/**
+ * Returns the information about a list.
+ * @param {FakeList} list - The list.
+ * @returns {Object} The list in the verbose format.
+ */
+SpRestApi.FakeBackend.prototype.formatList = function (list) {
+    return {
+        __metadata: { type: 'SP.List' },
+        Id: list.id,
+        Title: list.title,
+        ItemCount: list.items.length,
+        ListItemEntityTypeFullName: list.entityType,
+    };
+};
+
+/**
+ * Returns a copy of the item with the people and lookup columns expanded
+ * into objects: `AuthorId` becomes `Author` with the user, unless the item
+ * has the object already.
+ * @param {Object} item - The stored item.
+ * @returns {Object} The copy of the item.
+ */
+SpRestApi.FakeBackend.prototype.expandItem = function (item) {
+    var self = this;
+    var result = SpRestApi.extend({}, item);
+
+    Object.keys(item).forEach(function (key) {
+        var name = key.replace(/Id$/, '');
+        if (name === key || name === '' || result[name] !== undefined) {
+            return;
+        }
+
+        var ids = item[key];
+        if (ids instanceof Array) {
+            result[name] = ids.map(function (id) {
+                return self.findUser(id) || { Id: id };
+            });
+        } else if (typeof ids === 'number') {
+            result[name] = self.findUser(ids) || { Id: ids };
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Formats an item for the response: applies `$select` and `$expand`, and
+ * adds the metadata.
+ * @param {FakeList} list - The list.
+ * @param {Object} item - The stored item.
+ * @param {Object.<string, string>} query - The query string parameters.
+ * @returns {Object} The item in the verbose format.
+ */
+SpRestApi.FakeBackend.prototype.formatItem = function (list, item, query) {
+    var expanded = this.expandItem(item);
+    var split = function (value) {
+        return value ? value.split(',').map(function (part) {
+            return part.trim();
+        }).filter(Boolean) : [];
+    };
+    var select = split(query.$select);
+    var expand = split(query.$expand);
+    var isSelected = function (key) {
+        return select.length === 0 || select.indexOf('*') !== -1 ||
+            select.indexOf(key) !== -1;
+    };
+    var result = {
+        __metadata: {
+            id: 'Web/Lists(guid\'' + list.id + '\')/Items(' + item.Id + ')',
+            uri: 'Web/Lists(guid\'' + list.id + '\')/Items(' + item.Id + ')',
+            etag: '"' + item.__version + '"',
+            type: list.entityType,
+        },
+    };
+
+    Object.keys(item).forEach(function (key) {
+        var value = item[key];
+
+        if (key === '__version' || !isSelected(key)) { return; }
+
+        // Object values are only returned if expanded
+        if (value && typeof value === 'object' && !(value instanceof Array)) {
+            return;
+        }
+
+        result[key] = value instanceof Array ? { results: value } : value;
+    });
+
+    expand.forEach(function (name) {
+        var fields = select.filter(function (key) {
+            return key.indexOf(name + '/') === 0;
+        }).map(function (key) {
+            return key.slice(name.length + 1);
+        });
+        var pick = function (value) {
+            if (!value || fields.length === 0) { return value; }
+
+            var picked = {};
+            fields.forEach(function (field) { picked[field] = value[field]; });
+            return picked;
+        };
+        var value = expanded[name];
+
+        if (value === undefined) { return; }
+
+        result[name] = value instanceof Array ?
+            { results: value.map(pick) } : pick(value);
+    });
+
+    return result;
+};
+
+/**
+ * Creates the result of a failed request.
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {string} [code] - The SharePoint error code.
+ * @returns {{status: number, body: any}} The result.
+ */
+SpRestApi.FakeBackend.prototype.createErrorResult = function (status,
+    message, code) {
+    return {
+        status: status,
+        error: {
+            code: code ||
+                '-1, Microsoft.SharePoint.Client.ResourceNotFoundException',
+            message: { lang: 'en-US', value: message },
+        },
+    };
+};
+
+/**
+ * Converts a result into a TransportResponse in the requested verbosity.
+ * The results are created in the verbose format, and converted to the
+ * minimal or no metadata format here.
+ * @param {{status: number, body: any, error: Object}} result - The result.
+ * @param {Object} context - The parsed request.
+ * @returns {TransportResponse} The response.
+ */
+SpRestApi.FakeBackend.prototype.createResponse = function (result, context) {
+    var verbosity = context.verbosity;
+    var isVerbose = verbosity.indexOf('verbose') !== -1;
+    var body;
+
+    if (result.error) {
+        body = isVerbose ?
+            { error: result.error } : { 'odata.error': result.error };
+    } else if (result.body !== null && result.body !== undefined) {
+        body = isVerbose ? { d: result.body } :
+            SpRestApi.FakeBackend.toLightFormat(result.body,
+                verbosity.indexOf('minimal') !== -1, context.baseUrl);
+    }
+
+    var text = body === undefined ? '' : JSON.stringify(body);
+
+    return {
+        status: result.status,
+        statusText: String(result.status),
+        responseText: text,
+        response: text,
+        getResponseHeader: function (name) {
+            return /^content-type$/i.test(name) && text ?
+                'application/json;odata=' + verbosity.split('=')[1] +
+                    ';charset=utf-8' :
+                null;
+        },
+    };
+};
+
+/**
+ * Converts a body in the verbose format into the minimal metadata or no
+ * metadata format.
+ * @param {any} body - The body in the verbose format, without the `d`.
+ * @param {boolean} isMinimal - Keep the odata annotations.
+ * @param {string} baseUrl - The site URL, for the `odata.metadata`.
+ * @returns {any} The converted body.
+ * @static
+ */
+SpRestApi.FakeBackend.toLightFormat = function (body, isMinimal, baseUrl) {
+    var convert = function (entity) {
+        if (entity instanceof Array) { return entity.map(convert); }
+        if (!entity || typeof entity !== 'object') { return entity; }
+        if (entity.results instanceof Array) {
+            return convert(entity.results);
+        }
+
+        var result = {};
+        var metadata = entity.__metadata;
+
+        if (metadata && isMinimal) {
+            result['odata.type'] = metadata.type;
+            if (metadata.id) { result['odata.id'] = metadata.id; }
+            if (metadata.etag) { result['odata.etag'] = metadata.etag; }
+            if (metadata.uri) { result['odata.editLink'] = metadata.uri; }
+        }
+
+        Object.keys(entity).forEach(function (key) {
+            if (key !== '__metadata' && key !== '__next') {
+                result[key] = convert(entity[key]);
+            }
+        });
+
+        return result;
+    };
+
+    var result;
+
+    if (body.results instanceof Array) {
+        result = { value: convert(body.results) };
+        if (body.__next) { result['odata.nextLink'] = body.__next; }
+    } else {
+        var keys = Object.keys(body);
+
+        // Function results are not wrapped in the light formats
+        result = !body.__metadata && keys.length === 1 ?
+            convert(body[keys[0]]) : convert(body);
+    }
+
+    if (isMinimal) {
+        result['odata.metadata'] = baseUrl + '/_api/$metadata';
+    }
+
+    return result;
+};
+
+/**
+ * Returns the columns which every list has.
+ * @returns {Array.<Object>} The SP.Field objects.
+ * @static
+ */
+SpRestApi.FakeBackend.getDefaultFields = function () {
+    return [
+        { InternalName: 'ID', TypeAsString: 'Counter', ReadOnlyField: true },
+        { InternalName: 'Title', TypeAsString: 'Text' },
+        { InternalName: 'Created', TypeAsString: 'DateTime',
+            ReadOnlyField: true },
+        { InternalName: 'Modified', TypeAsString: 'DateTime',
+            ReadOnlyField: true },
+    ];
+};
+
+/**
+ * Creates an error which is converted into an error response by
+ * handleRequest().
+ * @param {number} status - The HTTP status.
+ * @param {string} message - The error message.
+ * @param {string} [code] - The SharePoint error code.
+ * @returns {Error} The error.
+ * @static
+ */
+SpRestApi.FakeBackend.createError = function (status, message, code) {
+    var error = new Error(message);
+    error.fakeStatus = status;
+    error.fakeCode = code;
+    return error;
+};
+
+/**
+ * Generates a random GUID for the list IDs.
+ * @returns {string} The GUID.
+ * @static
+ */
+SpRestApi.FakeBackend.createGuid = function () {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g,
+        function (c) {
+            var r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+};
+
+/**
+ * Parses a query string into the parameters. The `$filter` and the other
+ * OData parameters are decoded.
+ * @param {string} queryString - The query string without the '?'.
+ * @returns {Object.<string, string>} The parameters.
+ * @static
+ */
+SpRestApi.FakeBackend.parseQueryString = function (queryString) {
+    var result = {};
+
+    queryString.split('&').forEach(function (param) {
+        if (!param) { return; }
+
+        var index = param.indexOf('=');
+        var name = index === -1 ? param : param.slice(0, index);
+        var value = index === -1 ? '' : param.slice(index + 1);
+
+        result[decodeURIComponent(name)] = decodeURIComponent(value);
+    });
+
+    return result;
+};
+
+/**
+ * Sorts the items by an `$orderby` expression, e.g. 'Status,Modified desc'.
+ * @param {Array.<Object>} items - The items.
+ * @param {string} orderBy - The `$orderby` expression.
+ * @returns {Array.<Object>} The sorted copy of the items.
+ * @static
+ */
+SpRestApi.FakeBackend.sortItems = function (items, orderBy) {
+    var orders = orderBy.split(',').map(function (part) {
+        var words = part.trim().split(/\s+/);
+        return {
+            field: words[0],
+            direction: (words[1] || '').toLowerCase() === 'desc' ? -1 : 1,
+        };
+    });
+
+    return items.slice().sort(function (a, b) {
+        for (var i = 0; i < orders.length; i++) {
+            var order = orders[i];
+            var result = SpRestApi.FakeBackend.compareValues(
+                a[order.field], b[order.field]);
+
+            if (result !== 0) { return result * order.direction; }
+        }
+
+        return a.Id - b.Id;
+    });
+};
+
+/**
+ * Compares two values of a column, same as SharePoint: empty values first,
+ * dates by the time, and Yes/No values as 1 and 0.
+ * @param {any} a - The first value.
+ * @param {any} b - The second value.
+ * @returns {number} A negative number if `a` is first, a positive number if
+ *      `b` is first, or 0 if they are equal.
+ * @static
+ */
+SpRestApi.FakeBackend.compareValues = function (a, b) {
+    var normalize = function (value, other) {
+        if (typeof value === 'boolean') { return value ? 1 : 0; }
+        if (value instanceof Date) { return value.getTime(); }
+        if (other instanceof Date && typeof value === 'string') {
+            return Date.parse(value);
+        }
+        return value;
+    };
+
+    var x = normalize(a, b);
+    var y = normalize(b, a);
+
+    if (x === y) { return 0; }
+    if (x === null || x === undefined) { return -1; }
+    if (y === null || y === undefined) { return 1; }
+
+    return x < y ? -1 : (x > y ? 1 : 0);
+};
+
+/**
+ * Parses an OData `$filter` expression into a function. Supports the
+ * comparison operators, `and`, `or`, `not`, parentheses, and the
+ * `startswith()` and `substringof()` functions, with strings, numbers,
+ * `true`, `false`, `null` and `datetime'...'` values. Lookup columns are
+ * compared as `Author/Title eq 'John'`.
+ * @param {string} filter - The `$filter` expression.
+ * @returns {Function} A function which returns true if an item matches.
+ * @static
+ */
+SpRestApi.FakeBackend.parseFilter = function (filter) {
+    var tokens = SpRestApi.FakeBackend.tokenizeFilter(filter);
+    var position = 0;
+    var compare = SpRestApi.FakeBackend.compareValues;
+
+    var peek = function () { return tokens[position]; };
+    var isWord = function (word) {
+        var token = peek();
+        return token && token.type === 'name' &&
+            token.value.toLowerCase() === word;
+    };
+    var next = function (type) {
+        var token = tokens[position++];
+        if (!token || (type && token.type !== type)) {
+            throw SpRestApi.FakeBackend.createError(400, 'The expression "' +
+                filter + '" is not valid.',
+                '-1, Microsoft.SharePoint.Client.InvalidClientQueryException');
+        }
+        return token;
+    };
+
+    // Empty values are only equal to null, and are not less or greater
+    var isEmpty = function (a, b) {
+        return a === null || a === undefined || b === null || b === undefined;
+    };
+    var operators = {
+        eq: function (a, b) { return compare(a, b) === 0; },
+        ne: function (a, b) { return compare(a, b) !== 0; },
+        lt: function (a, b) { return !isEmpty(a, b) && compare(a, b) < 0; },
+        le: function (a, b) { return !isEmpty(a, b) && compare(a, b) <= 0; },
+        gt: function (a, b) { return !isEmpty(a, b) && compare(a, b) > 0; },
+        ge: function (a, b) { return !isEmpty(a, b) && compare(a, b) >= 0; },
+    };
+
+    var functions = {
+        startswith: function (text, prefix) {
+            return String(text || '').indexOf(prefix) === 0;
+        },
+        substringof: function (part, text) {
+            return String(text || '').indexOf(part) !== -1;
+        },
+    };
+
+    var parseOperand = function () {
+        var token = next();
+
+        if (token.type === 'value') {
+            return function () { return token.value; };
+        }
+
+        if (token.type !== 'name') { next('invalid'); }
+
+        var name = token.value;
+        if (peek() && peek().type === '(') {
+            next('(');
+            var args = [parseOperand()];
+            while (peek() && peek().type === ',') {
+                next(',');
+                args.push(parseOperand());
+            }
+            next(')');
+
+            var fn = functions[name.toLowerCase()];
+            if (!fn) { next('invalid'); }
+
+            return function (item) {
+                return fn.apply(null, args.map(function (arg) {
+                    return arg(item);
+                }));
+            };
+        }
+
+        var path = name.split('/');
+        return function (item) {
+            return path.reduce(function (value, key) {
+                return value === null || value === undefined ?
+                    value : value[key];
+            }, item);
+        };
+    };
+
+    var parseOr;
+
+    var parseUnary = function () {
+        if (isWord('not')) {
+            next();
+            var operand = parseUnary();
+            return function (item) { return !operand(item); };
+        }
+
+        if (peek() && peek().type === '(') {
+            next('(');
+            var group = parseOr();
+            next(')');
+            return group;
+        }
+
+        var left = parseOperand();
+        var token = peek();
+        var operator = token && token.type === 'name' &&
+            operators[token.value.toLowerCase()];
+
+        if (!operator) { return left; }
+
+        next();
+        var right = parseOperand();
+        return function (item) { return operator(left(item), right(item)); };
+    };
+
+    var parseAnd = function () {
+        var left = parseUnary();
+        while (isWord('and')) {
+            next();
+            left = (function (a, b) {
+                return function (item) { return a(item) && b(item); };
+            })(left, parseUnary());
+        }
+        return left;
+    };
+
+    parseOr = function () {
+        var left = parseAnd();
+        while (isWord('or')) {
+            next();
+            left = (function (a, b) {
+                return function (item) { return a(item) || b(item); };
+            })(left, parseAnd());
+        }
+        return left;
+    };
+
+    var result = parseOr();
+    if (position < tokens.length) { next('invalid'); }
+
+    return function (item) { return Boolean(result(item)); };
+};
+
+/**
+ * Splits an OData `$filter` expression into tokens.
+ * @param {string} filter - The `$filter` expression.
+ * @returns {Array.<{type: string, value: any}>} The tokens: 'name' for the
+ *      column names, operators and functions, 'value' for the literals, and
+ *      '(', ')' and ','.
+ * @static
+ */
+SpRestApi.FakeBackend.tokenizeFilter = function (filter) {
+    var pattern = new RegExp([
+        '\\s+',
+        'datetime\'([^\']*)\'',
+        '\'((?:[^\']|\'\')*)\'',
+        '(-?\\d+(?:\\.\\d+)?)(?![\\w/])',
+        '([()\\,])',
+        '([\\w/.]+)',
+    ].join('|'), 'g');
+    var literals = { 'true': true, 'false': false, 'null': null };
+    var tokens = [];
+    var position = 0;
+    var match;
+
+    while ((match = pattern.exec(filter)) !== null) {
+        // Characters which do not belong to any token
+        if (match.index !== position) {
+            throw SpRestApi.FakeBackend.createError(400, 'The expression "' +
+                filter + '" is not valid.',
+                '-1, Microsoft.SharePoint.Client.InvalidClientQueryException');
+        }
+        position = pattern.lastIndex;
+
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'value', value: new Date(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({
+                type: 'value',
+                value: match[2].replace(/''/g, '\''),
+            });
+        } else if (match[3] !== undefined) {
+            tokens.push({ type: 'value', value: Number(match[3]) });
+        } else if (match[4] !== undefined) {
+            tokens.push({ type: match[4] });
+        } else if (match[5] !== undefined) {
+            var word = match[5].toLowerCase();
+            tokens.push(literals.hasOwnProperty(word) ?
+                { type: 'value', value: literals[word] } :
+                { type: 'name', value: match[5] });
+        }
+    }
+
+    if (position !== filter.length) {
+        throw SpRestApi.FakeBackend.createError(400, 'The expression "' +
+            filter + '" is not valid.',
+            '-1, Microsoft.SharePoint.Client.InvalidClientQueryException');
+    }
+
+    return tokens;
+};
+
+
+/* Module export for Node and bundlers
+-----------------------------*/
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpRestApi.FakeBackend;
+}
@@ -18,28 +18,107 @@ var SpRestApi = function (options) {
      * The default options that will be used unless overridden.
      * @type {SpRestApiOptions}
      */
-    var digestField = document.getElementById('__REQUESTDIGEST');
+    // Outside a SharePoint page (e.g. in Node) neither of these exists.
+    var digestField = typeof document !== 'undefined' ?
+        document.getElementById('__REQUESTDIGEST') : null;
+    var pageContext = typeof _spPageContextInfo !== 'undefined' ?
+        _spPageContextInfo : null;
+
     this.defaultOptions = {
+        autoRefreshDigest: true,
+        batchSize: 100,
+        cache: false,
+        cacheTtl: 60000,
         expand: [],
+        fileChunkSize: 10 * 1024 * 1024,
         filters: [],
+        headers: {},
         listTitle: '',
+        maxConcurrentRequests: 6,
         maxItems: 100,
-        onsuccess: console.log,
-        onerror: console.log,
+        maxTotalItems: 0,
+        maxRetries: 3,
+        maxRetryDelay: 60000,
+        normalize: false,
+        onsuccess: null,
+        onerror: null,
+        onprogress: null,
         recursiveFetch: true,
+        retryDelay: 1000,
         select: [],
-        siteUrl: _spPageContextInfo ? _spPageContextInfo.webAbsoluteUrl : '',
+        signal: null,
+        siteUrl: pageContext ? pageContext.webAbsoluteUrl : '',
         token: digestField ? digestField.value : '',
+        transport: null,
+        typedFields: false,
         urls: {
+            batch: '/_api/$batch',
             context: '/_api/contextinfo',
-            list: '/_api/web/lists/getbytitle(\'{0}\')/items',
-            item: '/_api/web/lists/getbytitle(\'{0}\')/items({1})',
+            currentUser: '/_api/web/currentuser',
+            ensureUser: '/_api/web/ensureuser',
+            file: '/_api/web/GetFileByServerRelativeUrl(\'{0}\')',
+            folder: '/_api/web/GetFolderByServerRelativeUrl(\'{0}\')',
+            folders: '/_api/web/folders',
+            groups: '/_api/web/sitegroups',
+            list: '{0}/items',
+            listById: '/_api/web/lists(guid\'{0}\')',
+            listByUrl: '/_api/web/GetList(\'{0}\')',
+            listInfo: '/_api/web/lists/getbytitle(\'{0}\')',
+            lists: '/_api/web/lists',
+            item: '{0}/items({1})',
+            peoplePicker: '/_api/SP.UI.ApplicationPages.' +
+                'ClientPeoplePickerWebServiceInterface.' +
+                'clientPeoplePickerSearchUser',
+            processQuery: '/_vti_bin/client.svc/ProcessQuery',
+            recycleBin: '/_api/web/RecycleBin',
+            roleDefinitions: '/_api/web/roledefinitions',
+            search: '/_api/search/query',
+            siteUsers: '/_api/web/siteusers',
             user: '/_api/Web/GetUserById({0})?$expand=Groups',
+            web: '/_api/web',
         },
         verbosity: SpRestApi.Verbosity.VERBOSE,
     };
 
-    this.options = $.extend(this.defaultOptions, options);
+    this.options = SpRestApi.extend({}, this.defaultOptions, options);
+
+    /**
+     * The request digests of each site, keyed by the site URL.
+     * @type {Object.<string, DigestState>}
+     */
+    this.digests = {};
+
+    /**
+     * The number of requests in progress, and the requests waiting for a
+     * free slot. See `options.maxConcurrentRequests`.
+     * @type {{active: number, queue: Array.<Function>}}
+     */
+    this.requestLimiter = { active: 0, queue: [] };
+
+    /**
+     * The column definitions of the lists, keyed by the list URL. Used when
+     * `options.typedFields` is on.
+     * @type {Object.<string, Promise.<Array.<FieldInfo>>>}
+     */
+    this.fieldCache = {};
+
+    /**
+     * The ListItemEntityTypeFullName of the lists, keyed by the list URL.
+     * @type {Object.<string, Promise.<string>>}
+     */
+    this.entityTypeCache = {};
+
+    /**
+     * The cached responses, used when `options.cache` is 'memory'.
+     * @type {SpRestApi.MemoryStorage}
+     */
+    this.memoryCache = new SpRestApi.MemoryStorage();
+
+    /**
+     * The cached GET requests in progress, keyed by the cache key.
+     * @type {Object.<string, Promise.<string>>}
+     */
+    this.pendingRequests = {};
 };
 
 /**
@@ -65,44 +144,104 @@ SpRestApi.Verbosity = {
 /**
  * @typedef {Object} SpRestApiOptions - The options passed to methods
  *      inside the SpRestApi class.
+ * @property {boolean} [autoRefreshDigest] - Obtain the request digest before
+ *      the first write request, refresh it before it expires, and retry once
+ *      if the server rejects it. Enabled by default.
+ * @property {number} [batchSize] - The maximum number of operations sent in
+ *      a single $batch request. Larger batches are split into several
+ *      requests. SharePoint Online allows up to 100.
+ * @property {boolean|string|Storage} [cache] - Cache the responses of the
+ *      GET requests for `cacheTtl`: true or 'memory' to keep them in memory,
+ *      'session' or 'local' to use sessionStorage or localStorage, or a
+ *      Storage-like object. Identical requests in progress are sent once.
+ *      The cached responses of a list are removed after writing to it or
+ *      to its columns, and those of all lists after writing a file or
+ *      folder, or creating or deleting a list.
+ * @property {number} [cacheTtl] - How long the responses are cached, in
+ *      milliseconds. Defaults to one minute.
  * @property {string|Array.<string>} [expand] - The columns to be expanded,
  *      e.g. lookup columns or people/group columns. Use internal column names
  *      instead of display names.
+ * @property {number} [fileChunkSize] - Files larger than this size (in
+ *      bytes) are uploaded in chunks of this size. Defaults to 10 MB.
  * @property {string|Array.<string>} [filters] - The filters to be
  *      used in filtering the list items using the $filter parameter. Can be a
  *      string like "(Project eq 'Project 1') or (Project eq 'Project 2')", or
  *      an array of strings like ["Project eq 'Project 1'", "Id eq 18"], each
  *      of which will be concatenated automatically in the filter string using
  *      the AND condition. To use OR condition, build the string manually.
- * @property {string} [listTitle] - The display name of the SharePoint list.
+ * @property {Object.<string, string>} [headers] - Extra HTTP headers to be
+ *      sent with every request, e.g. an Authorization header in Node.
+ * @property {string} [listTitle] - The display name of the SharePoint list,
+ *      its ID (GUID), or its server-relative URL, e.g. '/sites/dev/Lists/A'.
+ * @property {number} [maxConcurrentRequests] - The maximum number of
+ *      requests in progress at the same time. Further requests wait in a
+ *      queue. Set to 0 for no limit.
  * @property {number} [maxItems] - The maximum number of items to be returned
  *      from the list. If `recursiveFetch` is set to true, this is the
  *      maximum number of items to fetch on each request to server. If not
  *      not specified, defaults to SharePoint's limit of 100. Maximum is
  *      5000 due to SharePoint limitations.
+ * @property {number} [maxTotalItems] - Stop loading the following pages of
+ *      items once this many items are loaded. 0 (default) for no limit.
+ * @property {number} [maxRetries] - How many times a request is retried when
+ *      SharePoint throttles it with 429 or 503 status.
+ * @property {number} [maxRetryDelay] - The maximum delay in milliseconds
+ *      before retrying a throttled request, unless the server asks for more
+ *      in the Retry-After header.
+ * @property {string|Array.<string>} [orderBy] - The columns to sort the
+ *      items by, e.g. 'Modified desc' or ['Status', 'Modified desc'].
+ * @property {boolean} [normalize] - Return the same results regardless of
+ *      the verbosity: collections as plain arrays (with the `nextUrl` of the
+ *      next page, if any), single items as plain objects, without
+ *      `__metadata`, deferred properties and odata annotations.
  * @property {Function} [onsuccess] - The callback function for successful
- *      requests to SharePoint REST API.
+ *      requests to SharePoint REST API. Optional, since all request methods
+ *      also return a Promise.
  * @property {Function} [onerror] - The callback function for failed requests
- *      to SharePoint REST API.
+ *      to SharePoint REST API. If set, the error is handled by the callback,
+ *      and the promise is resolved with undefined instead of rejected.
+ * @property {Function} [onprogress] - Called with the number of items loaded
+ *      so far after each page of items, e.g. to show a progress bar.
  * @property {boolean} [recursiveFetch] - Fetch all items from the list by
  *      repeatedly making server requests until all list items are fetched.
  *      This is to overcome SharePoint's limitation of maximum 5000 items
  *      per call.
+ * @property {number} [retryDelay] - The initial delay in milliseconds before
+ *      retrying a throttled request, if the server did not specify one in
+ *      the Retry-After header. Doubled after each attempt.
  * @property {string|Array.<string>} [select] - Which columns to select from a
  *      list (instead of fetching all columns). If the value is string, it must
  *      be in the format 'Id,Title,Status,CompletionDate,Approver/Title'. If
  *      the value is an array, it must be an array of strings like ['Id',
  *      'Title', 'Status', 'CompletionDate', 'Approver/Title'].
+ * @property {number} [skip] - The number of items to skip ($skip). Not
+ *      supported by SharePoint for list items.
+ * @property {AbortSignal} [signal] - Cancels the requests once aborted,
+ *      e.g. when the user navigates away. The pending requests are rejected
+ *      with SpRestApi.AbortError. Usually set via withOptions().
  * @property {string} [siteUrl] - The SharePoint site URL which is usually
  *      obtained from the _spPageContextInfo.webAbsoluteUrl. Required if using
  *      this library outside of a SharePoint page.
  * @property {string} [token] - The SharePoint's request digest, a token that
  *      it is required for every API call. Required only if using outside a
  *      SharePoint page, otherwise it is obtained automatically from DOM.
+ * @property {Transport} [transport] - The function which sends the HTTP
+ *      requests, e.g. one of SpRestApi.Transports. If not specified, jQuery
+ *      is used when it is loaded on the page, otherwise the Fetch API.
+ * @property {boolean} [typedFields] - Convert the values of list items using
+ *      the column definitions of the list, which are fetched once and
+ *      cached. When writing: Date objects, arrays for multi-value columns,
+ *      user IDs, emails or login names for people columns (saved into
+ *      `{Column}Id`), and IDs, items or the shown value (usually the Title)
+ *      for lookup columns. Values which do not match exactly one user or
+ *      item reject the write. When reading: dates are converted to Date
+ *      objects, multi-value columns to arrays.
  * @property {Verbosity} [verbosity] - The amount of metadata to be returned
  *      in the JSON response from server. Use the SpRestApi.Verbosity enum.
  * @property {Array.<string>} [urls] - The URLs of various API calls, e.g. to
- *      get a list item, all items in a list etc.
+ *      get a list item, all items in a list etc. In `list` and `item`, `{0}`
+ *      is the absolute URL of the list, see generateListUrl().
  */
 /**
  * Stores this instance's options.
@@ -122,7 +261,8 @@ SpRestApi.prototype.cachedListItems = [];
  * Sets the list title (list display name) of this SpRestApi instance.
  * The .lists() must be called before any call to other list-related
  * methods. Equivalent to .config({listTitle: 'List Name'}).
- * @param {string} listTitle - The display name of the SharePoint list.
+ * @param {string} listTitle - The display name of the SharePoint list, its
+ *      ID, or its server-relative URL.
  * @returns {SpRestApi} Returns the instance of this SpRestApi object.
  */
 SpRestApi.prototype.lists = function (listTitle) {
@@ -134,12 +274,19 @@ SpRestApi.prototype.lists = function (listTitle) {
  * Sets the SpRestApiOptions. If not called, before the request to server,
  * the default options will be used.
  * @param {SpRestApiOptions} options - The partial SpRestApiOptions object,
- *      where each field will override a default setting in `.defaultOptions`.
+ *      where each field will override the current setting. The
+ *      `.defaultOptions` are not changed.
  * @returns {SpRestApi} This SpRestApi instance.
  */
 SpRestApi.prototype.config = function (options) {
-    // Merge the specified options with the default options
-    this.options = $.extend(this.defaultOptions, options);
+    // Merge the specified options with the current options
+    this.options = SpRestApi.extend({}, this.options, options);
+
+    // Forget the previous digest if a new token was set explicitly
+    if (options && options.token) {
+        delete this.digests[this.options.siteUrl];
+    }
+
     return this;
 };
 
@@ -160,21 +307,13 @@ SpRestApi.prototype.addMaxItems = function (url) {
 /**
  * Returns all items from a list, or all items up to the SharePoint limit
  * or the limit specified in the options.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ *      If `options.recursiveFetch` is on, the response contains the items
+ *      from all pages.
  */
 SpRestApi.prototype.getAllItems = function () {
     var url = this.generateGetAllListItemsUrl();
-
-    this.cachedListItems = []; // reset cached items for recursive fetching
-
-    var onsuccess;
-    if (this.options.recursiveFetch) {
-        // Continue fetching items recursively until we load the entire list:
-        onsuccess = $.proxy(this.continueRecursiveFetch, this);
-    } else {
-        onsuccess = this.options.onsuccess;        
-    }
-
-    this.loadUrl(url, 'GET', onsuccess, this.options.onerror);
+    return this.attachCallbacks(this.fetchListItems(url));
 };
 
 /**
@@ -183,12 +322,13 @@ SpRestApi.prototype.getAllItems = function () {
  * @returns {string} The SP API URL for fetching all items from a list.
  */
 SpRestApi.prototype.generateGetAllListItemsUrl = function () {
-    var url = this.options.siteUrl +
-        this.options.urls.list.format(this.options.listTitle);
+    var url = this.options.urls.list.format(this.generateListUrl());
     url = this.addMaxItems(url);
     url = SpRestApi.appendSelectQueryString(url, this.options.select);
     url = SpRestApi.appendFilters(url, this.options.filters);
     url = SpRestApi.appendExpand(url,this.options.expand);
+    url = SpRestApi.appendOrderBy(url, this.options.orderBy);
+    url = SpRestApi.appendSkip(url, this.options.skip);
 
     return url;
 };
@@ -199,8 +339,7 @@ SpRestApi.prototype.generateGetAllListItemsUrl = function () {
  * @returns {string} An URL ending with e.g. /Lists('MyList')/Items(761)
  */
 SpRestApi.prototype.generateSingleListItemUrl = function (itemId) {
-    var url = this.options.siteUrl +
-        this.options.urls.item.format(this.options.listTitle, itemId);
+    var url = this.options.urls.item.format(this.generateListUrl(), itemId);
 
     url = SpRestApi.appendSelectQueryString(url, this.options.select);
     url = SpRestApi.appendExpand(url,this.options.expand);
@@ -221,6 +360,7 @@ SpRestApi.appendSelectQueryString = function (url, select) {
 
     if (select instanceof Array) {
         select = SpRestApi.compactArray(select).join(',');
+        if (!select) { return url; }
     }
 
     // Decide whether to use ? or & for separating query string params
@@ -251,6 +391,7 @@ SpRestApi.appendFilters = function (url, filters) {
 
         // Concatenate filters with AND condition
         filters = filters.join(' and ');
+        if (!filters) { return url; }
     }
 
     // Decide whether to use ? or & for separating query string params
@@ -260,7 +401,7 @@ SpRestApi.appendFilters = function (url, filters) {
 };
 
 /**
- * Appends the $filter query string to the SharePoint REST API URL.
+ * Appends the $expand query string to the SharePoint REST API URL.
  * @param {string} url - The base URL to which we need to append the string.
  *      May contain other query string parameters.
  * @param {string|Array.<string>} expand - Which columns to expand
@@ -270,361 +411,6211 @@ SpRestApi.appendExpand = function (url, expand) {
     if (!expand) { return url; }
     
     if (expand instanceof Array) {
-        // Remove empty values: 
-        expand = SpRestApi.compactArray(expand);
-
-        // Enclose each item in brackets and concatenate with 'AND':
-        expand.forEach(function (expand, i) {
-            expand[i] = '(' + expand + ')';
-        });
-
-        // Concatenate filters with AND condition
-        expand = expand.join(',');
+        // Remove empty values and concatenate with commas:
+        expand = SpRestApi.compactArray(expand).join(',');
+        if (!expand) { return url; }
     }
 
     // Decide whether to use ? or & for separating query string params
     var separator = url.includes('?') ? '&' : '?';
 
     return url + separator + '$expand=' + expand;
-}
-
+};
 
 /**
- * Returns all list items from a subfolder of a SharePoint list. Uses a hacky
- * way - by matching a substring of the FileRef, to avoid relying on CAML.
- * @param {string} subfolderName - The display name of the subfolder in a list.
- *      Must not include any slashes.
+ * Appends the $orderby query string to the SharePoint REST API URL.
+ * @param {string} url - The base URL to which we need to append the string.
+ *      May contain other query string parameters.
+ * @param {string|Array.<string>} orderBy - The columns to sort by, each
+ *      optionally followed by ' asc' or ' desc', e.g. 'Modified desc'.
+ * @returns {string} An URL with a string like "...?$orderby=Modified desc".
  */
-SpRestApi.prototype.getAllItemsFromListSubfolder = function (subfolderName) {
-    // The idea here is that if the FileRef property of a list item is
-    // like this - /sites/mysite/Lists/My List/My Subfolder/123_.000 - 
-    // then we can filter the list by FileRef containing the 
-    // string 'Lists/My List/My Subfolder'.
-    var fileref = 'Lists/' +
-        this.options.listTitle + '/' + subfolderName + '/';
+SpRestApi.appendOrderBy = function (url, orderBy) {
+    if (!orderBy) { return url; }
 
-    // Add filter to general options
-    var filter = 'substringof(\'' + fileref + '\', FileRef)';
-    if (this.options.filters instanceof Array) {
-        this.options.filters.push(filter);
-    } else if (this.options.filters instanceof String) {
-        this.options.filters += ' and (' + filter + ')';
-    } else {
-        this.options.filters = [filter];
+    if (orderBy instanceof Array) {
+        orderBy = SpRestApi.compactArray(orderBy).join(',');
+        if (!orderBy) { return url; }
     }
 
-    var url = this.generateGetAllListItemsUrl();
+    // Decide whether to use ? or & for separating query string params
+    var separator = url.includes('?') ? '&' : '?';
 
-    this.cachedListItems = []; // reset cached items for recursive fetching
+    return url + separator + '$orderby=' + orderBy;
+};
 
-    var onsuccess;
-    if (this.options.recursiveFetch) {
-        // Continue fetching items recursively until we load the entire list:
-        onsuccess = $.proxy(this.continueRecursiveFetch, this); // save `this`
-    } else {
-        onsuccess = this.options.onsuccess;
-    }
+/**
+ * Appends the $skip query string to the SharePoint REST API URL.
+ * @param {string} url - The base URL to which we need to append the string.
+ *      May contain other query string parameters.
+ * @param {number} skip - The number of items to skip.
+ * @returns {string} An URL with a string like "...?$skip=100".
+ */
+SpRestApi.appendSkip = function (url, skip) {
+    if (!skip) { return url; }
+
+    // Decide whether to use ? or & for separating query string params
+    var separator = url.includes('?') ? '&' : '?';
 
-    this.loadUrl(url, 'GET', onsuccess, this.options.onerror);
+    return url + separator + '$skip=' + skip;
 };
 
 /**
- * Keeps loading data recursively until all list items are obtained. This is
- * to overcome SharePoint's limitation on the number of list items per query.
+ * Formats a JavaScript value as an OData literal for use in $filter.
+ * Strings are quoted, with single quotes escaped by doubling them, and
+ * URL-encoded so that characters like '&' and '#' do not break the URL.
+ * @param {any} value - A string, number, boolean, Date or null.
+ * @returns {string} The OData literal, e.g. 'O''Brien' or
+ *      datetime'2017-08-01T00:00:00.000Z'.
+ * @static
  */
-SpRestApi.prototype.continueRecursiveFetch = function (data) {
-    var newData;
-    var nextUrl;
-
-    // data must not be empty, and must contain either .d or .value. 
-    // Otherwise it's likely the server error.
-    if (!data || !(data.d || data.value)) {
-        this.options.onerror(data);
-        return;
-    }
+SpRestApi.formatODataValue = function (value) {
+    if (value === null || value === undefined) { return 'null'; }
 
-    // Depending on the Verbosity setting, the data will be returned in
-    // significantly different formats (inside data.d.results or data.value).
-    if (this.options.verbosity === SpRestApi.Verbosity.VERBOSE) {
-        newData = data.d.results;
-        nextUrl = data.d.__next;
-    } else {
-        newData = data.value;
-        nextUrl = data['odata.nextLink']; // dot in property name
+    if (value instanceof Date) {
+        return 'datetime\'' + value.toISOString() + '\'';
     }
 
-    this.cachedListItems = this.cachedListItems.concat(newData);
+    // SharePoint expects 1 and 0 for Yes/No columns
+    if (typeof value === 'boolean') { return value ? '1' : '0'; }
 
-    if (nextUrl) {
-        // While next URL is not empty, keep loading recursively. 
-        // Preserve `this` inside continueRecursiveFetch using $.proxy.
-        this.loadUrl(nextUrl, 'GET',
-            $.proxy(this.continueRecursiveFetch, this), this.options.onerror);
-    } else {
-        // Load complete - generate a structure similar to server response, 
-        // and call the callback.
-        var entireData;
-        if (this.options.verbosity === SpRestApi.Verbosity.VERBOSE) {
-            entireData = {
-                d: {
-                    results: this.cachedListItems
-                }
-            };
-        } else {
-            entireData = {
-                value: this.cachedListItems
-            };
-        }
+    if (typeof value === 'number') { return String(value); }
 
-        this.options.onsuccess(entireData);
-    }
+    return '\'' + encodeURIComponent(String(value).replace(/'/g, '\'\''))
+        + '\'';
 };
 
+
 /**
- * Returns a single item from a list.
- * @param {number} itemId - The SharePoint list item ID of the item we need to
- *      fetch.
+ * Returns a copy of this SpRestApi instance with some of the options
+ * overridden. The copy shares everything else with this instance, so the
+ * options of this instance remain unchanged.
+ * @param {SpRestApiOptions} options - The options to override.
+ * @returns {SpRestApi} The new SpRestApi instance.
  */
-SpRestApi.prototype.getItem = function (itemId) {
-    if (!itemId) { throw 'The list item ID must not be empty.'; }
-
-    var url = this.options.siteUrl +
-        this.options.urls.item.format(this.options.listTitle, itemId);
-    url = SpRestApi.appendSelectQueryString(url, this.options.select);
-    url = SpRestApi.appendExpand(url,this.options.expand);
-    this.loadUrl(url, 'GET', this.options.onsuccess, this.options.onerror);
+SpRestApi.prototype.withOptions = function (options) {
+    var copy = Object.create(this);
+    copy.options = SpRestApi.extend({}, this.options, options);
+    return copy;
 };
 
 /**
- * Creates a new item in a SharePoint list. 
- * @param {Object} item - The new SharePoint list item to be created. No need
- *      to add the __metadata attribute.
+ * Returns a copy of this SpRestApi instance without the `onsuccess` and
+ * `onerror` callbacks, for requests made internally by other methods.
+ * @returns {SpRestApi} The new SpRestApi instance.
  */
-SpRestApi.prototype.createItem = function (item) {
-    item.__metadata = {
-        'type': SpRestApi.getListItemType(this.options.listTitle)
-    };
-
-    var url = this.generateGetAllListItemsUrl();
+SpRestApi.prototype.withoutCallbacks = function () {
+    return this.withOptions({ onsuccess: null, onerror: null });
+};
 
-    this.loadUrl(url, 'POST',
-        this.options.onsuccess, this.options.onerror, item);
+/**
+ * Returns a copy of this SpRestApi instance for another site (web) or site
+ * collection. The copy has its own request digest, which is obtained
+ * automatically, and shares everything else with this instance.
+ * @param {string} url - The absolute or server-relative URL of the site,
+ *      or the URL relative to the current site, e.g. 'projects/alpha'.
+ * @returns {SpRestApi} The new SpRestApi instance.
+ */
+SpRestApi.prototype.web = function (url) {
+    return this.withOptions({
+        siteUrl: SpRestApi.resolveWebUrl(this.options.siteUrl, url),
+        // The digest of the current site is not valid for the other site
+        token: null,
+    });
 };
 
 /**
- * Updates a single item in the SharePoint list. Only the values in columns
- * specified in `data` will be overwritten.
- * @param {number} listItemId - The SharePoint list item ID of the item to be
- *      updated.
- * @param {Object} item - The partial or full SharePoint list item containing
- *      only the columns that need to be replaced.
+ * Starts a new query for the current list. Equivalent to
+ * `new SpRestApi.Query(api)`.
+ * @returns {SpRestApi.Query} The new query.
  */
-SpRestApi.prototype.updateItem = function (listItemId, item) {
-    item.__metadata = {
-        'type': SpRestApi.getListItemType(this.options.listTitle)
-    };
+SpRestApi.prototype.query = function () {
+    return new SpRestApi.Query(this);
+};
 
-    var url = this.generateSingleListItemUrl(listItemId);
+/**
+ * Starts a new query with a filter condition on the specified column, e.g.
+ * `api.where('Status').eq('Open')`.
+ * @param {string|SpRestApi.Query} field - The internal column name, or
+ *      another query whose filter will be used as a group.
+ * @returns {SpRestApi.QueryCondition} The condition to be completed with
+ *      one of the operators such as eq() or lt().
+ */
+SpRestApi.prototype.where = function (field) {
+    return this.query().where(field);
+};
 
-    this.loadUrl(url, 'MERGE',
-        this.options.onsuccess, this.options.onerror, item);
+/**
+ * Starts a new query which selects only the specified columns.
+ * @param {...string|Array.<string>} fields - The internal column names.
+ * @returns {SpRestApi.Query} The new query.
+ */
+SpRestApi.prototype.select = function () {
+    var query = this.query();
+    return query.select.apply(query, arguments);
 };
 
 /**
- * Deletes a single item from a SharePoint list.
- * @param {number} itemId - The SharePoint list item ID of the item to be
- *      deleted.
+ * Starts a new query which expands the specified lookup or people columns.
+ * @param {...string|Array.<string>} fields - The internal column names.
+ * @returns {SpRestApi.Query} The new query.
  */
-SpRestApi.prototype.deleteItem = function (itemId) {
-    var url = this.generateSingleListItemUrl(itemId);
-    this.loadUrl(url, 'DELETE', this.options.onsuccess, this.options.onerror);
+SpRestApi.prototype.expand = function () {
+    var query = this.query();
+    return query.expand.apply(query, arguments);
 };
 
 /**
- * Fetches the SharePoint user information, including the Groups that he is a
- * member of.
- * @param {number} userId - The SharePoint user ID of the user whose information
- *      we are requesting.
+ * Starts a new query sorted by the specified column.
+ * @param {string} field - The internal column name.
+ * @param {string} [direction] - 'asc' (default) or 'desc'.
+ * @returns {SpRestApi.Query} The new query.
  */
-SpRestApi.prototype.getUserById = function (userId) {
-    if (!userId) {
-        throw 'Tried to get user information using an empty user ID.';
-    }
+SpRestApi.prototype.orderBy = function (field, direction) {
+    return this.query().orderBy(field, direction);
+};
 
-    var url = this.options.urls.user.format(userId);
+/**
+ * Starts a new query returning at most the specified number of items.
+ * @param {number} count - The maximum number of items (per request, if
+ *      `recursiveFetch` is on).
+ * @returns {SpRestApi.Query} The new query.
+ */
+SpRestApi.prototype.top = function (count) {
+    return this.query().top(count);
+};
 
-    this.loadUrl(url, 'GET', this.options.onsuccess, this.options.onerror);
+/**
+ * Starts a new CAML query, which is run with getItems(). See
+ * SpRestApi.Caml and getItemsByCaml().
+ * @returns {SpRestApi.Caml} The new CAML query.
+ */
+SpRestApi.prototype.caml = function () {
+    return new SpRestApi.Caml(this);
 };
 
 /**
- * Fetches the information about the current user, such as email, groups etc.
- * Wrapper for getUserById(), gets the current user ID automatically.
+ * A chainable OData query for the list items, which builds the $filter,
+ * $select, $expand, $orderby, $top and $skip parameters. Only the parameters
+ * which were set on the query override the options of the SpRestApi
+ * instance. Example:
+ * `api.lists('Projects').where('Status').eq('Open').and('Due').lt(date)
+ *      .select('Id', 'Title').orderBy('Modified', 'desc').getAllItems()`
+ * @class
+ * @param {SpRestApi} api - The SpRestApi instance which will run the query.
  */
-SpRestApi.prototype.getCurrentUser = function () {
-    if (!_spPageContextInfo) { throw 'Missing _spPageContextInfo.'; }
+SpRestApi.Query = function (api) {
+    this.api = api;
+    this.filter = '';
+    this.lastOperator = '';
+    this.options = {};
+};
 
-    this.getUserById(_spPageContextInfo.userId);
+/**
+ * Adds the first filter condition of the query. Same as and().
+ * @param {string|SpRestApi.Query} field - The internal column name, or
+ *      another query whose filter will be used as a group.
+ * @returns {SpRestApi.QueryCondition|SpRestApi.Query} The condition to be
+ *      completed, or this query if a group was specified.
+ */
+SpRestApi.Query.prototype.where = function (field) {
+    return this.and(field);
 };
 
 /**
- * Generates the ListItemType which is required by SharePoint when creating a
- * new list item. It is based on the list name where characters such as spaces
- * are replaced with sequences like _x0020_.
- * @param {string} listTitle - The display name of the list where we are
- *      creating the new list item.
- * @returns {string} A SharePoint list item type which looks like
- *      'SP.Data.ProjectsListItem'.
- * @static
+ * Adds a filter condition joined with the AND operator.
+ * @param {string|SpRestApi.Query} field - The internal column name, or
+ *      another query whose filter will be used as a group.
+ * @returns {SpRestApi.QueryCondition|SpRestApi.Query} The condition to be
+ *      completed, or this query if a group was specified.
  */
-SpRestApi.getListItemType = function (listTitle) {
-    var type = 'SP.Data.{0}ListItem'.format(listTitle.capitalize());
-    return SpRestApi.replaceSharepointSpecialChars(type);
+SpRestApi.Query.prototype.and = function (field) {
+    return this.addCondition('and', field);
 };
 
 /**
- * Replaces special characters (like underscores and spaces) that
- * cannot be used in SharePoint list names because SharePoint changes them to 
- * escape sequences, as seen in the function.
- * @param {string} inputString - A string that may contain an underscore or a
- *      space, which will be replaced.
- * @returns {string} The string that is safe to use in SharePoint list item
- *      internal type.
- * @static
+ * Adds a filter condition joined with the OR operator.
+ * @param {string|SpRestApi.Query} field - The internal column name, or
+ *      another query whose filter will be used as a group.
+ * @returns {SpRestApi.QueryCondition|SpRestApi.Query} The condition to be
+ *      completed, or this query if a group was specified.
  */
-SpRestApi.replaceSharepointSpecialChars = function (inputString) {
-    return inputString
-        .replace(/_/g, '_x005f_')
-        .replace(/ /g, '_x0020_')
-        .replace(/&/g, '_x0026_');
+SpRestApi.Query.prototype.or = function (field) {
+    return this.addCondition('or', field);
 };
 
 /**
- * A generic function to call any URL of the SharePoint REST API. Usually
- * there is no need to call this method directly.
- * @param {string} url - The URL of the SharePoint REST API to be queried. Will
- *      not be modified by this method.
- * @param {string} method - HTTP method for this request, e.g. 'GET', 'POST',
- *      'DELETE'.
- * @param {Function} success - Callback for successfull REST API call.
- * @param {Function} error - Callback for failed REST API call.
- * @param {Object} [data] - The data to be POSTed/PUT to the server.
+ * Starts a condition or adds a group of conditions. Used by and() and or().
+ * @param {string} operator - 'and' or 'or'.
+ * @param {string|SpRestApi.Query} field - The column name or the group.
+ * @returns {SpRestApi.QueryCondition|SpRestApi.Query} The condition to be
+ *      completed, or this query if a group was specified.
  */
-SpRestApi.prototype.loadUrl = function (url, method, success, error, data) {
-    // Preserve `this` containing the current instance of SpRestApi.
-    var $ajax = $.proxy($.ajax, this);
+SpRestApi.Query.prototype.addCondition = function (operator, field) {
+    if (field instanceof SpRestApi.Query) {
+        return this.appendFilter(operator, '(' + field.filter + ')');
+    }
 
-    // These headers are common for all requests
-    var headers = {
-        'Accept': this.options.verbosity,
-        'X-RequestDigest': this.options.token,
-    };
+    return new SpRestApi.QueryCondition(this, operator, field);
+};
 
-    // For the DELETE/MERGE methods, we actually send the request as POST
-    if (method === 'DELETE' || method === 'MERGE') {
-        headers['IF-MATCH'] = '*';
-        headers['X-HTTP-METHOD'] = method;
-        method = 'POST';
+/**
+ * Appends a complete condition to the $filter string. When the operator
+ * changes from 'and' to 'or' or vice versa, the previous conditions are
+ * enclosed in brackets, so that they are evaluated in the order written.
+ * @param {string} operator - 'and' or 'or'.
+ * @param {string} condition - The condition, e.g. "Status eq 'Open'".
+ * @returns {SpRestApi.Query} This query.
+ */
+SpRestApi.Query.prototype.appendFilter = function (operator, condition) {
+    if (!this.filter) {
+        this.filter = condition;
+    } else {
+        if (this.lastOperator && this.lastOperator !== operator) {
+            this.filter = '(' + this.filter + ')';
+        }
+
+        this.filter += ' ' + operator + ' ' + condition;
+        this.lastOperator = operator;
     }
 
-    $ajax({
-        url: url,
-        type: method,
-        cache: false,
-        data: data ? JSON.stringify(data) : '',
-        contentType: this.options.verbosity,
-        headers: headers,
-        success: function (response) {
-            success(response);
-        },
-        error: function (response) {
-            error(response);
-        },
-    });
+    return this;
 };
 
 /**
- * Sends a request to SharePoint to get the SharePoint authorization token,
- * which is required for all data requests. This is necessary in two cases:
- * - We are loading this script from a non-SharePoint page (e.g. normal HTML);
- * - We are refreshing the token (which expires after 30 minutes).
- * @param {Function} callback - The callback to run after the authorization
- *      token is received successfully.
- * Do not reuse the SpRestApi object that is used to refreshDigest to fetch
- * other information, because onsuccess and onerror callbacks will be replaced.
- * @throws an exception if the token could not be refreshed.
+ * Selects only the specified columns.
+ * @param {...string|Array.<string>} fields - The internal column names.
+ * @returns {SpRestApi.Query} This query.
  */
-SpRestApi.prototype.refreshDigest = function (callback) {
-    // If request succeeded:
-    var success = function (data) {
-        // Get token from the appropriate field in the response, and save
-        // it into this.options. We try to get it from two separate fields,
-        // only one of which should work (depending on API verbosity setting).
-        var token; 
-        try {
-            // If Verbosity was odata=verbose:
-            token = data.d.GetContextWebInformation.FormDigestValue;
-        } catch (ex) {
-            try {
-                // If Verbosity was odata=nometadata or odata=minimalmetadata:
-                // TODO FIXME need to verify this path is correct in SP online
-                token = data.value.GetContextWebInformation.FormDigestValue;
-            } catch (ex) {
-                throw 'Unable to obtain SharePoint authorization token.';
-            }
-        } finally {
-            if (token) { this.options.token = token; }
-        }
+SpRestApi.Query.prototype.select = function () {
+    this.options.select = (this.options.select || [])
+        .concat(SpRestApi.flattenArguments(arguments));
+    return this;
+};
 
-        if (typeof callback === 'function') {
-            callback();
-        }
-    };
+/**
+ * Expands the specified lookup or people columns.
+ * @param {...string|Array.<string>} fields - The internal column names.
+ * @returns {SpRestApi.Query} This query.
+ */
+SpRestApi.Query.prototype.expand = function () {
+    this.options.expand = (this.options.expand || [])
+        .concat(SpRestApi.flattenArguments(arguments));
+    return this;
+};
 
-    // Preserve value of `this` as this SpRestApi instance:
-    this.options.onsuccess = $.proxy(success, this);
+/**
+ * Sorts the items by the specified column. Can be called several times to
+ * sort by more than one column.
+ * @param {string} field - The internal column name.
+ * @param {string} [direction] - 'asc' (default) or 'desc'.
+ * @returns {SpRestApi.Query} This query.
+ */
+SpRestApi.Query.prototype.orderBy = function (field, direction) {
+    this.options.orderBy = (this.options.orderBy || [])
+        .concat(direction ? field + ' ' + direction : field);
+    return this;
+};
 
-    // If request failed:
-    this.options.onerror = function () {
-        throw 'Unable to obtain SharePoint authorization token';
-    };
+/**
+ * Limits the number of items returned. Sets the `maxItems` option, so if
+ * `recursiveFetch` is on, this is the number of items per request.
+ * @param {number} count - The maximum number of items.
+ * @returns {SpRestApi.Query} This query.
+ */
+SpRestApi.Query.prototype.top = function (count) {
+    this.options.maxItems = count;
+    return this;
+};
 
-    this.getContextInfo();
+/**
+ * Skips the specified number of items. Note that SharePoint ignores $skip
+ * for list items (which are paged with $skiptoken instead), but supports it
+ * for other collections.
+ * @param {number} count - The number of items to skip.
+ * @returns {SpRestApi.Query} This query.
+ */
+SpRestApi.Query.prototype.skip = function (count) {
+    this.options.skip = count;
+    return this;
 };
 
 /**
- * Fetches the context information, most importantly authorization token
- * and its expiration time.
+ * Returns the options which this query overrides.
+ * @returns {SpRestApiOptions} The partial options object.
  */
-SpRestApi.prototype.getContextInfo = function () {
-    var url = this.siteUrl + this.options.urls.context;
-    this.loadUrl(url, 'POST', this.options.onsuccess, this.options.onerror);
+SpRestApi.Query.prototype.toOptions = function () {
+    var options = SpRestApi.extend({}, this.options);
+    if (this.filter) { options.filters = [this.filter]; }
+    return options;
 };
 
 /**
- * Removes undefined, null and empty string '' values from the array and
- * returns a newly created array. Ideally we'd extend the Array.prototype with
- * this method, but due to a bug in SharePoint's wpadder.debug.js it is not
- * possible. See https://medium.com/@anton_ivanov/8e0dda134f79
- * @param {Array.<any>} sourceArray - An array that possibly contains empty
- *      strings, undefined or null values.
- * @returns {Array.<any>} A copy of the array with the null, undefined and
- *      empty string value removed.
+ * Returns the $filter string of this query.
+ * @returns {string} The filter string, e.g. "Status eq 'Open'".
  */
-SpRestApi.compactArray = function (sourceArray) {
-    return sourceArray.filter(function (element) {
-        // remove all falsy values except 0 and false
-        return element === 0 || element === false || element;
-    });
+SpRestApi.Query.prototype.toString = function () {
+    return this.filter;
 };
 
+/**
+ * Runs the query and returns the list items. See SpRestApi.getAllItems().
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.Query.prototype.getAllItems = function () {
+    return this.api.withOptions(this.toOptions()).getAllItems();
+};
 
-/* Polyfills
------------------------------*/
+/**
+ * Returns a single list item, using the $select and $expand of this query.
+ * See SpRestApi.getItem().
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.Query.prototype.getItem = function (itemId) {
+    return this.api.withOptions(this.toOptions()).getItem(itemId);
+};
 
-if (!String.prototype.format) {
-    /**
-    * Replaces symbols like {0}, {1} in a string with the values from
-    * the arguments.
+/**
+ * A filter condition on a single column, which is completed by calling one
+ * of the operator methods. Created by SpRestApi.Query.where(), and() and or().
+ * @class
+ * @param {SpRestApi.Query} query - The query to which the condition belongs.
+ * @param {string} operator - 'and' or 'or', joining it with the previous
+ *      conditions.
+ * @param {string} field - The internal column name.
+ */
+SpRestApi.QueryCondition = function (query, operator, field) {
+    this.query = query;
+    this.operator = operator;
+    this.field = field;
+    this.negated = false;
+};
+
+/**
+ * Negates the condition, e.g. `where('Status').not().eq('Closed')`.
+ * @returns {SpRestApi.QueryCondition} This condition.
+ */
+SpRestApi.QueryCondition.prototype.not = function () {
+    this.negated = !this.negated;
+    return this;
+};
+
+/**
+ * Completes the condition and adds it to the query.
+ * @param {string} condition - The condition string.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.complete = function (condition) {
+    if (this.negated) { condition = 'not (' + condition + ')'; }
+    return this.query.appendFilter(this.operator, condition);
+};
+
+/**
+ * Completes the condition with a comparison operator.
+ * @param {string} operator - The OData operator, e.g. 'eq' or 'lt'.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.compare = function (operator, value) {
+    return this.complete(this.field + ' ' + operator + ' ' +
+        SpRestApi.formatODataValue(value));
+};
+
+/**
+ * Column equals the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.eq = function (value) {
+    return this.compare('eq', value);
+};
+
+/**
+ * Column does not equal the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.ne = function (value) {
+    return this.compare('ne', value);
+};
+
+/**
+ * Column is less than the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.lt = function (value) {
+    return this.compare('lt', value);
+};
+
+/**
+ * Column is less than or equal to the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.le = function (value) {
+    return this.compare('le', value);
+};
+
+/**
+ * Column is greater than the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.gt = function (value) {
+    return this.compare('gt', value);
+};
+
+/**
+ * Column is greater than or equal to the value.
+ * @param {any} value - The value to compare with.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.ge = function (value) {
+    return this.compare('ge', value);
+};
+
+/**
+ * Column starts with the value (OData startswith function).
+ * @param {string} value - The beginning of the text.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.startsWith = function (value) {
+    return this.complete('startswith(' + this.field + ',' +
+        SpRestApi.formatODataValue(value) + ')');
+};
+
+/**
+ * Column contains the value (OData substringof function).
+ * @param {string} value - The text to search for.
+ * @returns {SpRestApi.Query} The query, to continue chaining.
+ */
+SpRestApi.QueryCondition.prototype.substringOf = function (value) {
+    return this.complete('substringof(' +
+        SpRestApi.formatODataValue(value) + ',' + this.field + ')');
+};
+
+/**
+ * A chainable CAML query for large lists, which builds the ViewXml of
+ * getItemsByCaml(). Conditions are nested in the order written, same as in
+ * SpRestApi.Query. Example:
+ * `api.lists('Projects').caml().where('Status').eq('Open')
+ *      .and('Due').lt(date).orderBy('ID').scope('RecursiveAll').getItems()`
+ * @class
+ * @param {SpRestApi} api - The SpRestApi instance which will run the query.
+ */
+SpRestApi.Caml = function (api) {
+    this.api = api;
+    this.whereXml = '';
+    this.viewFields = [];
+    this.orderFields = [];
+    this.useIndexForOrderBy = false;
+    this.viewScope = '';
+    this.limit = 0;
+    this.folderUrl = '';
+};
+
+/**
+ * Adds the first condition of the query. Same as and().
+ * @param {string|SpRestApi.Caml} field - The internal column name, or
+ *      another CAML query whose conditions will be used as a group.
+ * @returns {SpRestApi.CamlCondition|SpRestApi.Caml} The condition to be
+ *      completed, or this query if a group was specified.
+ */
+SpRestApi.Caml.prototype.where = function (field) {
+    return this.and(field);
+};
+
+/**
+ * Adds a condition joined with the And element.
+ * @param {string|SpRestApi.Caml} field - The internal column name, or
+ *      another CAML query whose conditions will be used as a group.
+ * @returns {SpRestApi.CamlCondition|SpRestApi.Caml} The condition to be
+ *      completed, or this query if a group was specified.
+ */
+SpRestApi.Caml.prototype.and = function (field) {
+    return this.addCondition('And', field);
+};
+
+/**
+ * Adds a condition joined with the Or element.
+ * @param {string|SpRestApi.Caml} field - The internal column name, or
+ *      another CAML query whose conditions will be used as a group.
+ * @returns {SpRestApi.CamlCondition|SpRestApi.Caml} The condition to be
+ *      completed, or this query if a group was specified.
+ */
+SpRestApi.Caml.prototype.or = function (field) {
+    return this.addCondition('Or', field);
+};
+
+/**
+ * Starts a condition or adds a group of conditions. Used by and() and or().
+ * @param {string} operator - 'And' or 'Or'.
+ * @param {string|SpRestApi.Caml} field - The column name or the group.
+ * @returns {SpRestApi.CamlCondition|SpRestApi.Caml} The condition to be
+ *      completed, or this query if a group was specified.
+ */
+SpRestApi.Caml.prototype.addCondition = function (operator, field) {
+    if (field instanceof SpRestApi.Caml) {
+        return this.appendCondition(operator, field.whereXml);
+    }
+
+    return new SpRestApi.CamlCondition(this, operator, field);
+};
+
+/**
+ * Appends a complete condition. CAML's And and Or take exactly two
+ * conditions, so the previous conditions become the first of them.
+ * @param {string} operator - 'And' or 'Or'.
+ * @param {string} condition - The condition, e.g. '<Eq>...</Eq>'.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.appendCondition = function (operator, condition) {
+    if (!condition) { return this; }
+
+    this.whereXml = this.whereXml ? '<' + operator + '>' + this.whereXml +
+        condition + '</' + operator + '>' : condition;
+
+    return this;
+};
+
+/**
+ * Returns only the specified columns.
+ * @param {...string|Array.<string>} fields - The internal column names.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.select = function () {
+    this.viewFields = this.viewFields.concat(
+        SpRestApi.flattenArguments(arguments));
+    return this;
+};
+
+/**
+ * Sorts the items by the specified column. Can be called several times to
+ * sort by more than one column. In lists over the list view threshold, sort
+ * by an indexed column and set `useIndex`.
+ * @param {string} field - The internal column name.
+ * @param {string} [direction] - 'asc' (default) or 'desc'.
+ * @param {boolean} [useIndex] - Adds UseIndexForOrderBy to the query.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.orderBy = function (field, direction, useIndex) {
+    this.orderFields.push({
+        field: field,
+        ascending: String(direction).toLowerCase() !== 'desc',
+    });
+    this.useIndexForOrderBy = this.useIndexForOrderBy || !!useIndex;
+    return this;
+};
+
+/**
+ * Sets the scope of the query, e.g. 'RecursiveAll' to include the items
+ * and folders in all subfolders, or 'Recursive' for items only.
+ * @param {string} scope - The Scope attribute of the View element.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.scope = function (scope) {
+    this.viewScope = scope;
+    return this;
+};
+
+/**
+ * Limits the number of items per request. If `recursiveFetch` is on, the
+ * following pages are loaded as well. By default, `options.maxItems`.
+ * @param {number} count - The RowLimit of the query.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.rowLimit = function (count) {
+    this.limit = count;
+    return this;
+};
+
+/**
+ * Returns only the items in the specified folder (and its subfolders, if
+ * the scope is recursive).
+ * @param {string} serverRelativeUrl - The server-relative URL of the
+ *      folder, e.g. '/sites/dev/Lists/Projects/2017'.
+ * @returns {SpRestApi.Caml} This query.
+ */
+SpRestApi.Caml.prototype.folder = function (serverRelativeUrl) {
+    this.folderUrl = serverRelativeUrl;
+    return this;
+};
+
+/**
+ * Returns the ViewXml of this query.
+ * @returns {string} The CAML, e.g. '<View><Query><Where>...</View>'.
+ */
+SpRestApi.Caml.prototype.toString = function () {
+    var xml = this.viewScope ?
+        '<View Scope="' + SpRestApi.escapeXml(this.viewScope) + '">' :
+        '<View>';
+
+    if (this.viewFields.length) {
+        xml += '<ViewFields>' +
+            this.viewFields.map(function (field) {
+                return SpRestApi.Caml.fieldRef(field);
+            }).join('') +
+            '</ViewFields>';
+    }
+
+    xml += '<Query>';
+    if (this.whereXml) { xml += '<Where>' + this.whereXml + '</Where>'; }
+    if (this.orderFields.length) {
+        xml += this.useIndexForOrderBy ?
+            '<OrderBy UseIndexForOrderBy="TRUE" Override="TRUE">' :
+            '<OrderBy>';
+        xml += this.orderFields.map(function (order) {
+            return SpRestApi.Caml.fieldRef(order.field,
+                order.ascending ? '' : ' Ascending="FALSE"');
+        }).join('') + '</OrderBy>';
+    }
+    xml += '</Query>';
+
+    if (this.limit) {
+        xml += '<RowLimit Paged="TRUE">' + this.limit + '</RowLimit>';
+    }
+
+    return xml + '</View>';
+};
+
+/**
+ * Runs the query and returns the list items. See
+ * SpRestApi.getItemsByCaml().
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.Caml.prototype.getItems = function () {
+    return this.api.getItemsByCaml(this);
+};
+
+/**
+ * Generates a FieldRef element.
+ * @param {string} field - The internal column name.
+ * @param {string} [attributes] - Other attributes, starting with a space.
+ * @returns {string} The FieldRef element.
+ * @static
+ */
+SpRestApi.Caml.fieldRef = function (field, attributes) {
+    return '<FieldRef Name="' + SpRestApi.escapeXml(field) + '"' +
+        (attributes || '') + ' />';
+};
+
+/**
+ * A condition on a single column, which is completed by calling one of the
+ * operator methods. Created by SpRestApi.Caml.where(), and() and or().
+ * @class
+ * @param {SpRestApi.Caml} caml - The query to which the condition belongs.
+ * @param {string} operator - 'And' or 'Or', joining it with the previous
+ *      conditions.
+ * @param {string} field - The internal column name.
+ */
+SpRestApi.CamlCondition = function (caml, operator, field) {
+    this.caml = caml;
+    this.operator = operator;
+    this.field = field;
+};
+
+/**
+ * Completes the condition with a comparison element.
+ * @param {string} element - The CAML element, e.g. 'Eq' or 'Lt'.
+ * @param {any} [value] - The value to compare with. Strings are compared as
+ *      Text, numbers as Number (Counter for ID), booleans as Boolean and
+ *      dates as DateTime including the time.
+ * @param {string} [type] - The Type of the value, e.g. 'Choice', 'Lookup'
+ *      or 'User'. Numbers compared with Lookup or User columns are IDs.
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.compare = function (element, value, type) {
+    var attributes = '';
+
+    if (arguments.length > 1) {
+        type = type || SpRestApi.CamlCondition.getValueType(this.field, value);
+        if (typeof value === 'number' &&
+            (type === 'Lookup' || type === 'User')) {
+            attributes = ' LookupId="TRUE"';
+        }
+    }
+
+    var xml = '<' + element + '>' +
+        SpRestApi.Caml.fieldRef(this.field, attributes);
+
+    if (arguments.length > 1) {
+        xml += SpRestApi.CamlCondition.formatValue(value, type);
+    }
+
+    return this.caml.appendCondition(this.operator,
+        xml + '</' + element + '>');
+};
+
+/**
+ * Column equals the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.eq = function (value, type) {
+    return this.compare('Eq', value, type);
+};
+
+/**
+ * Column does not equal the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.ne = function (value, type) {
+    return this.compare('Neq', value, type);
+};
+
+/**
+ * Column is less than the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.lt = function (value, type) {
+    return this.compare('Lt', value, type);
+};
+
+/**
+ * Column is less than or equal to the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.le = function (value, type) {
+    return this.compare('Leq', value, type);
+};
+
+/**
+ * Column is greater than the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.gt = function (value, type) {
+    return this.compare('Gt', value, type);
+};
+
+/**
+ * Column is greater than or equal to the value.
+ * @param {any} value - The value to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.ge = function (value, type) {
+    return this.compare('Geq', value, type);
+};
+
+/**
+ * Column contains the text.
+ * @param {string} value - The text to search for.
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.contains = function (value) {
+    return this.compare('Contains', value, 'Text');
+};
+
+/**
+ * Column starts with the text.
+ * @param {string} value - The text to search for.
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.beginsWith = function (value) {
+    return this.compare('BeginsWith', value, 'Text');
+};
+
+/**
+ * Column is empty.
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.isNull = function () {
+    return this.compare('IsNull');
+};
+
+/**
+ * Column is not empty.
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.isNotNull = function () {
+    return this.compare('IsNotNull');
+};
+
+/**
+ * Column equals one of the values.
+ * @param {Array.<any>} values - The values to compare with.
+ * @param {string} [type] - The value type, see compare().
+ * @returns {SpRestApi.Caml} The query, to continue chaining.
+ */
+SpRestApi.CamlCondition.prototype.in = function (values, type) {
+    var field = this.field;
+    type = type || SpRestApi.CamlCondition.getValueType(field, values[0]);
+
+    var attributes = typeof values[0] === 'number' &&
+        (type === 'Lookup' || type === 'User') ? ' LookupId="TRUE"' : '';
+
+    return this.caml.appendCondition(this.operator, '<In>' +
+        SpRestApi.Caml.fieldRef(field, attributes) + '<Values>' +
+        values.map(function (value) {
+            return SpRestApi.CamlCondition.formatValue(value, type);
+        }).join('') + '</Values></In>');
+};
+
+/**
+ * Guesses the CAML value type from the JavaScript value.
+ * @param {string} field - The internal column name.
+ * @param {any} value - The value.
+ * @returns {string} The value type, e.g. 'Text' or 'DateTime'.
+ * @static
+ */
+SpRestApi.CamlCondition.getValueType = function (field, value) {
+    if (value instanceof Date) { return 'DateTime'; }
+    if (typeof value === 'boolean') { return 'Boolean'; }
+    if (typeof value === 'number') {
+        return /^id$/i.test(field) ? 'Counter' : 'Number';
+    }
+    return 'Text';
+};
+
+/**
+ * Generates the Value element of a condition.
+ * @param {any} value - The value.
+ * @param {string} type - The value type.
+ * @returns {string} The Value element.
+ * @static
+ */
+SpRestApi.CamlCondition.formatValue = function (value, type) {
+    if (value instanceof Date) {
+        return '<Value Type="' + SpRestApi.escapeXml(type) +
+            '" IncludeTimeValue="TRUE">' + value.toISOString() + '</Value>';
+    }
+
+    if (typeof value === 'boolean') { value = value ? 1 : 0; }
+
+    return '<Value Type="' + SpRestApi.escapeXml(type) + '">' +
+        SpRestApi.escapeXml(value) + '</Value>';
+};
+
+/**
+ * Returns all list items from a subfolder of a SharePoint list. Uses a hacky
+ * way - by matching a substring of the FileRef, to avoid relying on CAML.
+ * In large lists, use getItemsByCaml() with the folder URL instead.
+ * @param {string} subfolderName - The display name of the subfolder in a list.
+ *      Must not include any slashes.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.getAllItemsFromListSubfolder = function (subfolderName) {
+    // The idea here is that if the FileRef property of a list item is
+    // like this - /sites/mysite/Lists/My List/My Subfolder/123_.000 - 
+    // then we can filter the list by FileRef containing the 
+    // string 'Lists/My List/My Subfolder'.
+    var fileref = 'Lists/' +
+        this.options.listTitle + '/' + subfolderName + '/';
+
+    // Add filter to general options
+    var filter = 'substringof(\'' + fileref + '\', FileRef)';
+    if (this.options.filters instanceof Array) {
+        this.options.filters.push(filter);
+    } else if (this.options.filters instanceof String) {
+        this.options.filters += ' and (' + filter + ')';
+    } else {
+        this.options.filters = [filter];
+    }
+
+    var url = this.generateGetAllListItemsUrl();
+    return this.attachCallbacks(this.fetchListItems(url));
+};
+
+/**
+ * Returns the list items matching a CAML query, via the GetItems method of
+ * the list. Unlike $filter, CAML queries can be scoped to a folder and
+ * paged by ID, so they work in lists over the list view threshold as long
+ * as the conditions and sorting use indexed columns. If
+ * `options.recursiveFetch` is on, all pages are loaded.
+ * @param {string|SpRestApi.Caml} caml - The ViewXml, or a CAML query built
+ *      with SpRestApi.caml(). If the ViewXml has no RowLimit, the items are
+ *      loaded in pages of `options.maxItems`.
+ * @param {string} [folderServerRelativeUrl] - Returns only the items in
+ *      this folder, e.g. '/sites/dev/Lists/Projects/2017'.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.getItemsByCaml = function (caml, folderServerRelativeUrl) {
+    var self = this;
+    var viewXml = String(caml);
+    var folder = folderServerRelativeUrl || caml.folderUrl;
+
+    if (viewXml.indexOf('<View') !== 0) {
+        viewXml = '<View>' + viewXml + '</View>';
+    }
+
+    var rowLimit = /<RowLimit[^>]*>\s*(\d+)/.exec(viewXml);
+    if (!rowLimit) {
+        rowLimit = this.options.maxItems;
+        viewXml = viewXml.replace(/<\/View>$/, '<RowLimit Paged="TRUE">' +
+            rowLimit + '</RowLimit></View>');
+    } else {
+        rowLimit = parseInt(rowLimit[1], 10);
+    }
+
+    var orderBy = /<OrderBy[^>]*>([\s\S]*?)<\/OrderBy>/.exec(viewXml);
+    var orderFields = [];
+    if (orderBy) {
+        orderBy[1].replace(/Name=["']([^"']+)["']/g, function (match, name) {
+            orderFields.push(name);
+        });
+    }
+
+    var url = this.generateListUrl() + '/GetItems';
+    url = SpRestApi.appendSelectQueryString(url, this.options.select);
+    url = SpRestApi.appendExpand(url, this.options.expand);
+
+    var fetchPage = function (pagingInfo, items) {
+        var query = {
+            __metadata: { 'type': 'SP.CamlQuery' },
+            ViewXml: viewXml,
+        };
+
+        if (folder) { query.FolderServerRelativeUrl = folder; }
+        if (pagingInfo) {
+            query.ListItemCollectionPosition = {
+                __metadata: { 'type': 'SP.ListItemCollectionPosition' },
+                PagingInfo: pagingInfo,
+            };
+        }
+
+        return self.loadUrl(url, 'POST', null, null, { query: query })
+            .then(function (data) {
+                var page = SpRestApi.unwrapResponse(data);
+                items = items.concat(page);
+
+                if (self.options.recursiveFetch && page.length &&
+                    page.length >= rowLimit) {
+                    return fetchPage(SpRestApi.getPagingInfo(
+                        page[page.length - 1], orderFields), items);
+                }
+
+                return data.d ? { d: { results: items } } : { value: items };
+            });
+    };
+
+    var request = fetchPage('', []).then(this.deserializeResponse.bind(this));
+
+    return this.attachCallbacks(request);
+};
+
+/**
+ * Fetches the list items from the specified URL. If `options.recursiveFetch`
+ * is on, keeps fetching the following pages until the entire list is loaded.
+ * Used in getAllItems() and getAllItemsFromListSubfolder().
+ * @param {string} url - The SP API URL for fetching the first page of items.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.fetchListItems = function (url) {
+    var self = this;
+    var request = this.loadUrl(url, 'GET');
+    var deserialize = this.deserializeResponse.bind(this);
+
+    if (!this.options.recursiveFetch) { return request.then(deserialize); }
+
+    this.cachedListItems = []; // reset cached items for recursive fetching
+
+    return request.then(function (data) {
+        return self.continueRecursiveFetch(data, []);
+    }).then(deserialize);
+};
+
+/**
+ * Returns an async iterator over the pages of list items, which loads each
+ * page only when it is requested. Works with `for await` where supported:
+ * `for await (var page of api.iterateItems()) { render(page); }`.
+ * The pages are deserialized and normalized according to the options.
+ * Stops after `options.maxTotalItems` items, and rejects with
+ * SpRestApi.AbortError once `options.signal` is aborted.
+ * @param {string} [url] - The URL of the first page. By default, all items
+ *      of the list matching the options.
+ * @returns {SpRestApi.PageIterator} The iterator.
+ */
+SpRestApi.prototype.iterateItems = function (url) {
+    return new SpRestApi.PageIterator(this,
+        url || this.generateGetAllListItemsUrl());
+};
+
+/**
+ * Loads the list items page by page, and runs the callback for each page as
+ * soon as it arrives. See iterateItems().
+ * @param {Function} callback - Called with the items of the page and the
+ *      number of items loaded so far. Return false (or a promise resolved
+ *      with false) to stop loading; return a promise to wait for it before
+ *      loading the next page.
+ * @returns {Promise.<number>} A promise resolved with the number of items
+ *      loaded.
+ */
+SpRestApi.prototype.forEachPage = function (callback) {
+    var iterator = this.iterateItems();
+
+    var nextPage = function () {
+        return iterator.next().then(function (result) {
+            if (result.done) { return iterator.count; }
+
+            return Promise.resolve(callback(result.value, iterator.count))
+                .then(function (proceed) {
+                    return proceed === false ? iterator.count : nextPage();
+                });
+        });
+    };
+
+    return this.attachCallbacks(nextPage(), true);
+};
+
+/**
+ * Iterates over the pages of a list item collection. Created by
+ * SpRestApi.iterateItems().
+ * @class
+ * @param {SpRestApi} api - The SpRestApi instance which loads the pages.
+ * @param {string} url - The URL of the first page.
+ */
+SpRestApi.PageIterator = function (api, url) {
+    this.api = api;
+    this.nextUrl = url;
+
+    /**
+     * The number of items loaded so far.
+     * @type {number}
+     */
+    this.count = 0;
+};
+
+/**
+ * Loads the next page.
+ * @returns {Promise.<{value: Array.<Object>, done: boolean}>} A promise
+ *      resolved with the items of the page, or with `done` after the last
+ *      page.
+ */
+SpRestApi.PageIterator.prototype.next = function () {
+    var self = this;
+    var api = this.api;
+    var options = api.options;
+
+    if (!this.nextUrl) {
+        return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return api.loadUrl(this.nextUrl, 'GET').then(function (data) {
+        var items = SpRestApi.unwrapResponse(data);
+        var maxTotalItems = options.maxTotalItems;
+
+        self.nextUrl = SpRestApi.getNextUrl(data);
+        if (maxTotalItems && self.count + items.length >= maxTotalItems) {
+            items = items.slice(0, maxTotalItems - self.count);
+            self.nextUrl = null;
+        }
+
+        self.count += items.length;
+        if (typeof options.onprogress === 'function') {
+            options.onprogress(self.count);
+        }
+
+        return api.deserializeResponse(items);
+    }).then(function (items) {
+        if (options.normalize) { items = SpRestApi.normalizeEntity(items); }
+        return { value: items, done: false };
+    });
+};
+
+/**
+ * Stops the iteration; the following pages are not loaded.
+ * @returns {Promise.<{value: undefined, done: boolean}>} A promise resolved
+ *      with `done`.
+ */
+SpRestApi.PageIterator.prototype.return = function () {
+    this.nextUrl = null;
+    return Promise.resolve({ value: undefined, done: true });
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator) {
+    /**
+     * Makes the iterator usable in `for await` loops.
+     * @returns {SpRestApi.PageIterator} This iterator.
+     */
+    SpRestApi.PageIterator.prototype[Symbol.asyncIterator] = function () {
+        return this;
+    };
+}
+
+/**
+ * Keeps loading data recursively until all list items are obtained. This is
+ * to overcome SharePoint's limitation on the number of list items per query.
+ * @param {Object} data - The server response containing a page of items.
+ * @param {Array.<Object>} [items] - The items loaded from previous pages.
+ * @returns {Promise.<Object>} A promise resolved with a structure similar to
+ *      the server response, containing the items from all pages.
+ */
+SpRestApi.prototype.continueRecursiveFetch = function (data, items) {
+    var self = this;
+
+    // data must not be empty, and must contain either .d or .value. 
+    // Otherwise it's likely the server error.
+    if (!data || !(data.d || data.value)) {
+        return Promise.reject(new SpRestApi.Error(
+            'The server response does not contain any items.'));
+    }
+
+    var nextUrl = SpRestApi.getNextUrl(data);
+    var maxTotalItems = this.options.maxTotalItems;
+
+    items = (items || []).concat(SpRestApi.unwrapResponse(data));
+    if (maxTotalItems && items.length >= maxTotalItems) {
+        items = items.slice(0, maxTotalItems);
+        nextUrl = null;
+    }
+    this.cachedListItems = items;
+
+    if (typeof this.options.onprogress === 'function') {
+        this.options.onprogress(items.length);
+    }
+
+    if (nextUrl) {
+        // While next URL is not empty, keep loading recursively.
+        return this.loadUrl(nextUrl, 'GET').then(function (nextData) {
+            return self.continueRecursiveFetch(nextData, items);
+        }, function (error) {
+            // Keep the progress, so the fetch can be resumed later
+            if (error && typeof error === 'object' && !error.nextUrl) {
+                error.nextUrl = nextUrl;
+                error.partialItems = items;
+            }
+            throw error;
+        });
+    }
+
+    // Load complete - generate a structure similar to server response.
+    if (data.d) {
+        return Promise.resolve({ d: { results: items } });
+    }
+
+    return Promise.resolve({ value: items });
+};
+
+/**
+ * Resumes a recursive fetch which failed after all the retries, starting
+ * from the page which could not be loaded. The items loaded before the
+ * failure are included in the result.
+ * @param {Object} error - The error which getAllItems() or
+ *      getAllItemsFromListSubfolder() was rejected with. Contains `nextUrl`
+ *      and `partialItems` if the first page was loaded successfully.
+ * @returns {Promise.<Object>} A promise resolved with the server response,
+ *      same as getAllItems(), or rejected with SpRestApi.Error if no page
+ *      was loaded.
+ */
+SpRestApi.prototype.resumeFetch = function (error) {
+    var self = this;
+
+    if (!error || !error.nextUrl) {
+        return this.attachCallbacks(Promise.reject(new SpRestApi.Error(
+            'The fetch cannot be resumed, since no page was loaded.')));
+    }
+
+    var request = this.loadUrl(error.nextUrl, 'GET').then(function (data) {
+        return self.continueRecursiveFetch(data, error.partialItems);
+    }).then(this.deserializeResponse.bind(this));
+
+    return this.attachCallbacks(request);
+};
+
+/**
+ * @typedef {Object} SyncResult - The changes of a list since a change token.
+ * @property {Array.<number>} added - The IDs of the added (or restored)
+ *      items.
+ * @property {Array.<number>} updated - The IDs of the changed items.
+ * @property {Array.<number>} deleted - The IDs of the deleted items.
+ * @property {Array.<Object>} items - The current version of the added and
+ *      changed items, with the `select` and `expand` of the options.
+ * @property {string} token - The change token to be stored and passed to
+ *      the next syncItems() call.
+ */
+
+/**
+ * Returns the items which were added, changed or deleted in the list since
+ * the change token was obtained. Only the changed items are loaded, so this
+ * is much cheaper than reloading the whole list. Without a token, all items
+ * are loaded and returned as added. SharePoint keeps the changes for a
+ * limited time (60 days by default); if the token is too old, the request
+ * fails and the list has to be loaded again without a token.
+ * @param {string} [token] - The token returned by the previous call.
+ * @returns {Promise.<SyncResult>} A promise resolved with the changes and
+ *      the new token.
+ */
+SpRestApi.prototype.syncItems = function (token) {
+    // The cached responses may be older than the changes
+    var api = this.withoutCallbacks().withOptions({ cache: false });
+    var request;
+
+    if (!token) {
+        // The token is read first, so that no change is missed
+        request = api.getCurrentChangeToken().then(function (currentToken) {
+            return api.getAllItems().then(function (data) {
+                var items = SpRestApi.unwrapResponse(data);
+                return {
+                    added: items.map(function (item) {
+                        return item.Id !== undefined ? item.Id : item.ID;
+                    }),
+                    updated: [],
+                    deleted: [],
+                    items: items,
+                    token: currentToken,
+                };
+            });
+        });
+    } else {
+        request = api.getChanges(token).then(function (changes) {
+            var result = SpRestApi.groupChanges(changes);
+            result.token = changes.length ?
+                changes[changes.length - 1].ChangeToken.StringValue : token;
+
+            return api.getItemsById(result.added.concat(result.updated))
+                .then(function (items) {
+                    result.items = items;
+                    return result;
+                });
+        });
+    }
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Returns the current change token of the list, to be passed to
+ * getChanges() or syncItems() later.
+ * @returns {Promise.<string>} A promise resolved with the change token.
+ */
+SpRestApi.prototype.getCurrentChangeToken = function () {
+    return this.sendRequest({
+        url: this.generateListUrl() + '?$select=CurrentChangeToken',
+        method: 'GET',
+        cache: false,
+    }).then(function (data) {
+        return SpRestApi.unwrapResponse(data).CurrentChangeToken.StringValue;
+    });
+};
+
+/**
+ * Returns the changes of the list items since the change token, via the
+ * GetChanges method of the list. Loads the changes in pages of 1000 (the
+ * SharePoint limit per request) until all changes are loaded.
+ * @param {string} token - The change token, e.g. from
+ *      getCurrentChangeToken().
+ * @returns {Promise.<Array.<Object>>} A promise resolved with the
+ *      SP.ChangeItem objects, oldest first.
+ */
+SpRestApi.prototype.getChanges = function (token) {
+    var self = this;
+    var url = this.generateListUrl() + '/GetChanges';
+    var fetchLimit = 1000;
+
+    var fetchChanges = function (startToken, changes) {
+        return self.loadUrl(url, 'POST', null, null, {
+            query: {
+                __metadata: { 'type': 'SP.ChangeQuery' },
+                Item: true,
+                Add: true,
+                Update: true,
+                DeleteObject: true,
+                Restore: true,
+                Move: true,
+                FetchLimit: fetchLimit,
+                ChangeTokenStart: {
+                    __metadata: { 'type': 'SP.ChangeToken' },
+                    StringValue: startToken,
+                },
+            },
+        }).then(function (data) {
+            var page = SpRestApi.unwrapResponse(data);
+            changes = changes.concat(page);
+
+            if (page.length < fetchLimit) { return changes; }
+
+            return fetchChanges(
+                page[page.length - 1].ChangeToken.StringValue, changes);
+        });
+    };
+
+    return fetchChanges(token, []);
+};
+
+/**
+ * Loads the list items with the specified IDs, with the `select` and
+ * `expand` of the options. The IDs are requested in groups, to keep the
+ * URLs short.
+ * @param {Array.<number>} ids - The SharePoint list item IDs.
+ * @returns {Promise.<Array.<Object>>} A promise resolved with the items
+ *      which still exist.
+ */
+SpRestApi.prototype.getItemsById = function (ids) {
+    var api = this.withoutCallbacks();
+    var groups = [];
+
+    for (var i = 0; i < ids.length; i += 50) {
+        groups.push(ids.slice(i, i + 50));
+    }
+
+    return Promise.all(groups.map(function (group) {
+        var filter = group.map(function (id) {
+            return 'Id eq ' + id;
+        }).join(' or ');
+
+        return api.withOptions({
+            filters: [filter],
+            cache: false,
+            orderBy: [],
+            recursiveFetch: true,
+            maxTotalItems: 0,
+        }).getAllItems().then(SpRestApi.unwrapResponse);
+    })).then(function (results) {
+        return [].concat.apply([], results);
+    });
+};
+
+/**
+ * Sorts the changes of list items into added, updated and deleted item IDs.
+ * An item appears in only one of them, according to its last change: e.g.
+ * an item which was added and then changed is added.
+ * @param {Array.<Object>} changes - The SP.ChangeItem objects, oldest first.
+ * @returns {{added: Array.<number>, updated: Array.<number>,
+ *      deleted: Array.<number>}} The item IDs.
+ * @static
+ */
+SpRestApi.groupChanges = function (changes) {
+    var states = {};
+    var order = [];
+
+    changes.forEach(function (change) {
+        var id = change.ItemId;
+        var previous = states[id];
+        var type = change.ChangeType;
+        var types = SpRestApi.ChangeTypes;
+        var state;
+
+        if (type === types.ADD || type === types.MOVE_INTO ||
+            type === types.RESTORE) {
+            state = 'added';
+        } else if (type === types.DELETE_OBJECT || type === types.MOVE_AWAY) {
+            state = 'deleted';
+        } else {
+            // Still added, if it was added and then changed
+            state = previous === 'added' ? 'added' : 'updated';
+        }
+
+        if (!previous) { order.push(id); }
+        states[id] = state;
+    });
+
+    var result = { added: [], updated: [], deleted: [] };
+    order.forEach(function (id) {
+        result[states[id]].push(id);
+    });
+
+    return result;
+};
+
+/**
+ * The types of changes returned by getChanges(), see SP.ChangeType.
+ * @readonly
+ * @enum {number}
+ */
+SpRestApi.ChangeTypes = {
+    ADD: 1,
+    UPDATE: 2,
+    DELETE_OBJECT: 3,
+    RENAME: 4,
+    MOVE_AWAY: 5,
+    MOVE_INTO: 6,
+    RESTORE: 7,
+    SYSTEM_UPDATE: 15,
+};
+
+/**
+ * Returns a single item from a list.
+ * @param {number} itemId - The SharePoint list item ID of the item we need to
+ *      fetch.
+ * @returns {Promise.<Object>} A promise resolved with the server response,
+ *      or rejected with SpRestApi.Error if the ID is empty.
+ */
+SpRestApi.prototype.getItem = function (itemId) {
+    if (!itemId) {
+        return this.attachCallbacks(Promise.reject(
+            new SpRestApi.Error('The list item ID must not be empty.')));
+    }
+
+    var url = this.generateSingleListItemUrl(itemId);
+
+    var request = this.loadUrl(url, 'GET')
+        .then(this.deserializeResponse.bind(this));
+
+    return this.attachCallbacks(request);
+};
+
+/**
+ * Creates a new item in a SharePoint list. 
+ * @param {Object} item - The new SharePoint list item to be created. No need
+ *      to add the __metadata attribute.
+ * @returns {Promise.<Object>} A promise resolved with the created item.
+ */
+SpRestApi.prototype.createItem = function (item) {
+    var self = this;
+    var url = this.generateGetAllListItemsUrl();
+
+    var request = this.getListItemEntityType().then(function (type) {
+        item.__metadata = { 'type': type };
+        return self.serializeItem(item);
+    }).then(function (data) {
+        return self.loadUrl(url, 'POST', null, null, data);
+    }).then(this.deserializeResponse.bind(this));
+
+    return this.attachCallbacks(this.invalidateListCacheAfter(request));
+};
+
+/**
+ * Updates a single item in the SharePoint list. Only the values in columns
+ * specified in `data` will be overwritten.
+ * @param {number} listItemId - The SharePoint list item ID of the item to be
+ *      updated.
+ * @param {Object} item - The partial or full SharePoint list item containing
+ *      only the columns that need to be replaced.
+ * @param {string|Object} [etag] - The etag of the version that was read, or
+ *      the item (or server response) that was read. If the item has been
+ *      changed since, the update fails with SpRestApi.ConflictError. Without
+ *      an etag, the item is always overwritten. An item without an etag
+ *      rejects the update with SpRestApi.Error.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.updateItem = function (listItemId, item, etag) {
+    var self = this;
+    var url = this.generateSingleListItemUrl(listItemId);
+    var headers = {};
+
+    var request = Promise.resolve(etag).then(function (etag) {
+        headers['IF-MATCH'] = SpRestApi.getIfMatch(etag);
+        return self.getListItemEntityType();
+    }).then(function (type) {
+        item.__metadata = { 'type': type };
+        return self.serializeItem(item);
+    }).then(function (data) {
+        return self.sendRequest({
+            url: url,
+            method: 'MERGE',
+            headers: headers,
+            body: JSON.stringify(data),
+        });
+    }).then(null, this.handleConflict(listItemId));
+
+    return this.attachCallbacks(this.invalidateListCacheAfter(request));
+};
+
+/**
+ * Deletes a single item from a SharePoint list.
+ * @param {number} itemId - The SharePoint list item ID of the item to be
+ *      deleted.
+ * @param {string|Object} [etag] - The etag of the version that was read, or
+ *      the item that was read. See updateItem().
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteItem = function (itemId, etag) {
+    var self = this;
+    var url = this.generateSingleListItemUrl(itemId);
+
+    var request = Promise.resolve(etag).then(function (etag) {
+        return self.sendRequest({
+            url: url,
+            method: 'DELETE',
+            headers: { 'IF-MATCH': SpRestApi.getIfMatch(etag) },
+        });
+    }).then(null, this.handleConflict(itemId));
+
+    return this.attachCallbacks(this.invalidateListCacheAfter(request));
+};
+
+/**
+ * Returns the error handler of a conditional update or delete. If the item
+ * has been changed (412 Precondition Failed), the current version of the
+ * item is added to the SpRestApi.ConflictError.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {Function} The rejection handler, which always throws.
+ */
+SpRestApi.prototype.handleConflict = function (itemId) {
+    // The cached version is the one which caused the conflict
+    var api = this.withOptions({
+        cache: false,
+        onsuccess: null,
+        onerror: null,
+    });
+
+    return function (error) {
+        if (!error || error.status !== 412) { throw error; }
+
+        // The item may have been deleted meanwhile
+        return api.getItem(itemId).then(null, function () {
+            return null;
+        }).then(function (current) {
+            error.current = current;
+            error.etag = SpRestApi.getEtag(
+                current && SpRestApi.unwrapResponse(current));
+            throw error;
+        });
+    };
+};
+
+/**
+ * Moves a single item to the recycle bin of the site, from where it can be
+ * restored with restoreRecycleBinItem().
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {Promise.<string>} A promise resolved with the ID of the recycle
+ *      bin entry.
+ */
+SpRestApi.prototype.recycleItem = function (itemId) {
+    var url = this.options.urls.item.format(
+        this.generateListUrl(), itemId) + '/recycle()';
+
+    var request = this.loadUrl(url, 'POST').then(function (data) {
+        return SpRestApi.unwrapResponse(data);
+    });
+
+    return this.attachCallbacks(this.invalidateCacheAfter(request, [
+        this.generateListUrl(),
+        this.options.siteUrl + this.options.urls.recycleBin,
+    ]), true);
+};
+
+/**
+ * Fetches the recycle bin entries of the current list, i.e. the items and
+ * files deleted from the list or its folders, the most recent first.
+ * @returns {Promise.<Array.<Object>>} A promise resolved with the entries,
+ *      normalized, with `Id`, `Title`, `LeafName`, `DirName`,
+ *      `DeletedDate` and `DeletedByName` among others.
+ */
+SpRestApi.prototype.getRecycleBinItems = function () {
+    var api = this.withoutCallbacks();
+    var binUrl = this.options.siteUrl + this.options.urls.recycleBin +
+        '?$orderby=DeletedDate desc';
+
+    var request = Promise.all([
+        api.loadUrl(this.generateListUrl() +
+            '/RootFolder?$select=ServerRelativeUrl', 'GET'),
+        api.loadUrl(binUrl, 'GET'),
+    ]).then(function (responses) {
+        var folder = SpRestApi.unwrapResponse(responses[0]).ServerRelativeUrl
+            .replace(/^\/+/, '').toLowerCase();
+        var entries = SpRestApi.normalizeResponse(responses[1]);
+
+        // The web recycle bin contains the entries of all lists
+        return entries.filter(function (entry) {
+            var dir = (entry.DirName || '').replace(/^\/+/, '').toLowerCase();
+            return dir === folder || dir.indexOf(folder + '/') === 0;
+        });
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Restores an entry of the recycle bin to its original location.
+ * @param {string} recycleBinItemId - The ID of the entry, as returned by
+ *      recycleItem() or getRecycleBinItems().
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.restoreRecycleBinItem = function (recycleBinItemId) {
+    var url = this.options.siteUrl + this.options.urls.recycleBin +
+        '(\'' + recycleBinItemId + '\')/restore()';
+
+    return this.attachCallbacks(this.invalidateCacheAfter(
+        this.loadUrl(url, 'POST'), [
+            this.generateListUrl(),
+            this.options.siteUrl + this.options.urls.recycleBin,
+        ]));
+};
+
+/**
+ * Fetches the version history of a list item. Versioning must be enabled
+ * in the list settings.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {Promise.<Object>} A promise resolved with the versions, with
+ *      the column values of each version and the `VersionId`,
+ *      `VersionLabel` and `IsCurrentVersion` properties.
+ */
+SpRestApi.prototype.getItemVersions = function (itemId) {
+    var url = this.options.urls.item.format(
+        this.generateListUrl(), itemId) + '/versions';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Fetches a single version of a list item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {number|string} version - The VersionId (e.g. 512) or the
+ *      VersionLabel (e.g. '1.0') of the version.
+ * @returns {Promise.<Object>} A promise resolved with the version.
+ */
+SpRestApi.prototype.getItemVersion = function (itemId, version) {
+    var url = this.options.urls.item.format(this.generateListUrl(), itemId) +
+        '/versions(' + SpRestApi.getVersionId(version) + ')';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Compares two versions of a list item column by column. If the newer
+ * version is the first one and no older version is specified, it is
+ * compared with an empty item, so that every column is a change.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {number|string} [fromVersion] - The older version, as VersionId or
+ *      VersionLabel. The version before `toVersion` by default.
+ * @param {number|string} [toVersion] - The newer version. The current
+ *      version by default.
+ * @returns {Promise.<VersionDiff>} A promise resolved with the changes, or
+ *      rejected with SpRestApi.NotFoundError if the item has no versions
+ *      (versioning is off) or a version does not exist.
+ */
+SpRestApi.prototype.diffItemVersions = function (itemId, fromVersion,
+    toVersion) {
+    var api = this.withoutCallbacks();
+
+    var request = api.getItemVersions(itemId).then(function (data) {
+        var versions = SpRestApi.normalizeResponse(data)
+            .sort(function (a, b) { return a.VersionId - b.VersionId; });
+
+        if (versions.length === 0) {
+            throw new SpRestApi.NotFoundError('The item ' + itemId +
+                ' has no versions.');
+        }
+        var findIndex = function (version, defaultIndex) {
+            if (version === undefined || version === null) {
+                return defaultIndex;
+            }
+
+            var id = SpRestApi.getVersionId(version);
+            for (var i = 0; i < versions.length; i++) {
+                if (versions[i].VersionId === id) { return i; }
+            }
+
+            throw new SpRestApi.NotFoundError('Version ' + version +
+                ' of the item ' + itemId + ' does not exist.');
+        };
+
+        var to = findIndex(toVersion, versions.length - 1);
+        var from = findIndex(fromVersion, to - 1);
+
+        // The first version has nothing to be compared with
+        var older = from >= 0 ? versions[from] : {};
+
+        return {
+            from: from >= 0 ? older.VersionLabel : null,
+            to: versions[to].VersionLabel,
+            changes: SpRestApi.diffVersions(older, versions[to]),
+        };
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Restores a list item to an earlier version, by copying the values of the
+ * editable columns from that version. Same as in the version history in
+ * SharePoint, this creates a new version of the item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {number|string} version - The VersionId (e.g. 512) or the
+ *      VersionLabel (e.g. '1.0') of the version to be restored.
+ * @param {string|Object} [etag] - The etag of the current item, see
+ *      updateItem().
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.restoreItemVersion = function (itemId, version, etag) {
+    var api = this.withOptions({
+        onsuccess: null,
+        onerror: null,
+        normalize: false,
+        typedFields: true,
+    });
+
+    var request = Promise.all([
+        api.getItemVersion(itemId, version),
+        api.getFieldDefinitions(),
+    ]).then(function (results) {
+        var values = SpRestApi.getVersionValues(
+            SpRestApi.normalizeResponse(results[0]), results[1]);
+        return api.updateItem(itemId, values, etag);
+    });
+
+    return this.attachCallbacks(request);
+};
+
+/**
+ * @typedef {Object} VersionDiff - The changes between two versions of an
+ *      item.
+ * @property {?string} from - The label of the older version, or null if
+ *      the newer version is the first one.
+ * @property {string} to - The label of the newer version.
+ * @property {Array.<{field: string, from: any, to: any}>} changes - The
+ *      columns whose values differ.
+ */
+
+/**
+ * The properties of the item versions which are not compared by
+ * diffVersions(), because they change with every version.
+ * @type {Array.<string>}
+ */
+SpRestApi.VERSION_FIELDS = ['VersionId', 'VersionLabel', 'IsCurrentVersion',
+    'Created', 'Modified', 'Editor', 'ID', 'Id', 'GUID', 'UniqueId'];
+
+/**
+ * Compares two normalized versions of a list item.
+ * @param {?Object} older - The older version, or null for none.
+ * @param {Object} newer - The newer version.
+ * @returns {Array.<{field: string, from: any, to: any}>} The columns whose
+ *      values differ. The `from` value is undefined if there is no older
+ *      version.
+ * @static
+ */
+SpRestApi.diffVersions = function (older, newer) {
+    var changes = [];
+    var keys = Object.keys(newer);
+
+    Object.keys(older || {}).forEach(function (key) {
+        if (keys.indexOf(key) === -1) { keys.push(key); }
+    });
+
+    keys.forEach(function (key) {
+        // System columns like OData__UIVersionString change every time
+        if (SpRestApi.VERSION_FIELDS.indexOf(key) !== -1 ||
+            key.indexOf('OData__') === 0) {
+            return;
+        }
+
+        var from = older ? older[key] : undefined;
+        var to = newer[key];
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field: key, from: from, to: to });
+        }
+    });
+
+    return changes;
+};
+
+/**
+ * Extracts the values of the editable columns from a version of an item,
+ * in the format accepted by updateItem() with `options.typedFields`. The
+ * columns whose internal name starts with '_' keep the OData_ prefix of
+ * the REST API, e.g. 'OData__Comments'. Used by restoreItemVersion().
+ * @param {Object} version - The normalized version.
+ * @param {Array.<FieldInfo>} fields - The columns of the list.
+ * @returns {Object} The values.
+ * @static
+ */
+SpRestApi.getVersionValues = function (version, fields) {
+    var values = {};
+    var toId = function (value) {
+        return value && value.LookupId !== undefined ? value.LookupId : value;
+    };
+
+    fields.forEach(function (field) {
+        var name = field.internalName;
+        // Internal names starting with '_' have the OData_ prefix
+        var key = name.charAt(0) === '_' ? 'OData_' + name : name;
+
+        if (field.readOnly || field.hidden || !(key in version) ||
+            /^(Computed|Attachments|ContentTypeId)$/.test(field.type) ||
+            name === 'ContentType') {
+            return;
+        }
+
+        var value = version[key];
+        values[key] = value instanceof Array ? value.map(toId) : toId(value);
+    });
+
+    return values;
+};
+
+/**
+ * Converts a version label like '2.1' into the VersionId, e.g. 1025. The
+ * VersionId is the major version multiplied by 512, plus the minor version.
+ * @param {number|string} version - The VersionLabel or the VersionId.
+ * @returns {number} The VersionId.
+ * @static
+ */
+SpRestApi.getVersionId = function (version) {
+    if (typeof version === 'number') { return version; }
+
+    var parts = String(version).split('.');
+    return Number(parts[0]) * 512 + Number(parts[1] || 0);
+};
+
+/**
+ * Returns the etag of a list item in any verbosity: `__metadata.etag`,
+ * `odata.etag`, or `__etag` of a normalized item.
+ * @param {string|Object} item - The item, the server response containing
+ *      it, or the etag itself.
+ * @returns {string} The etag, or undefined if the item has none.
+ * @static
+ */
+SpRestApi.getEtag = function (item) {
+    if (!item || typeof item === 'string') { return item || undefined; }
+
+    item = SpRestApi.unwrapResponse(item);
+
+    return (item.__metadata && item.__metadata.etag) ||
+        item['odata.etag'] || item['@odata.etag'] || item.__etag;
+};
+
+/**
+ * Returns the IF-MATCH header of a conditional update or delete.
+ * @param {string|Object} [etag] - The etag, or the item that was read.
+ * @returns {string} The etag, or `*` (any version) if none was specified.
+ * @throws {SpRestApi.Error} If an item without an etag was specified, e.g.
+ *      one read with `verbosity: COMPACT`.
+ * @static
+ */
+SpRestApi.getIfMatch = function (etag) {
+    if (etag === undefined || etag === null || etag === '') { return '*'; }
+
+    var value = SpRestApi.getEtag(etag);
+
+    if (!value) {
+        throw new SpRestApi.Error('The item does not contain an etag. ' +
+            'Read it with metadata, or pass the etag itself.');
+    }
+
+    return value;
+};
+
+/**
+ * @typedef {Object} ExportOptions - The options of exportItems().
+ * @property {string} [headers] - 'internal' (default) for the internal
+ *      column names as headers, or 'title' for the display names.
+ * @property {Array.<string>} [columns] - The columns to export, in this
+ *      order, e.g. ['Title', 'Owner/Email']. By default all columns of the
+ *      loaded items.
+ * @property {string} [delimiter] - The CSV delimiter, ',' by default.
+ */
+
+/**
+ * Loads all items of the current list and converts them to CSV or JSON,
+ * e.g. for reporting. Use the `select` and `expand` options to choose the
+ * columns; expanded people and lookup columns are flattened, e.g. into
+ * 'Owner' if only `Owner/Title` is selected, or into 'Owner/Title' and
+ * 'Owner/Email'. Multiple values are joined with '; '.
+ * @param {string} format - 'csv' or 'json'.
+ * @param {ExportOptions} [exportOptions] - The export options.
+ * @returns {Promise.<string>} A promise resolved with the CSV or JSON text.
+ */
+SpRestApi.prototype.exportItems = function (format, exportOptions) {
+    exportOptions = exportOptions || {};
+
+    var api = this.withOptions({
+        onsuccess: null,
+        onerror: null,
+        normalize: false,
+        recursiveFetch: true,
+    });
+
+    var request = Promise.all([
+        api.getAllItems(),
+        exportOptions.headers === 'title' ? api.getFieldDefinitions() : [],
+    ]).then(function (results) {
+        var rows = SpRestApi.normalizeResponse(results[0])
+            .map(SpRestApi.flattenItem);
+        var columns = exportOptions.columns || SpRestApi.getColumns(rows);
+        var titles = SpRestApi.indexFields(results[1]);
+        var headers = columns.map(function (column) {
+            var parts = column.split('/');
+            var field = titles[parts[0]];
+            parts[0] = field ? field.title : parts[0];
+            return parts.join('/');
+        });
+
+        if (format === 'json') {
+            return JSON.stringify(rows.map(function (row) {
+                var result = {};
+                columns.forEach(function (column, i) {
+                    result[headers[i]] = row[column];
+                });
+                return result;
+            }), null, 2);
+        }
+
+        return SpRestApi.toCsv(rows, columns, headers,
+            exportOptions.delimiter);
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * @typedef {Object} ImportOptions - The options of importItems().
+ * @property {string} [format] - 'csv' or 'json'. Detected automatically if
+ *      not specified.
+ * @property {string} [key] - The internal name of the column which
+ *      identifies the rows, e.g. 'Title' or 'ProjectCode'. Rows whose key
+ *      matches an existing item update it, the other rows create new
+ *      items. Without a key, all rows create new items.
+ * @property {Object.<string, string>} [mapping] - The internal column
+ *      names by the headers of the file. The headers which are not mapped
+ *      are matched with the internal names and the display names of the
+ *      columns.
+ * @property {boolean} [dryRun] - Only report what would be done, without
+ *      changing the list.
+ * @property {string} [delimiter] - The CSV delimiter, ',' by default.
+ * @property {string} [decimalSeparator] - The decimal separator of the
+ *      numbers, ',' or '.'. The other one then separates the thousands.
+ *      Detected from each value if not specified, in which case values
+ *      like '1,234' or '1.234' are rejected as ambiguous.
+ */
+
+/**
+ * @typedef {Object} ImportReport - The result of importItems().
+ * @property {boolean} dryRun - Whether the list was left unchanged.
+ * @property {number} created - The number of rows created (or to be
+ *      created in a dry run).
+ * @property {number} updated - The number of rows updated (or to be
+ *      updated).
+ * @property {number} failed - The number of rows which failed.
+ * @property {Array.<string>} unmappedColumns - The headers of the file
+ *      which do not match any column and were ignored.
+ * @property {Array.<ImportRowResult>} rows - The result of each row.
+ */
+
+/**
+ * @typedef {Object} ImportRowResult - The result of a single imported row.
+ * @property {number} row - The number of the row in the file, starting
+ *      with 1 for the first row after the headers.
+ * @property {string} action - 'create', 'update' or 'error'.
+ * @property {number} [id] - The ID of the updated or created item.
+ * @property {Object} values - The values written, by internal names.
+ * @property {Error} [error] - The error, if the row failed.
+ */
+
+/**
+ * Imports rows from CSV or JSON into the current list. The values are
+ * converted according to the column types, e.g. numbers, ISO 8601 dates,
+ * Yes/No, multiple choices separated by ';', people by email or login name,
+ * and lookups by ID or the shown value. The rows are written
+ * independently: a row whose values cannot be converted, whose key appears
+ * in another row, or whose write fails, is reported in its result, and
+ * does not stop the others.
+ * @param {string|Array.<Object>} data - The CSV or JSON text, or the rows
+ *      as objects.
+ * @param {ImportOptions} [importOptions] - The import options.
+ * @returns {Promise.<ImportReport>} A promise resolved with the report, or
+ *      rejected with SpRestApi.Error if the data cannot be parsed.
+ */
+SpRestApi.prototype.importItems = function (data, importOptions) {
+    importOptions = importOptions || {};
+
+    var key = importOptions.key;
+    var api = this.withOptions({
+        onsuccess: null,
+        onerror: null,
+        normalize: false,
+        typedFields: true,
+    });
+
+    var request = new Promise(function (resolve) {
+        resolve(SpRestApi.parseImportData(data, importOptions));
+    }).then(function (rows) {
+        return Promise.all([
+            rows,
+            api.getFieldDefinitions(),
+            key ? api.withOptions({
+                select: ['Id', key],
+                expand: [],
+                filters: '',
+                recursiveFetch: true,
+                typedFields: false,
+            }).getAllItems() : null,
+        ]);
+    }).then(function (results) {
+        var rows = results[0];
+        var fields = results[1];
+        var existing = {};
+        var report = {
+            dryRun: Boolean(importOptions.dryRun),
+            created: 0,
+            updated: 0,
+            failed: 0,
+            unmappedColumns: [],
+            rows: [],
+        };
+        var mapping = SpRestApi.mapImportColumns(
+            SpRestApi.getColumns(rows), fields, importOptions.mapping);
+
+        Object.keys(mapping).forEach(function (header) {
+            if (!mapping[header]) { report.unmappedColumns.push(header); }
+        });
+
+        if (key) {
+            SpRestApi.normalizeResponse(results[2]).forEach(function (item) {
+                existing[String(item[key])] = item.Id;
+            });
+        }
+
+        rows.forEach(function (row, i) {
+            var result = { row: i + 1, action: 'create', values: {} };
+            report.rows.push(result);
+
+            try {
+                result.values = SpRestApi.convertImportRow(row, mapping,
+                    fields, importOptions.decimalSeparator);
+            } catch (error) {
+                result.action = 'error';
+                result.error = error;
+            }
+        });
+
+        if (key) { SpRestApi.rejectDuplicateKeys(report.rows, key); }
+
+        return Promise.all(report.rows.map(function (result) {
+            if (result.action === 'error') {
+                report.failed++;
+                return null;
+            }
+
+            var keyValue = key ? result.values[key] : undefined;
+            if (keyValue !== undefined && keyValue !== null &&
+                existing.hasOwnProperty(String(keyValue))) {
+                result.action = 'update';
+                result.id = existing[String(keyValue)];
+            }
+
+            return SpRestApi.writeImportRow(api, result, report);
+        })).then(function () {
+            return report;
+        });
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Marks the imported rows whose key appears in more than one row as
+ * failed, since it is not clear which of them should be written. Used by
+ * importItems().
+ * @param {Array.<ImportRowResult>} results - The results of the rows, which
+ *      are updated.
+ * @param {string} key - The internal name of the key column.
+ * @static
+ */
+SpRestApi.rejectDuplicateKeys = function (results, key) {
+    var rowsByKey = {};
+
+    results.forEach(function (result) {
+        var keyValue = result.values[key];
+        if (result.action === 'error' || keyValue === undefined ||
+            keyValue === null) {
+            return;
+        }
+
+        // Prefixed, so that e.g. 'constructor' is not an existing key
+        var name = '$' + keyValue;
+        rowsByKey[name] = rowsByKey[name] || [];
+        rowsByKey[name].push(result);
+    });
+
+    Object.keys(rowsByKey).forEach(function (name) {
+        var duplicates = rowsByKey[name];
+        if (duplicates.length < 2) { return; }
+
+        var rowNumbers = duplicates.map(function (result) {
+            return result.row;
+        }).join(', ');
+
+        duplicates.forEach(function (result) {
+            result.action = 'error';
+            result.error = new SpRestApi.Error('The key \'' +
+                name.substring(1) + '\' of the column \'' + key +
+                '\' appears in more than one row: ' + rowNumbers + '.');
+        });
+    });
+};
+
+/**
+ * Creates or updates the item of a single imported row, unless it is a
+ * dry run, and counts the result in the report. Used by importItems().
+ * @param {SpRestApi} api - The instance with `typedFields` on.
+ * @param {ImportRowResult} result - The result of the row, which is
+ *      updated.
+ * @param {ImportReport} report - The report, which is updated.
+ * @returns {Promise} A promise resolved when the row is done. Never
+ *      rejected; the error is stored in the result.
+ * @static
+ */
+SpRestApi.writeImportRow = function (api, result, report) {
+    var isUpdate = result.action === 'update';
+
+    if (report.dryRun) {
+        report[isUpdate ? 'updated' : 'created']++;
+        return Promise.resolve();
+    }
+
+    // createItem() and updateItem() add the __metadata to the item
+    var values = SpRestApi.extend({}, result.values);
+    var write = isUpdate ?
+        api.updateItem(result.id, values) : api.createItem(values);
+
+    return write.then(function (data) {
+        if (!isUpdate) { result.id = SpRestApi.unwrapResponse(data).Id; }
+        report[isUpdate ? 'updated' : 'created']++;
+    }, function (error) {
+        result.error = error;
+        report.failed++;
+    });
+};
+
+/**
+ * Parses the data of importItems() into rows.
+ * @param {string|Array.<Object>} data - The CSV or JSON text, or the rows.
+ * @param {ImportOptions} importOptions - The import options.
+ * @returns {Array.<Object>} The rows, with the values by the headers.
+ * @throws {SpRestApi.Error} If the data is not valid JSON or CSV text, or
+ *      a row is not an object.
+ * @static
+ */
+SpRestApi.parseImportData = function (data, importOptions) {
+    var rows = data;
+
+    if (typeof data === 'string') {
+        var format = importOptions.format ||
+            (/^\s*[[{]/.test(data) ? 'json' : 'csv');
+
+        if (format !== 'json') {
+            return SpRestApi.parseCsv(data, importOptions.delimiter);
+        }
+
+        try {
+            rows = JSON.parse(data);
+        } catch (error) {
+            throw new SpRestApi.Error('The data is not valid JSON: ' +
+                error.message);
+        }
+    } else if (!(data instanceof Array)) {
+        throw new SpRestApi.Error(
+            'The data must be CSV or JSON text, or an array of rows.');
+    }
+
+    rows = rows instanceof Array ? rows : [rows];
+
+    rows.forEach(function (row, i) {
+        if (!row || typeof row !== 'object' || row instanceof Array) {
+            throw new SpRestApi.Error('The row ' + (i + 1) +
+                ' is not an object.');
+        }
+    });
+
+    return rows;
+};
+
+/**
+ * Maps the headers of an imported file to the internal column names: by
+ * the explicit mapping, or by the internal or display name of a column,
+ * ignoring the case.
+ * @param {Array.<string>} headers - The headers of the file.
+ * @param {Array.<FieldInfo>} fields - The columns of the list.
+ * @param {Object.<string, string>} [mapping] - The explicit mapping.
+ * @returns {Object.<string, ?string>} The internal column names by the
+ *      headers, or null for the headers which do not match any column.
+ * @static
+ */
+SpRestApi.mapImportColumns = function (headers, fields, mapping) {
+    var result = {};
+
+    headers.forEach(function (header) {
+        if (mapping && mapping[header]) {
+            result[header] = mapping[header];
+            return;
+        }
+
+        var name = String(header).trim().toLowerCase();
+        var field = fields.filter(function (field) {
+            return field.internalName.toLowerCase() === name;
+        })[0] || fields.filter(function (field) {
+            return (field.title || '').toLowerCase() === name;
+        })[0];
+
+        result[header] = field ? field.internalName : null;
+    });
+
+    return result;
+};
+
+/**
+ * Converts the values of an imported row according to the column types.
+ * Text values from CSV are converted to numbers, dates, booleans and
+ * arrays; empty text clears the column. See convertImportValue().
+ * @param {Object} row - The row, with the values by the headers.
+ * @param {Object.<string, ?string>} mapping - The internal column names by
+ *      the headers, see mapImportColumns().
+ * @param {Array.<FieldInfo>} fields - The columns of the list.
+ * @param {string} [decimalSeparator] - The decimal separator of the
+ *      numbers, see parseImportNumber().
+ * @returns {Object} The values by the internal column names.
+ * @throws {SpRestApi.Error} If a value cannot be converted.
+ * @static
+ */
+SpRestApi.convertImportRow = function (row, mapping, fields,
+    decimalSeparator) {
+    var fieldsByName = SpRestApi.indexFields(fields);
+    var values = {};
+
+    Object.keys(row).forEach(function (header) {
+        var name = mapping[header];
+        if (!name) { return; }
+
+        var field = fieldsByName[name];
+        var value = SpRestApi.convertImportValue(row[header],
+            field ? field.type : '', decimalSeparator);
+
+        if (value === undefined) {
+            throw new SpRestApi.Error('The value \'' + row[header] +
+                '\' of the column \'' + header + '\' is not a valid ' +
+                SpRestApi.getImportTypeName(field.type) + '.');
+        }
+
+        values[name] = value;
+    });
+
+    return values;
+};
+
+/**
+ * Converts a single imported value according to the column type. Numbers
+ * are parsed by parseImportNumber(). Dates must be in the ISO 8601 format,
+ * e.g. '2017-12-31' or '2017-12-31T14:00:00Z'. Yes/No accepts 1/0,
+ * true/false, yes/no and y/n.
+ * @param {any} value - The value from CSV (text) or JSON.
+ * @param {string} type - The column type, or '' for unknown columns.
+ * @param {string} [decimalSeparator] - The decimal separator of the
+ *      numbers, see parseImportNumber().
+ * @returns {any} The converted value, or undefined if the value is not
+ *      valid for the column type.
+ * @static
+ */
+SpRestApi.convertImportValue = function (value, type, decimalSeparator) {
+    var isMulti = /^(MultiChoice|UserMulti|LookupMulti)$/.test(type);
+    var isNumber = /^(Number|Currency|Integer|Counter)$/.test(type);
+    var isInteger = /^(Integer|Counter)$/.test(type);
+
+    if (value === null || value === undefined) {
+        return isMulti ? [] : null;
+    }
+
+    if (typeof value !== 'string') {
+        // JSON values are kept, if they have the right type
+        if (isNumber && (typeof value !== 'number' || !isFinite(value) ||
+            (isInteger && value % 1 !== 0))) {
+            return undefined;
+        }
+
+        return type === 'Boolean' && typeof value !== 'boolean' ?
+            undefined : value;
+    }
+
+    value = value.trim();
+
+    if (value === '') { return isMulti ? [] : null; }
+
+    if (isMulti) {
+        return value.split(';').map(function (part) {
+            return part.trim();
+        }).filter(Boolean);
+    }
+
+    if (isNumber) {
+        var number = SpRestApi.parseImportNumber(value, decimalSeparator);
+        return isNaN(number) || (isInteger && number % 1 !== 0) ?
+            undefined : number;
+    }
+
+    if (type === 'Boolean') {
+        if (/^(1|true|yes|y)$/i.test(value)) { return true; }
+        return /^(0|false|no|n)$/i.test(value) ? false : undefined;
+    }
+
+    if (type === 'DateTime') {
+        var date = SpRestApi.parseImportDate(value);
+        return isNaN(date.getTime()) ? undefined : date;
+    }
+
+    return value;
+};
+
+/**
+ * Parses an imported number. ',' or '.' may be the decimal separator, and
+ * spaces or the other one separate the thousands, e.g. '1 234,5' or
+ * '1,234.5'. Without the decimal separator, the last separator is the
+ * decimal one unless it is repeated, and a single separator followed by
+ * three digits, e.g. '1,234' or '1.234', is ambiguous and rejected.
+ * @param {string} text - The trimmed text.
+ * @param {string} [decimalSeparator] - ',' or '.', detected from the text
+ *      by default.
+ * @returns {number} The number, or NaN if the text is not a number or is
+ *      ambiguous.
+ * @static
+ */
+SpRestApi.parseImportNumber = function (text, decimalSeparator) {
+    // Spaces (including the non-breaking ones) only group the digits
+    text = text.replace(/\s/g, '');
+
+    var separators = text.replace(/[^,.]/g, '');
+    var decimal = decimalSeparator;
+    var thousands;
+
+    if (decimal) {
+        thousands = decimal === ',' ? '.' : ',';
+    } else {
+        // The last separator is the decimal one, unless it is repeated,
+        // and the ones before it group the digits
+        var last = separators.charAt(separators.length - 1);
+        decimal = separators.indexOf(last) === separators.length - 1 ?
+            last : '';
+        thousands = (decimal ? separators.slice(0, -1) : separators)
+            .charAt(0);
+
+        // '1,234' and '1.234' are either 1234 or 1.234
+        if (decimal && !thousands &&
+            /^[+-]?[1-9]\d{0,2}[,.]\d{3}$/.test(text)) {
+            return NaN;
+        }
+    }
+
+    var parts = text.split(decimal || null);
+    var integer = parts[0];
+
+    if (parts.length > 2) { return NaN; }
+
+    if (thousands && integer.indexOf(thousands) !== -1) {
+        var grouped = thousands === ',' ? /^[+-]?\d{1,3}(,\d{3})+$/ :
+            /^[+-]?\d{1,3}(\.\d{3})+$/;
+        if (!grouped.test(integer)) { return NaN; }
+        integer = integer.split(thousands).join('');
+    }
+
+    text = integer + (parts.length > 1 ? '.' + parts[1] : '');
+
+    return /^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(text) ?
+        Number(text) : NaN;
+};
+
+/**
+ * Parses an ISO 8601 date, e.g. '2017-12-31', '2017-12-31 14:00' or
+ * '2017-12-31T14:00:00.000+01:00'. Dates without a time are midnight UTC,
+ * times without an offset are local, same as Date.parse(). Unlike
+ * Date.parse(), other formats and days which do not exist, e.g.
+ * '2017-02-31', are rejected.
+ * @param {string} text - The trimmed text.
+ * @returns {Date} The date, which is invalid if the text is not a date.
+ * @static
+ */
+SpRestApi.parseImportDate = function (text) {
+    var match = new RegExp('^(\\d{4})-(\\d{2})-(\\d{2})(?:[T ]\\d{2}:\\d{2}' +
+        '(?::\\d{2}(?:\\.\\d+)?)?(?:Z|[+-]\\d{2}:\\d{2})?)?$').exec(text);
+
+    if (!match) { return new Date(NaN); }
+
+    var year = Number(match[1]);
+    var month = Number(match[2]) - 1;
+    var day = Number(match[3]);
+    var check = new Date(Date.UTC(year, month, day));
+
+    if (check.getUTCMonth() !== month || check.getUTCDate() !== day) {
+        return new Date(NaN);
+    }
+
+    return new Date(text.replace(' ', 'T'));
+};
+
+/**
+ * Returns the description of a column type used in the import errors.
+ * @param {string} type - The column type.
+ * @returns {string} E.g. 'number', 'whole number', 'date' or 'Yes/No value'.
+ * @static
+ */
+SpRestApi.getImportTypeName = function (type) {
+    if (/^(Integer|Counter)$/.test(type)) { return 'whole number'; }
+    if (/^(Number|Currency)$/.test(type)) { return 'number'; }
+    if (type === 'DateTime') { return 'date (YYYY-MM-DD)'; }
+    return type === 'Boolean' ? 'Yes/No value' : type + ' value';
+};
+
+/**
+ * Flattens a normalized list item for exporting: expanded objects become
+ * separate columns like 'Owner/Email', or just 'Owner' if the object has a
+ * single property, and arrays are joined with '; '.
+ * @param {Object} item - The normalized item.
+ * @returns {Object.<string, any>} The flat item.
+ * @static
+ */
+SpRestApi.flattenItem = function (item) {
+    var result = {};
+    var join = function (values) {
+        return values.filter(function (value) {
+            return value !== null && value !== undefined;
+        }).join('; ');
+    };
+
+    Object.keys(item).forEach(function (key) {
+        var value = item[key];
+        var objects = [].concat(value).filter(function (value) {
+            return value && typeof value === 'object' &&
+                !(value instanceof Date);
+        });
+
+        if (objects.length === 0) {
+            result[key] = value instanceof Array ? join(value) : value;
+            return;
+        }
+
+        var properties = SpRestApi.getColumns(objects);
+        properties.forEach(function (property) {
+            var name = properties.length === 1 ? key : key + '/' + property;
+            result[name] = join(objects.map(function (object) {
+                return object[property];
+            }));
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Returns the property names of the rows, in the order of their first
+ * appearance.
+ * @param {Array.<Object>} rows - The rows.
+ * @returns {Array.<string>} The property names.
+ * @static
+ */
+SpRestApi.getColumns = function (rows) {
+    var columns = [];
+
+    rows.forEach(function (row) {
+        Object.keys(row).forEach(function (column) {
+            if (columns.indexOf(column) === -1) { columns.push(column); }
+        });
+    });
+
+    return columns;
+};
+
+/**
+ * Converts rows into CSV text, with a header line. Values containing the
+ * delimiter, quotes or line breaks are quoted.
+ * @param {Array.<Object>} rows - The rows.
+ * @param {Array.<string>} columns - The properties to be written.
+ * @param {Array.<string>} [headers] - The headers, same as `columns` by
+ *      default.
+ * @param {string} [delimiter] - The delimiter, ',' by default.
+ * @returns {string} The CSV text, with CRLF line breaks.
+ * @static
+ */
+SpRestApi.toCsv = function (rows, columns, headers, delimiter) {
+    delimiter = delimiter || ',';
+
+    var format = function (value) {
+        if (value === null || value === undefined) { return ''; }
+        if (value instanceof Date) { value = value.toISOString(); }
+
+        var text = String(value);
+        return text.indexOf(delimiter) !== -1 || /["\r\n]/.test(text) ?
+            '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+
+    var lines = [(headers || columns).map(format).join(delimiter)];
+    rows.forEach(function (row) {
+        lines.push(columns.map(function (column) {
+            return format(row[column]);
+        }).join(delimiter));
+    });
+
+    return lines.join('\r\n');
+};
+
+/**
+ * Parses CSV text with a header line into rows. Supports quoted values
+ * with delimiters, quotes and line breaks.
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter] - The delimiter, ',' by default.
+ * @returns {Array.<Object.<string, string>>} The rows, with the values by
+ *      the headers. Empty lines are skipped.
+ * @static
+ */
+SpRestApi.parseCsv = function (text, delimiter) {
+    delimiter = delimiter || ',';
+    // Remove the byte order mark, e.g. of files saved by Excel
+    text = text.replace(/^\uFEFF/, '');
+
+    var lines = [];
+    var line = [];
+    var value = '';
+    var quoted = false;
+
+    for (var i = 0; i < text.length; i++) {
+        var c = text.charAt(i);
+
+        if (quoted) {
+            if (c === '"' && text.charAt(i + 1) === '"') {
+                value += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            line.push(value);
+            value = '';
+        } else if (c === '\n' || c === '\r') {
+            line.push(value);
+            lines.push(line);
+            line = [];
+            value = '';
+            if (c === '\r' && text.charAt(i + 1) === '\n') { i++; }
+        } else {
+            value += c;
+        }
+    }
+
+    line.push(value);
+    lines.push(line);
+
+    lines = lines.filter(function (line) {
+        return line.length > 1 || line[0] !== '';
+    });
+
+    var headers = lines.shift() || [];
+
+    return lines.map(function (line) {
+        var row = {};
+        headers.forEach(function (header, i) {
+            row[header] = line[i] !== undefined ? line[i] : '';
+        });
+        return row;
+    });
+};
+
+/**
+ * Starts a new batch, which queues the createItem(), updateItem() and
+ * deleteItem() calls and sends them to the server with execute().
+ * @returns {SpRestApi.Batch} The new batch.
+ */
+SpRestApi.prototype.batch = function () {
+    return new SpRestApi.Batch(this);
+};
+
+/**
+ * A queue of list item changes which are sent to the SharePoint $batch
+ * endpoint as `multipart/mixed` requests. Each operation is sent in its own
+ * changeset, so that one failed operation does not roll back the others.
+ * The operations use the list title and other options of the SpRestApi
+ * instance at the time they are queued.
+ * @class
+ * @param {SpRestApi} api - The SpRestApi instance which sends the batch.
+ */
+SpRestApi.Batch = function (api) {
+    this.api = api;
+    this.operations = [];
+};
+
+/**
+ * @typedef {Object} BatchResult - The result of a single batch operation.
+ * @property {boolean} ok - Whether the operation succeeded.
+ * @property {number} status - The HTTP status code of the operation.
+ * @property {Object} [data] - The parsed response, e.g. the created item.
+ * @property {SpRestApi.Error} [error] - The error, if failed. The response
+ *      is in `error.response`.
+ */
+
+/**
+ * Queues the creation of a new list item. See SpRestApi.createItem().
+ * @param {Object} item - The new SharePoint list item to be created.
+ * @returns {SpRestApi.Batch} This batch.
+ */
+SpRestApi.Batch.prototype.createItem = function (item) {
+    var options = this.api.options;
+    return this.add('POST',
+        options.urls.list.format(this.api.generateListUrl()), item);
+};
+
+/**
+ * Queues the update of a list item. See SpRestApi.updateItem().
+ * @param {number} listItemId - The SharePoint list item ID.
+ * @param {Object} item - The columns to be replaced.
+ * @param {string|Object} [etag] - The etag or the item that was read. If the
+ *      item has been changed since, the result has status 412.
+ * @returns {SpRestApi.Batch} This batch.
+ */
+SpRestApi.Batch.prototype.updateItem = function (listItemId, item, etag) {
+    var options = this.api.options;
+    return this.add('MERGE', options.urls.item.format(
+        this.api.generateListUrl(), listItemId), item, etag);
+};
+
+/**
+ * Queues the deletion of a list item. See SpRestApi.deleteItem().
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {string|Object} [etag] - The etag or the item that was read.
+ * @returns {SpRestApi.Batch} This batch.
+ */
+SpRestApi.Batch.prototype.deleteItem = function (itemId, etag) {
+    var options = this.api.options;
+    return this.add('DELETE', options.urls.item.format(
+        this.api.generateListUrl(), itemId), null, etag);
+};
+
+/**
+ * Adds an operation to the queue.
+ * @param {string} method - 'POST', 'MERGE' or 'DELETE'.
+ * @param {string} url - The absolute URL of the operation.
+ * @param {Object} [data] - The data to be sent.
+ * @param {string|Object} [etag] - The IF-MATCH of MERGE and DELETE, `*` by
+ *      default.
+ * @returns {SpRestApi.Batch} This batch.
+ * @throws {SpRestApi.Error} If an item without an etag was specified.
+ */
+SpRestApi.Batch.prototype.add = function (method, url, data, etag) {
+    this.operations.push({
+        method: method,
+        url: url,
+        data: data,
+        etag: SpRestApi.getIfMatch(etag),
+        // The list may change before execute(), but its columns must not
+        api: this.api.withOptions({}),
+    });
+    return this;
+};
+
+/**
+ * Sends all queued operations to the server and clears the queue. The
+ * operations are split into chunks of `options.batchSize`, which are sent
+ * one after another.
+ * @returns {Promise.<Array.<BatchResult>>} A promise resolved with the
+ *      results in the same order as the operations were queued. Failed
+ *      operations do not reject the promise; check `ok` of each result.
+ */
+SpRestApi.Batch.prototype.execute = function () {
+    var self = this;
+    var operations = this.operations;
+    var size = this.api.options.batchSize || 100;
+    var results = [];
+    var chain = Promise.resolve();
+
+    this.operations = [];
+
+    for (var i = 0; i < operations.length; i += size) {
+        chain = chain.then(this.sendChunk.bind(this,
+            operations.slice(i, i + size)))
+            .then(function (chunkResults) {
+                results = results.concat(chunkResults);
+            });
+    }
+
+    // The cached responses of the changed lists are no longer valid
+    var listUrls = {};
+    operations.forEach(function (operation) {
+        listUrls[operation.api.generateListUrl()] = true;
+    });
+    var invalidate = function () {
+        Object.keys(listUrls).forEach(function (listUrl) {
+            self.api.invalidateCache(listUrl);
+        });
+    };
+
+    return this.api.attachCallbacks(chain.then(function () {
+        invalidate();
+        return results;
+    }, function (error) {
+        invalidate();
+        throw error;
+    }), true);
+};
+
+/**
+ * Sends a single $batch request with the specified operations.
+ * @param {Array.<Object>} operations - The operations to be sent.
+ * @returns {Promise.<Array.<BatchResult>>} A promise resolved with the
+ *      results of the operations.
+ */
+SpRestApi.Batch.prototype.sendChunk = function (operations) {
+    var self = this;
+    var options = this.api.options;
+    var boundary = 'batch_' + SpRestApi.generateGuid();
+
+    var serialized = Promise.all(operations.map(function (operation) {
+        if (!operation.data) { return operation; }
+
+        var api = operation.api;
+        return api.getListItemEntityType().then(function (type) {
+            return api.serializeItem(SpRestApi.extend({}, operation.data, {
+                __metadata: { 'type': type },
+            }));
+        }).then(function (data) {
+            return SpRestApi.extend({}, operation, { data: data });
+        });
+    }));
+
+    return serialized.then(function (serializedOperations) {
+        return self.api.sendRequest({
+            url: options.siteUrl + options.urls.batch,
+            method: 'POST',
+            headers: {
+                'Content-Type': 'multipart/mixed; boundary="' + boundary + '"',
+            },
+            body: SpRestApi.Batch.buildBody(serializedOperations, boundary,
+                options.verbosity),
+            responseType: 'text',
+        });
+    }).then(function (text) {
+        var responses = SpRestApi.Batch.parseResponse(text);
+
+        return operations.map(function (operation, i) {
+            var response = responses[i];
+            if (!response) {
+                // No response for this operation, e.g. because the
+                // server stopped processing the batch after an error
+                response = {
+                    status: 0,
+                    statusText: 'Not executed',
+                    responseText: '',
+                };
+            }
+
+            var ok = response.status >= 200 && response.status < 300;
+            var data = SpRestApi.parseJson(response.responseText);
+
+            if (ok) {
+                if (options.normalize) {
+                    data = SpRestApi.normalizeResponse(data);
+                }
+                return { ok: true, status: response.status, data: data };
+            }
+
+            response.responseJSON = data;
+            return {
+                ok: false,
+                status: response.status,
+                error: SpRestApi.createError(response, operation),
+            };
+        });
+    });
+};
+
+/**
+ * Generates the `multipart/mixed` body of a $batch request. Each operation
+ * has its own changeset, so that a failed operation does not roll back or
+ * stop the others, and each gets its own result.
+ * @param {Array.<Object>} operations - The operations to be sent.
+ * @param {string} boundary - The batch boundary.
+ * @param {Verbosity} verbosity - The Accept and Content-Type of operations.
+ * @returns {string} The request body.
+ * @static
+ */
+SpRestApi.Batch.buildBody = function (operations, boundary, verbosity) {
+    var lines = [];
+
+    operations.forEach(function (operation) {
+        var changeset = 'changeset_' + SpRestApi.generateGuid();
+
+        lines.push(
+            '--' + boundary,
+            'Content-Type: multipart/mixed; boundary="' + changeset + '"',
+            'Content-Transfer-Encoding: binary',
+            '',
+            '--' + changeset,
+            'Content-Type: application/http',
+            'Content-Transfer-Encoding: binary',
+            '',
+            // MERGE and DELETE are sent as POST, same as in sendRequest()
+            'POST ' + operation.url + ' HTTP/1.1',
+            'Accept: ' + verbosity,
+            'Content-Type: ' + verbosity);
+
+        if (operation.method !== 'POST') {
+            lines.push(
+                'IF-MATCH: ' + (operation.etag || '*'),
+                'X-HTTP-METHOD: ' + operation.method);
+        }
+
+        lines.push('', operation.data ? JSON.stringify(operation.data) : '',
+            '--' + changeset + '--', '');
+    });
+
+    lines.push('--' + boundary + '--', '');
+
+    return lines.join('\r\n');
+};
+
+/**
+ * Parses the `multipart/mixed` response of a $batch request into separate
+ * responses, one per operation, in the same order as the operations.
+ * @param {string} text - The response body.
+ * @returns {Array.<TransportResponse>} The responses of the operations,
+ *      without the getResponseHeader() function.
+ * @static
+ */
+SpRestApi.Batch.parseResponse = function (text) {
+    var responses = [];
+    var current = null;
+    var inBody = false;
+
+    (text || '').split(/\r?\n/).forEach(function (line) {
+        var status = /^HTTP\/1\.1 (\d{3}) ?(.*)$/.exec(line);
+
+        if (status) {
+            current = {
+                status: parseInt(status[1], 10),
+                statusText: status[2],
+                lines: [],
+            };
+            responses.push(current);
+            inBody = false;
+        } else if (!current) {
+            return;
+        } else if (/^--(batch|changeset)response_/.test(line)) {
+            current = null;
+        } else if (inBody) {
+            current.lines.push(line);
+        } else if (line === '') {
+            // An empty line separates the headers from the body
+            inBody = true;
+        }
+    });
+
+    return responses.map(function (response) {
+        return {
+            status: response.status,
+            statusText: response.statusText,
+            responseText: response.lines.join('\n').trim(),
+        };
+    });
+};
+
+/**
+ * Fetches the SharePoint user information, including the Groups that he is a
+ * member of.
+ * @param {number} userId - The SharePoint user ID of the user whose information
+ *      we are requesting.
+ * @returns {Promise.<Object>} A promise resolved with the user information,
+ *      or rejected with SpRestApi.Error if the ID is empty.
+ */
+SpRestApi.prototype.getUserById = function (userId) {
+    if (!userId) {
+        return this.attachCallbacks(Promise.reject(new SpRestApi.Error(
+            'Tried to get user information using an empty user ID.')));
+    }
+
+    var url = this.options.siteUrl + this.options.urls.user.format(userId);
+
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Returns the user with the specified login name or email, adding the user
+ * to the site if necessary.
+ * @param {string} logonName - The login name (e.g.
+ *      'i:0#.f|membership|john@example.com') or the email of the user.
+ * @returns {Promise.<Object>} A promise resolved with the user, including
+ *      the user ID in the site.
+ */
+SpRestApi.prototype.ensureUser = function (logonName) {
+    var url = this.options.siteUrl + this.options.urls.ensureUser;
+    return this.attachCallbacks(this.loadUrl(url, 'POST', null, null, {
+        logonName: logonName,
+    }));
+};
+
+/**
+ * Fetches the information about the current user, such as email, groups etc.
+ * Wrapper for getUserById(), gets the current user ID automatically.
+ * Outside a SharePoint page, or for another site than the one of the page,
+ * the user is read from /_api/web/currentuser.
+ * @returns {Promise.<Object>} A promise resolved with the user information.
+ */
+SpRestApi.prototype.getCurrentUser = function () {
+    var pageContext = typeof _spPageContextInfo !== 'undefined' ?
+        _spPageContextInfo : null;
+    var siteUrl = this.options.siteUrl.replace(/\/+$/, '').toLowerCase();
+
+    // The user ID of the page context is only valid in the page's site
+    // collection, and the other sites may belong to another one
+    var isPageSite = !!pageContext && [
+        pageContext.webAbsoluteUrl,
+        pageContext.siteAbsoluteUrl,
+    ].some(function (url) {
+        return !!url && url.replace(/\/+$/, '').toLowerCase() === siteUrl;
+    });
+
+    if (!isPageSite) {
+        var url = this.options.siteUrl + this.options.urls.currentUser +
+            '?$expand=Groups';
+        return this.attachCallbacks(this.loadUrl(url, 'GET'));
+    }
+
+    return this.getUserById(pageContext.userId);
+};
+
+/**
+ * Returns the site user with the specified email.
+ * @param {string} email - The email of the user.
+ * @returns {Promise.<Object>} A promise resolved with the user. Rejected
+ *      with SpRestApi.NotFoundError if the user has never been added to the
+ *      site; use ensureUser() to add them.
+ */
+SpRestApi.prototype.getUserByEmail = function (email) {
+    var url = this.options.siteUrl + this.options.urls.siteUsers +
+        '/getByEmail(\'' + SpRestApi.escapeUrlParameter(email) + '\')';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Returns the site user with the specified login name.
+ * @param {string} loginName - The login name, e.g.
+ *      'i:0#.f|membership|john@example.com'.
+ * @returns {Promise.<Object>} A promise resolved with the user. Rejected
+ *      with SpRestApi.NotFoundError if the user has never been added to the
+ *      site; use ensureUser() to add them.
+ */
+SpRestApi.prototype.getUserByLoginName = function (loginName) {
+    var url = this.options.siteUrl + this.options.urls.siteUsers +
+        '/getByLoginName(@v)?@v=\'' +
+        SpRestApi.escapeUrlParameter(loginName) + '\'';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Generates the URL of a SharePoint group of the site.
+ * @param {string|number} group - The name or the ID of the group.
+ * @returns {string} An URL ending with e.g. /sitegroups/getbyname('Owners').
+ */
+SpRestApi.prototype.generateGroupUrl = function (group) {
+    var url = this.options.siteUrl + this.options.urls.groups;
+
+    if (typeof group === 'number') {
+        return url + '/getbyid(' + group + ')';
+    }
+
+    return url + '/getbyname(\'' + SpRestApi.escapeUrlParameter(group) +
+        '\')';
+};
+
+/**
+ * Fetches the SharePoint groups of the site.
+ * @returns {Promise.<Object>} A promise resolved with the groups.
+ */
+SpRestApi.prototype.getGroups = function () {
+    var url = this.options.siteUrl + this.options.urls.groups;
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Fetches a single SharePoint group of the site.
+ * @param {string|number} group - The name or the ID of the group.
+ * @returns {Promise.<Object>} A promise resolved with the group.
+ */
+SpRestApi.prototype.getGroup = function (group) {
+    var url = this.generateGroupUrl(group);
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Fetches the members of a SharePoint group.
+ * @param {string|number} group - The name or the ID of the group.
+ * @returns {Promise.<Object>} A promise resolved with the users.
+ */
+SpRestApi.prototype.getGroupMembers = function (group) {
+    var url = this.generateGroupUrl(group) + '/users';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Adds a user to a SharePoint group. The user is added to the site first,
+ * if necessary.
+ * @param {string|number} group - The name or the ID of the group.
+ * @param {string} user - The login name or the email of the user.
+ * @returns {Promise.<Object>} A promise resolved with the added user.
+ */
+SpRestApi.prototype.addUserToGroup = function (group, user) {
+    var self = this;
+    var url = this.generateGroupUrl(group) + '/users';
+
+    var request = this.withoutCallbacks().ensureUser(user)
+        .then(function (data) {
+            return self.loadUrl(url, 'POST', null, null, {
+                __metadata: { 'type': 'SP.User' },
+                LoginName: SpRestApi.unwrapResponse(data).LoginName,
+            });
+        });
+
+    return this.attachCallbacks(this.invalidateGroupCacheAfter(request));
+};
+
+/**
+ * Removes a user from a SharePoint group.
+ * @param {string|number} group - The name or the ID of the group.
+ * @param {string|number} user - The ID, login name or email of the user.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.removeUserFromGroup = function (group, user) {
+    var self = this;
+    var url = this.generateGroupUrl(group) + '/users/removebyid({0})';
+
+    var userId = typeof user === 'number' ? Promise.resolve(user) :
+        this.withoutCallbacks().ensureUser(user).then(function (data) {
+            return SpRestApi.unwrapResponse(data).Id;
+        });
+
+    var request = userId.then(function (id) {
+        return self.loadUrl(url.format(id), 'POST');
+    });
+
+    return this.attachCallbacks(this.invalidateGroupCacheAfter(request));
+};
+
+/**
+ * Removes the cached responses of the groups and the current user once the
+ * change of a group membership completes.
+ * @param {Promise} request - The write request.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.invalidateGroupCacheAfter = function (request) {
+    var urls = this.options.urls;
+    return this.invalidateCacheAfter(request, [
+        this.options.siteUrl + urls.groups,
+        this.options.siteUrl + urls.currentUser,
+    ]);
+};
+
+/**
+ * Checks whether the current user is a member of a SharePoint group. Only
+ * direct membership is checked; users who are members through an Active
+ * Directory or Microsoft 365 group are not found.
+ * @param {string|number} group - The name or the ID of the group.
+ * @returns {Promise.<boolean>} A promise resolved with true if the user is
+ *      a member of the group.
+ */
+SpRestApi.prototype.isCurrentUserInGroup = function (group) {
+    var filter = typeof group === 'number' ? 'Id eq ' + group :
+        'Title eq ' + SpRestApi.formatODataValue(group);
+    var url = this.options.siteUrl + this.options.urls.currentUser +
+        '/groups?$select=Id&$filter=' + filter;
+
+    var request = this.loadUrl(url, 'GET').then(function (data) {
+        return SpRestApi.unwrapResponse(data).length > 0;
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * The types of principals found by searchPeople(). Can be combined, e.g.
+ * `USER | SECURITY_GROUP`.
+ * @readonly
+ * @enum {number}
+ */
+SpRestApi.PrincipalTypes = {
+    USER: 1,
+    DISTRIBUTION_LIST: 2,
+    SECURITY_GROUP: 4,
+    SHAREPOINT_GROUP: 8,
+    ALL: 15,
+};
+
+/**
+ * Searches for people by name, email or login name, the same way as the
+ * SharePoint people picker does.
+ * @param {string} query - The text typed by the user.
+ * @param {number} [maxResults] - The maximum number of results, 30 by
+ *      default.
+ * @param {number} [principalType] - What to search for, see
+ *      SpRestApi.PrincipalTypes. Users only by default.
+ * @returns {Promise.<Array.<Object>>} A promise resolved with the found
+ *      entities, each with `Key` (the login name), `DisplayText` and
+ *      `EntityData` (e.g. `Email`, `Title`, `Department`).
+ */
+SpRestApi.prototype.searchPeople = function (query, maxResults,
+    principalType) {
+    var url = this.options.siteUrl + this.options.urls.peoplePicker;
+
+    var request = this.loadUrl(url, 'POST', null, null, {
+        queryParams: {
+            __metadata: {
+                'type': 'SP.UI.ApplicationPages.' +
+                    'ClientPeoplePickerQueryParameters',
+            },
+            AllowEmailAddresses: true,
+            AllowMultipleEntities: false,
+            AllUrlZones: false,
+            MaximumEntitySuggestions: maxResults || 30,
+            PrincipalSource: 15,
+            PrincipalType: principalType || SpRestApi.PrincipalTypes.USER,
+            QueryString: query,
+        },
+    }).then(function (data) {
+        // The results are returned as a JSON string
+        var results = SpRestApi.unwrapResponse(data);
+        if (results && typeof results === 'object') {
+            results = results.ClientPeoplePickerSearchUser;
+        }
+        return SpRestApi.parseJson(results) || [];
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * The permissions which can be checked in the result of
+ * getEffectivePermissions(), see SP.PermissionKind.
+ * @readonly
+ * @enum {number}
+ */
+SpRestApi.PermissionKinds = {
+    viewListItems: 1,
+    addListItems: 2,
+    editListItems: 3,
+    deleteListItems: 4,
+    approveItems: 5,
+    openItems: 6,
+    viewVersions: 7,
+    deleteVersions: 8,
+    cancelCheckout: 9,
+    managePersonalViews: 10,
+    manageLists: 12,
+    viewFormPages: 13,
+    anonymousSearchAccessList: 14,
+    open: 17,
+    viewPages: 18,
+    addAndCustomizePages: 19,
+    applyThemeAndBorder: 20,
+    applyStyleSheets: 21,
+    viewUsageData: 22,
+    createSSCSite: 23,
+    manageSubwebs: 24,
+    createGroups: 25,
+    managePermissions: 26,
+    browseDirectories: 27,
+    browseUserInfo: 28,
+    addDelPrivateWebParts: 29,
+    updatePersonalWebParts: 30,
+    manageWeb: 31,
+    anonymousSearchAccessWebLists: 32,
+    useClientIntegration: 37,
+    useRemoteAPIs: 38,
+    manageAlerts: 39,
+    createAlerts: 40,
+    editMyUserInfo: 41,
+    enumeratePermissions: 63,
+    fullMask: 65,
+};
+
+/**
+ * Generates the URL of an object whose permissions can be managed: the
+ * site, the current list, or an item of the current list.
+ * @param {string|number} [scope] - 'web' for the site, 'list' (default)
+ *      for the current list, or the ID of a list item.
+ * @returns {string} The URL of the site, list or item.
+ */
+SpRestApi.prototype.generateSecurableUrl = function (scope) {
+    if (scope === 'web') {
+        return this.options.siteUrl + this.options.urls.web;
+    }
+
+    if (typeof scope === 'number') {
+        return this.options.urls.item.format(this.generateListUrl(), scope);
+    }
+
+    return this.generateListUrl();
+};
+
+/**
+ * Fetches the effective permissions of the current user, or of another user,
+ * on the site, the current list or a list item.
+ * @param {string|number} [scope] - 'web', 'list' (default) or the ID of a
+ *      list item. See generateSecurableUrl().
+ * @param {string} [user] - The login name or email of another user.
+ * @returns {Promise.<Object.<string, boolean>>} A promise resolved with the
+ *      permissions decoded with SpRestApi.decodePermissions(), e.g.
+ *      `{ viewListItems: true, editListItems: false, ... }`.
+ */
+SpRestApi.prototype.getEffectivePermissions = function (scope, user) {
+    var self = this;
+    var url = this.generateSecurableUrl(scope);
+
+    var loginName = !user || user.indexOf('|') !== -1 ?
+        Promise.resolve(user) :
+        this.withoutCallbacks().ensureUser(user).then(function (data) {
+            return SpRestApi.unwrapResponse(data).LoginName;
+        });
+
+    var request = loginName.then(function (loginName) {
+        return self.loadUrl(loginName ?
+            url + '/getusereffectivepermissions(@u)?@u=\'' +
+                SpRestApi.escapeUrlParameter(loginName) + '\'' :
+            url + '/EffectiveBasePermissions', 'GET');
+    }).then(function (data) {
+        return SpRestApi.decodePermissions(SpRestApi.unwrapResponse(data));
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Decodes the SP.BasePermissions bit masks into named flags.
+ * @param {{High: (string|number), Low: (string|number)}} permissions - The
+ *      permissions returned by SharePoint.
+ * @returns {Object.<string, boolean>} The flags named as in
+ *      SpRestApi.PermissionKinds.
+ * @static
+ */
+SpRestApi.decodePermissions = function (permissions) {
+    var high = Number(permissions.High);
+    var low = Number(permissions.Low);
+    var result = {};
+
+    Object.keys(SpRestApi.PermissionKinds).forEach(function (name) {
+        var bit = SpRestApi.PermissionKinds[name] - 1;
+
+        if (name === 'fullMask') {
+            result[name] = high === 0x7FFFFFFF && low === 0xFFFFFFFF;
+        } else if (bit < 32) {
+            result[name] = ((low >>> bit) & 1) === 1;
+        } else {
+            result[name] = ((high >>> (bit - 32)) & 1) === 1;
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Fetches the role assignments of the site, the current list or a list
+ * item, including the users or groups and their permission levels.
+ * @param {string|number} [scope] - 'web', 'list' (default) or the ID of a
+ *      list item.
+ * @returns {Promise.<Object>} A promise resolved with the role assignments.
+ */
+SpRestApi.prototype.getRoleAssignments = function (scope) {
+    var url = this.generateSecurableUrl(scope) +
+        '/roleassignments?$expand=Member,RoleDefinitionBindings';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Stops inheriting the permissions from the parent, so that the list or item
+ * can have its own permissions.
+ * @param {string|number} [scope] - 'list' (default) or the ID of a list
+ *      item.
+ * @param {boolean} [copyRoleAssignments] - Start with the permissions of
+ *      the parent. True by default; false to start with no permissions.
+ * @param {boolean} [clearSubscopes] - Make the child objects inherit the
+ *      new permissions. True by default.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.breakRoleInheritance = function (scope,
+    copyRoleAssignments, clearSubscopes) {
+    var url = this.generateSecurableUrl(scope) +
+        '/breakroleinheritance(copyRoleAssignments=' +
+        (copyRoleAssignments !== false) + ',clearSubscopes=' +
+        (clearSubscopes !== false) + ')';
+
+    return this.attachCallbacks(this.invalidateCacheAfter(
+        this.loadUrl(url, 'POST'), [this.generateSecurableUrl(scope)]));
+};
+
+/**
+ * Removes the own permissions of the list or item, and inherits them from
+ * the parent again.
+ * @param {string|number} [scope] - 'list' (default) or the ID of a list
+ *      item.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.resetRoleInheritance = function (scope) {
+    var url = this.generateSecurableUrl(scope) + '/resetroleinheritance';
+
+    return this.attachCallbacks(this.invalidateCacheAfter(
+        this.loadUrl(url, 'POST'), [this.generateSecurableUrl(scope)]));
+};
+
+/**
+ * Grants a permission level to a user or group. The list or item must not
+ * inherit its permissions; see breakRoleInheritance().
+ * @param {string|number} scope - 'web', 'list' or the ID of a list item.
+ * @param {string|number} principal - The ID of the user or group, the login
+ *      name or email of a user, or the name of a SharePoint group.
+ * @param {string|number} role - The name of the permission level (e.g.
+ *      'Contribute', 'Read') or the ID of the role definition.
+ * @returns {Promise.<Object>} A promise resolved with the server response,
+ *      or rejected with SpRestApi.Error if the role is empty.
+ */
+SpRestApi.prototype.addRoleAssignment = function (scope, principal, role) {
+    return this.changeRoleAssignment('addroleassignment', scope, principal,
+        role);
+};
+
+/**
+ * Removes a permission level from a user or group. Without the role, all
+ * permissions of the user or group are removed.
+ * @param {string|number} scope - 'web', 'list' or the ID of a list item.
+ * @param {string|number} principal - The ID of the user or group, the login
+ *      name or email of a user, or the name of a SharePoint group.
+ * @param {string|number} [role] - The name of the permission level or the
+ *      ID of the role definition.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.removeRoleAssignment = function (scope, principal, role) {
+    return this.changeRoleAssignment('removeroleassignment', scope,
+        principal, role);
+};
+
+/**
+ * Adds or removes a role assignment. Used by addRoleAssignment() and
+ * removeRoleAssignment().
+ * @param {string} method - 'addroleassignment' or 'removeroleassignment'.
+ * @param {string|number} scope - 'web', 'list' or the ID of a list item.
+ * @param {string|number} principal - The user or group.
+ * @param {string|number} [role] - The permission level. Required when
+ *      adding.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.changeRoleAssignment = function (method, scope,
+    principal, role) {
+    var self = this;
+    var url = this.generateSecurableUrl(scope) + '/roleassignments';
+    var isAllRoles = role === undefined || role === null || role === '';
+
+    // Only a removal may affect all permission levels of the principal
+    if (isAllRoles && method !== 'removeroleassignment') {
+        return this.attachCallbacks(Promise.reject(
+            new SpRestApi.Error('The role must not be empty.')));
+    }
+
+    var ids = Promise.all([
+        this.getPrincipalId(principal),
+        isAllRoles ? null : this.getRoleDefinitionId(role),
+    ]);
+
+    var request = ids.then(function (ids) {
+        if (isAllRoles) {
+            // All permission levels of the principal
+            return self.loadUrl(url + '/getbyprincipalid(' + ids[0] + ')',
+                'DELETE');
+        }
+
+        return self.loadUrl(url + '/' + method + '(principalid=' + ids[0] +
+            ',roledefid=' + ids[1] + ')', 'POST');
+    });
+
+    return this.attachCallbacks(this.invalidateCacheAfter(request,
+        [this.generateSecurableUrl(scope)]));
+};
+
+/**
+ * Returns the ID of a user or group. Strings containing '@' or '|' are
+ * login names or emails of users, which are added to the site if needed;
+ * other strings are names of SharePoint groups.
+ * @param {string|number} principal - The user or group.
+ * @returns {Promise.<number>} A promise resolved with the ID.
+ */
+SpRestApi.prototype.getPrincipalId = function (principal) {
+    if (typeof principal === 'number') { return Promise.resolve(principal); }
+
+    var api = this.withoutCallbacks();
+    var request = /[@|]/.test(principal) ?
+        api.ensureUser(principal) : api.getGroup(principal);
+
+    return request.then(function (data) {
+        return SpRestApi.unwrapResponse(data).Id;
+    });
+};
+
+/**
+ * Returns the ID of a role definition (permission level).
+ * @param {string|number} role - The name of the permission level, e.g.
+ *      'Contribute', or its ID.
+ * @returns {Promise.<number>} A promise resolved with the ID.
+ */
+SpRestApi.prototype.getRoleDefinitionId = function (role) {
+    if (typeof role === 'number') { return Promise.resolve(role); }
+
+    var url = this.options.siteUrl + this.options.urls.roleDefinitions +
+        '/getbyname(\'' + SpRestApi.escapeUrlParameter(role) + '\')?$select=Id';
+
+    return this.sendRequest({ url: url, method: 'GET' }).then(function (data) {
+        return SpRestApi.unwrapResponse(data).Id;
+    });
+};
+
+/**
+ * @typedef {Object} SearchQuery - The parameters of a search query.
+ * @property {Array.<string>} [selectProperties] - The managed properties to
+ *      be returned, e.g. ['Title', 'Path', 'LastModifiedTime'].
+ * @property {Array.<string>} [refiners] - The managed properties to be
+ *      returned as facets, e.g. ['FileType', 'Author'].
+ * @property {Array.<string>} [refinementFilters] - Restricts the results to
+ *      the selected facets, e.g. ['FileType:equals("docx")'].
+ * @property {Object.<string, string>|string} [sortList] - The sort order, as
+ *      `{ LastModifiedTime: 'descending' }` or
+ *      'LastModifiedTime:descending,Rank:descending'.
+ * @property {number} [rowLimit] - The number of results per page.
+ * @property {number} [startRow] - The index of the first result (0-based),
+ *      see `nextStartRow` in SearchResult.
+ * @property {string} [sourceId] - The ID of the result source.
+ * @property {boolean} [trimDuplicates] - Remove duplicate results. True by
+ *      default on the server.
+ */
+
+/**
+ * @typedef {Object} SearchResult - The flattened result of a search query.
+ * @property {Array.<Object>} items - The results, as plain objects with the
+ *      managed properties, e.g. `{ Title: 'Budget', Path: '...', Rank: 12.3 }`.
+ * @property {number} totalRows - The total number of results.
+ * @property {number} rowCount - The number of results in this page.
+ * @property {?number} nextStartRow - The startRow of the next page, or null
+ *      if this is the last page.
+ * @property {Object.<string, Array.<SearchRefinement>>} refiners - The facets
+ *      by the name of the refiner.
+ */
+
+/**
+ * @typedef {Object} SearchRefinement - A single value of a refiner.
+ * @property {string} name - The display name of the value.
+ * @property {string} value - The value itself.
+ * @property {number} count - The number of results with this value.
+ * @property {string} token - The token to be used in `refinementFilters`.
+ */
+
+/**
+ * Runs a query using the SharePoint search, e.g. to collect the items of
+ * several sites. The response is flattened by
+ * SpRestApi.flattenSearchResults().
+ * @param {string} queryText - The KQL query, e.g.
+ *      'ContentTypeId:0x0100* Path:"https://example.com/sites/projects"'.
+ * @param {SearchQuery} [query] - The other parameters of the query.
+ * @returns {Promise.<SearchResult>} A promise resolved with the results.
+ */
+SpRestApi.prototype.search = function (queryText, query) {
+    var url = this.options.siteUrl + this.options.urls.search +
+        SpRestApi.buildSearchQueryString(queryText, query || {});
+
+    var request = this.loadUrl(url, 'GET').then(function (data) {
+        return SpRestApi.flattenSearchResults(data);
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Builds the query string of a search query.
+ * @param {string} queryText - The KQL query.
+ * @param {SearchQuery} query - The other parameters of the query.
+ * @returns {string} The query string, starting with '?'.
+ * @static
+ */
+SpRestApi.buildSearchQueryString = function (queryText, query) {
+    var text = function (value) {
+        return '\'' + SpRestApi.escapeUrlParameter(value) + '\'';
+    };
+    var params = ['querytext=' + text(queryText)];
+    var sortList = query.sortList;
+
+    if (sortList && typeof sortList === 'object') {
+        sortList = Object.keys(sortList).map(function (property) {
+            return property + ':' + sortList[property];
+        }).join(',');
+    }
+
+    if (query.selectProperties) {
+        params.push('selectproperties=' +
+            text(query.selectProperties.join(',')));
+    }
+    if (query.refiners) {
+        params.push('refiners=' + text(query.refiners.join(',')));
+    }
+    if (query.refinementFilters) {
+        params.push('refinementfilters=' +
+            text(query.refinementFilters.join(',')));
+    }
+    if (sortList) { params.push('sortlist=' + text(sortList)); }
+    if (query.rowLimit) { params.push('rowlimit=' + query.rowLimit); }
+    if (query.startRow) { params.push('startrow=' + query.startRow); }
+    if (query.sourceId) { params.push('sourceid=' + text(query.sourceId)); }
+    if (query.trimDuplicates !== undefined) {
+        params.push('trimduplicates=' + Boolean(query.trimDuplicates));
+    }
+
+    return '?' + params.join('&');
+};
+
+/**
+ * Converts the response of the search API, in any verbosity, into plain
+ * objects: the rows of `PrimaryQueryResult.RelevantResults.Table` become
+ * objects with the cell values, and the refinement results become arrays of
+ * facets.
+ * @param {Object} data - The parsed JSON response.
+ * @returns {SearchResult} The flattened results.
+ * @static
+ */
+SpRestApi.flattenSearchResults = function (data) {
+    var query = SpRestApi.normalizeEntity(SpRestApi.unwrapResponse(data));
+    var primary = query.PrimaryQueryResult || {};
+    var relevant = primary.RelevantResults || {};
+    var rows = relevant.Table ? relevant.Table.Rows : [];
+    var refiners = primary.RefinementResults ?
+        primary.RefinementResults.Refiners : [];
+    var startRow = query.Properties ? SpRestApi.getSearchProperty(
+        query.Properties, 'StartRow') : undefined;
+
+    var result = {
+        items: rows.map(function (row) {
+            var item = {};
+            row.Cells.forEach(function (cell) {
+                item[cell.Key] = SpRestApi.parseSearchValue(cell.Value,
+                    cell.ValueType);
+            });
+            return item;
+        }),
+        totalRows: Number(relevant.TotalRows) || 0,
+        rowCount: Number(relevant.RowCount) || 0,
+        nextStartRow: null,
+        refiners: {},
+    };
+
+    var next = (Number(startRow) || 0) + result.rowCount;
+    if (result.rowCount > 0 && next < result.totalRows) {
+        result.nextStartRow = next;
+    }
+
+    refiners.forEach(function (refiner) {
+        result.refiners[refiner.Name] = refiner.Entries.map(function (entry) {
+            return {
+                name: entry.RefinementName,
+                value: entry.RefinementValue,
+                count: Number(entry.RefinementCount),
+                token: entry.RefinementToken,
+            };
+        });
+    });
+
+    return result;
+};
+
+/**
+ * Returns a value from the `Properties` of a search response.
+ * @param {Array.<{Key: string, Value: any}>} properties - The properties.
+ * @param {string} key - The name of the property.
+ * @returns {any} The value, or undefined if it is missing.
+ * @static
+ */
+SpRestApi.getSearchProperty = function (properties, key) {
+    var property = properties.filter(function (property) {
+        return property.Key === key;
+    })[0];
+
+    return property ? property.Value : undefined;
+};
+
+/**
+ * Converts the value of a search result cell, which is always a string, to
+ * the type of the managed property.
+ * @param {?string} value - The value.
+ * @param {string} type - The type, e.g. 'Edm.Int64' or 'Edm.DateTime'.
+ * @returns {any} A number, boolean or Date, or the value itself for the
+ *      other types.
+ * @static
+ */
+SpRestApi.parseSearchValue = function (value, type) {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+
+    if (/^Edm\.(Int16|Int32|Int64|Double|Decimal|Single)$/.test(type)) {
+        return Number(value);
+    } else if (type === 'Edm.Boolean') {
+        return String(value).toLowerCase() === 'true';
+    } else if (type === 'Edm.DateTime') {
+        return new Date(value);
+    }
+
+    return value;
+};
+
+/**
+ * Generates the URL of the current list itself (not its items), e.g. to
+ * read its fields. `options.listTitle` can be the list title, its ID, or
+ * its server-relative URL.
+ * @returns {string} An URL ending with e.g. /lists/getbytitle('MyList'),
+ *      /lists(guid'...') or /GetList('/sites/dev/Lists/MyList').
+ */
+SpRestApi.prototype.generateListUrl = function () {
+    var urls = this.options.urls;
+    var list = this.options.listTitle;
+    var url;
+
+    if (SpRestApi.isGuid(list)) {
+        url = urls.listById.format(list.replace(/[{}]/g, ''));
+    } else if (list.charAt(0) === '/') {
+        url = urls.listByUrl.format(SpRestApi.escapeUrlParameter(list));
+    } else {
+        url = urls.listInfo.format(SpRestApi.escapeUrlParameter(list));
+    }
+
+    return this.options.siteUrl + url;
+};
+
+/**
+ * Fetches the ListItemEntityTypeFullName of the current list, e.g.
+ * 'SP.Data.ProjectsListItem', which is required by SharePoint when creating
+ * or updating list items. The result is cached per list.
+ * @returns {Promise.<string>} A promise resolved with the entity type name.
+ */
+SpRestApi.prototype.getListItemEntityType = function () {
+    var cache = this.entityTypeCache;
+    var listUrl = this.generateListUrl();
+
+    if (!cache[listUrl]) {
+        cache[listUrl] = this.sendRequest({
+            url: listUrl + '?$select=ListItemEntityTypeFullName',
+            method: 'GET',
+        }).then(function (data) {
+            return SpRestApi.unwrapResponse(data).ListItemEntityTypeFullName;
+        }, function (error) {
+            delete cache[listUrl];
+            throw error;
+        });
+    }
+
+    return cache[listUrl];
+};
+
+/**
+ * @typedef {Object} FieldInfo - The simplified definition of a list column.
+ *      The same structure is used to add new columns with addField().
+ * @property {string} internalName - The internal (static) name of the column.
+ * @property {string} title - The display name of the column.
+ * @property {string} type - The field type, e.g. 'Text', 'Note', 'Choice',
+ *      'MultiChoice', 'Number', 'Currency', 'DateTime', 'Boolean', 'Lookup',
+ *      'LookupMulti', 'User' or 'UserMulti'.
+ * @property {boolean} [required] - Whether a value is required.
+ * @property {string} [description] - The column description.
+ * @property {Array.<string>} [choices] - The choices of Choice columns.
+ * @property {string} [lookupList] - The ID of the lookup target list. When
+ *      adding a field, the list title can be specified instead.
+ * @property {string} [lookupField] - The column shown from the lookup list.
+ * @property {boolean} [dateOnly] - DateTime columns without the time.
+ * @property {boolean} [readOnly] - Whether the column is read-only.
+ * @property {boolean} [hidden] - Whether the column is hidden.
+ */
+
+/**
+ * Fetches the columns of the current list.
+ * @param {boolean} [includeHidden] - Include the hidden columns.
+ * @returns {Promise.<Array.<FieldInfo>>} A promise resolved with the
+ *      columns, regardless of the verbosity setting.
+ */
+SpRestApi.prototype.getFields = function (includeHidden) {
+    var url = this.generateListUrl() + '/fields';
+    if (!includeHidden) { url += '?$filter=Hidden eq false'; }
+
+    var request = this.loadUrl(url, 'GET').then(function (data) {
+        return SpRestApi.normalizeResponse(data).map(SpRestApi.parseField);
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Converts a field returned by SharePoint into a FieldInfo object.
+ * @param {Object} field - The normalized SP.Field object.
+ * @returns {FieldInfo} The simplified field definition.
+ * @static
+ */
+SpRestApi.parseField = function (field) {
+    return {
+        internalName: field.InternalName,
+        title: field.Title,
+        type: field.TypeAsString,
+        required: field.Required,
+        description: field.Description,
+        choices: field.Choices,
+        lookupList: field.LookupList,
+        lookupField: field.LookupField,
+        dateOnly: field.DisplayFormat === 0 &&
+            field.TypeAsString === 'DateTime',
+        readOnly: field.ReadOnlyField,
+        hidden: field.Hidden,
+    };
+};
+
+/**
+ * Fetches the properties of the current site, such as the title, the
+ * language and the regional settings with the time zone.
+ * @returns {Promise.<Object>} A promise resolved with the site.
+ */
+SpRestApi.prototype.getWeb = function () {
+    var url = this.options.siteUrl + this.options.urls.web +
+        '?$expand=RegionalSettings,RegionalSettings/TimeZone';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Fetches the subsites of the current site. Use web() with their
+ * `ServerRelativeUrl` to work with the lists of a subsite.
+ * @param {boolean} [recursive] - Include the subsites of the subsites.
+ *      The result is then a flat array, with the subsites of each site
+ *      following the site itself.
+ * @returns {Promise.<Object>} A promise resolved with the subsites.
+ */
+SpRestApi.prototype.getSubwebs = function (recursive) {
+    var url = this.options.siteUrl + this.options.urls.web + '/webs';
+
+    if (!recursive) {
+        return this.attachCallbacks(this.loadUrl(url, 'GET'));
+    }
+
+    var api = this.withOptions({
+        onsuccess: null,
+        onerror: null,
+        normalize: false,
+    });
+
+    var request = api.loadUrl(url, 'GET').then(function (data) {
+        var webs = SpRestApi.normalizeEntity(SpRestApi.unwrapResponse(data));
+
+        return Promise.all(webs.map(function (web) {
+            return api.web(web.ServerRelativeUrl).getSubwebs(true);
+        })).then(function (subwebs) {
+            return webs.reduce(function (result, web, i) {
+                return result.concat([web], subwebs[i]);
+            }, []);
+        });
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Fetches the lists of the current site with their metadata, e.g. the
+ * title, ID, template, number of items and the URL of the root folder.
+ * @param {boolean} [includeHidden] - Include the hidden lists.
+ * @returns {Promise.<Object>} A promise resolved with the lists.
+ */
+SpRestApi.prototype.getLists = function (includeHidden) {
+    var url = this.options.siteUrl + this.options.urls.lists +
+        '?$select=Id,Title,Description,BaseTemplate,BaseType,Hidden,' +
+        'ItemCount,Created,LastItemModifiedDate,RootFolder/ServerRelativeUrl' +
+        '&$expand=RootFolder';
+
+    if (!includeHidden) { url += '&$filter=Hidden eq false'; }
+
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Fetches the property bag of the current site, e.g. the custom settings
+ * stored by an application.
+ * @returns {Promise.<Object.<string, any>>} A promise resolved with the
+ *      properties as a plain object, with the keys as they were stored
+ *      (without the `_x005f_` encoding of the REST API).
+ */
+SpRestApi.prototype.getPropertyBag = function () {
+    var url = this.options.siteUrl + this.options.urls.web + '/AllProperties';
+
+    var request = this.loadUrl(url, 'GET').then(function (data) {
+        var properties = SpRestApi.normalizeEntity(
+            SpRestApi.unwrapResponse(data));
+        var result = {};
+
+        Object.keys(properties).forEach(function (key) {
+            result[SpRestApi.decodeSharepointSpecialChars(key)] =
+                properties[key];
+        });
+
+        return result;
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Stores a value in the property bag of the current site. The REST API
+ * cannot write the property bag, so the client.svc ProcessQuery endpoint is
+ * used instead. Custom scripts must be allowed on the site.
+ * @param {string} key - The name of the property.
+ * @param {?(string|number|boolean)} value - The value, or null to remove
+ *      the property.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.setPropertyBagValue = function (key, value) {
+    var parameter = value === null || value === undefined ?
+        '<Parameter Type="Null" />' :
+        '<Parameter Type="String">' + SpRestApi.escapeXml(value) +
+            '</Parameter>';
+
+    var request = {
+        url: this.options.siteUrl + this.options.urls.processQuery,
+        method: 'POST',
+        headers: { 'Content-Type': 'text/xml' },
+        body: '<Request xmlns="http://schemas.microsoft.com/sharepoint/' +
+            'clientquery/2009" SchemaVersion="15.0.0.0" ' +
+            'LibraryVersion="16.0.0.0" ApplicationName="sp-rest-api">' +
+            '<Actions>' +
+            '<Method Name="SetFieldValue" Id="1" ObjectPathId="2">' +
+            '<Parameters><Parameter Type="String">' +
+            SpRestApi.escapeXml(key) + '</Parameter>' + parameter +
+            '</Parameters></Method>' +
+            '<Method Name="Update" Id="3" ObjectPathId="4" />' +
+            '</Actions><ObjectPaths>' +
+            '<Property Id="2" ParentId="4" Name="AllProperties" />' +
+            '<Property Id="4" ParentId="5" Name="Web" />' +
+            '<StaticProperty Id="5" ' +
+            'TypeId="{3747adcd-a3c3-41b9-bfab-4a64dd2f1e0a}" ' +
+            'Name="Current" />' +
+            '</ObjectPaths></Request>',
+    };
+
+    var result = this.sendRequest(request).then(function (data) {
+        // The first element of the response describes the errors, if any
+        var info = data instanceof Array ? data[0] : null;
+        if (info && info.ErrorInfo) {
+            var error = new SpRestApi.Error(info.ErrorInfo.ErrorMessage,
+                null, request);
+            error.code = info.ErrorInfo.ErrorTypeName;
+            throw error;
+        }
+
+        return data;
+    });
+
+    return this.attachCallbacks(this.invalidateCacheAfter(result,
+        [this.options.siteUrl + this.options.urls.web]), true);
+};
+
+/**
+ * Creates a new list in the current site. Does not change the list title
+ * in the options.
+ * @param {string} title - The title of the new list.
+ * @param {number} [template] - The list template, e.g. 100 for a custom list
+ *      (default) or 101 for a document library.
+ * @param {string} [description] - The list description.
+ * @returns {Promise.<Object>} A promise resolved with the created list.
+ */
+SpRestApi.prototype.createList = function (title, template, description) {
+    var url = this.options.siteUrl + this.options.urls.lists;
+
+    var request = this.loadUrl(url, 'POST', null, null, {
+        __metadata: { 'type': 'SP.List' },
+        Title: title,
+        BaseTemplate: template || 100,
+        Description: description || '',
+    });
+
+    return this.attachCallbacks(this.invalidateAllListsCacheAfter(request));
+};
+
+/**
+ * Deletes the current list with all its items.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteList = function () {
+    var self = this;
+    var url = this.generateListUrl();
+
+    var request = this.loadUrl(url, 'DELETE').then(function (response) {
+        delete self.entityTypeCache[url];
+        delete self.fieldCache[url];
+        return response;
+    });
+
+    return this.attachCallbacks(this.invalidateAllListsCacheAfter(request));
+};
+
+/**
+ * Adds a new column to the current list. If `lookupList` is a list title
+ * instead of an ID, the ID is looked up first.
+ * @param {FieldInfo} field - The column definition.
+ * @param {boolean} [addToDefaultView] - Show the column in the default view.
+ * @returns {Promise.<Object>} A promise resolved with the created field.
+ */
+SpRestApi.prototype.addField = function (field, addToDefaultView) {
+    var self = this;
+    var url = this.generateListUrl() + '/fields/CreateFieldAsXml';
+    var lookupList = Promise.resolve(field.lookupList);
+
+    if (field.lookupList && !SpRestApi.isGuid(field.lookupList)) {
+        lookupList = this.getListId(field.lookupList);
+    }
+
+    var request = lookupList.then(function (lookupListId) {
+        var schemaXml = SpRestApi.generateFieldSchemaXml(
+            SpRestApi.extend({}, field, { lookupList: lookupListId }));
+
+        return self.loadUrl(url, 'POST', null, null, {
+            parameters: {
+                __metadata: {
+                    'type': 'SP.XmlSchemaFieldCreationInformation'
+                },
+                SchemaXml: schemaXml,
+                // AddFieldInternalNameHint (8), AddFieldToDefaultView (16)
+                Options: addToDefaultView ? 8 | 16 : 8,
+            },
+        });
+    });
+
+    return this.attachCallbacks(
+        this.invalidateListCacheAfter(this.clearFieldCacheAfter(request)));
+};
+
+/**
+ * Updates the display name, description, required flag or choices of a
+ * column in the current list. The type of a column cannot be changed.
+ * @param {string} internalName - The internal name of the column.
+ * @param {FieldInfo} field - The properties to be changed. The `type` is
+ *      required to update the choices.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.updateField = function (internalName, field) {
+    var url = this.generateListUrl() + '/fields/getbyinternalnameortitle(\'' +
+        SpRestApi.escapeUrlParameter(internalName) + '\')';
+
+    var data = {
+        __metadata: {
+            'type': SpRestApi.FieldTypes[field.type] || 'SP.Field'
+        },
+        Title: field.title,
+        Description: field.description,
+        Required: field.required,
+    };
+
+    if (field.choices) {
+        data.Choices = {
+            __metadata: { 'type': 'Collection(Edm.String)' },
+            results: field.choices,
+        };
+    }
+
+    // Remove the properties which are not being changed
+    Object.keys(data).forEach(function (key) {
+        if (data[key] === undefined) { delete data[key]; }
+    });
+
+    var request = this.loadUrl(url, 'MERGE', null, null, data);
+
+    return this.attachCallbacks(
+        this.invalidateListCacheAfter(this.clearFieldCacheAfter(request)));
+};
+
+/**
+ * Deletes a column from the current list.
+ * @param {string} internalName - The internal name of the column.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteField = function (internalName) {
+    var url = this.generateListUrl() + '/fields/getbyinternalnameortitle(\'' +
+        SpRestApi.escapeUrlParameter(internalName) + '\')';
+    var request = this.loadUrl(url, 'DELETE');
+
+    return this.attachCallbacks(
+        this.invalidateListCacheAfter(this.clearFieldCacheAfter(request)));
+};
+
+/**
+ * Fetches the ID of a list in the current site by its title.
+ * @param {string} listTitle - The display name of the list.
+ * @returns {Promise.<string>} A promise resolved with the list ID.
+ */
+SpRestApi.prototype.getListId = function (listTitle) {
+    var url = this.options.siteUrl + this.options.urls.listInfo.format(
+        SpRestApi.escapeUrlParameter(listTitle)) + '?$select=Id';
+
+    return this.sendRequest({ url: url, method: 'GET' }).then(function (data) {
+        return SpRestApi.unwrapResponse(data).Id;
+    });
+};
+
+/**
+ * @typedef {Object} ListSchema - The declarative definition of a list.
+ * @property {string} title - The list title.
+ * @property {number} [template] - The list template, 100 by default.
+ * @property {string} [description] - The list description.
+ * @property {Array.<FieldInfo>} fields - The columns of the list.
+ */
+/**
+ * @typedef {Object} ProvisionReport - The differences found by
+ *      provisionList(), which were fixed unless it was a dry run.
+ * @property {boolean} listCreated - The list did not exist.
+ * @property {Array.<string>} added - The columns which did not exist.
+ * @property {Array.<Object>} differences - The columns whose properties
+ *      differ from the schema, as { field, property, expected, actual }.
+ *      Type differences are reported, but cannot be fixed.
+ * @property {Array.<string>} unchanged - The columns matching the schema.
+ */
+
+/**
+ * Creates the list and its columns from the schema, or updates an existing
+ * list to match the schema. Columns which are in the list but not in the
+ * schema are left alone.
+ * @param {ListSchema} schema - The definition of the list.
+ * @param {boolean} [dryRun] - Only report the differences, without making
+ *      any changes.
+ * @returns {Promise.<ProvisionReport>} A promise resolved with the report.
+ */
+SpRestApi.prototype.provisionList = function (schema, dryRun) {
+    var api = this.withoutCallbacks().withOptions({ listTitle: schema.title });
+    var report = { listCreated: false, added: [], differences: [],
+        unchanged: [] };
+
+    var request = api.getFields().then(null, function (error) {
+        if (!(error instanceof SpRestApi.NotFoundError)) { throw error; }
+
+        report.listCreated = true;
+        if (dryRun) { return []; }
+
+        return api.createList(schema.title, schema.template,
+            schema.description).then(function () {
+            return api.getFields();
+        });
+    }).then(function (existingFields) {
+        var chain = Promise.resolve();
+
+        schema.fields.forEach(function (field) {
+            var existing = existingFields.filter(function (existing) {
+                return existing.internalName === field.internalName;
+            })[0];
+
+            if (!existing) {
+                report.added.push(field.internalName);
+                if (!dryRun) {
+                    chain = chain.then(function () {
+                        return api.addField(field);
+                    });
+                }
+                return;
+            }
+
+            var differences = SpRestApi.compareFields(field, existing);
+            report.differences = report.differences.concat(differences);
+
+            var fixable = differences.filter(function (difference) {
+                return difference.property !== 'type';
+            });
+
+            if (!differences.length) {
+                report.unchanged.push(field.internalName);
+            } else if (fixable.length && !dryRun) {
+                chain = chain.then(function () {
+                    return api.updateField(field.internalName, field);
+                });
+            }
+        });
+
+        return chain;
+    }).then(function () {
+        return report;
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Compares a column definition from a schema with an existing column. Only
+ * the properties specified in the schema are compared.
+ * @param {FieldInfo} expected - The definition from the schema.
+ * @param {FieldInfo} actual - The existing column.
+ * @returns {Array.<Object>} The differences, as { field, property,
+ *      expected, actual }.
+ * @static
+ */
+SpRestApi.compareFields = function (expected, actual) {
+    var properties = ['type', 'title', 'required', 'description', 'choices'];
+
+    return properties.filter(function (property) {
+        return expected[property] !== undefined &&
+            JSON.stringify(expected[property]) !==
+            JSON.stringify(actual[property]);
+    }).map(function (property) {
+        return {
+            field: expected.internalName,
+            property: property,
+            expected: expected[property],
+            actual: actual[property],
+        };
+    });
+};
+
+/**
+ * The SharePoint entity types of the fields, used when updating a field.
+ * @readonly
+ * @enum {string}
+ */
+SpRestApi.FieldTypes = {
+    Text: 'SP.FieldText',
+    Note: 'SP.FieldMultiLineText',
+    Choice: 'SP.FieldChoice',
+    MultiChoice: 'SP.FieldMultiChoice',
+    Number: 'SP.FieldNumber',
+    Currency: 'SP.FieldCurrency',
+    DateTime: 'SP.FieldDateTime',
+    Boolean: 'SP.Field',
+    Lookup: 'SP.FieldLookup',
+    LookupMulti: 'SP.FieldLookup',
+    User: 'SP.FieldUser',
+    UserMulti: 'SP.FieldUser',
+};
+
+/**
+ * Returns the column definitions of the current list, fetching them only
+ * once. Used when `options.typedFields` is on.
+ * @returns {Promise.<Array.<FieldInfo>>} A promise resolved with all
+ *      columns of the list, including the hidden ones.
+ */
+SpRestApi.prototype.getFieldDefinitions = function () {
+    var cache = this.fieldCache;
+    var key = this.generateListUrl();
+
+    if (!cache[key]) {
+        cache[key] = this.withoutCallbacks().getFields(true)
+            .then(null, function (error) {
+                delete cache[key]; // try again next time
+                throw error;
+            });
+    }
+
+    return cache[key];
+};
+
+/**
+ * Forgets the cached column definitions of the current list, e.g. after
+ * the columns were changed.
+ */
+SpRestApi.prototype.clearFieldCache = function () {
+    delete this.fieldCache[this.generateListUrl()];
+};
+
+/**
+ * Forgets the cached column definitions of the current list once the column
+ * write request succeeds, so that a failed write keeps the cache.
+ * @param {Promise} request - The column write request.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.clearFieldCacheAfter = function (request) {
+    var self = this;
+
+    return request.then(function (response) {
+        self.clearFieldCache();
+        return response;
+    });
+};
+
+/**
+ * Converts the values of a list item into the format expected by
+ * SharePoint, according to the column types, if `options.typedFields` is
+ * on. See the option for the supported conversions. The columns which are
+ * not in the list (e.g. 'OwnerId') are sent as is.
+ * @param {Object} item - The list item with plain JavaScript values.
+ * @returns {Promise.<Object>} A promise resolved with the converted copy of
+ *      the item, or the item itself if `typedFields` is off.
+ */
+SpRestApi.prototype.serializeItem = function (item) {
+    if (!this.options.typedFields) { return Promise.resolve(item); }
+
+    var self = this;
+    var isVerbose = this.options.verbosity === SpRestApi.Verbosity.VERBOSE;
+
+    // Verbose mode expects the multi-value columns as { results: [...] }
+    var toMultiValue = function (values, type) {
+        if (!isVerbose) { return values; }
+
+        var result = { results: values };
+        if (type) { result.__metadata = { 'type': type }; }
+        return result;
+    };
+
+    return this.getFieldDefinitions().then(function (fields) {
+        var data = {};
+        var pending = [];
+        var fieldsByName = SpRestApi.indexFields(fields);
+
+        Object.keys(item).forEach(function (key) {
+            var value = item[key];
+            var field = key !== '__metadata' && fieldsByName[key];
+            var type = field ? field.type : '';
+
+            // Empty values clear the column
+            var isEmpty = value === undefined || value === null;
+            var values = isEmpty ? [] : [].concat(value);
+
+            if (value instanceof Date) {
+                data[key] = value.toISOString();
+            } else if (type === 'MultiChoice') {
+                data[key] = toMultiValue(values, 'Collection(Edm.String)');
+            } else if ((type === 'User' || type === 'Lookup') && isEmpty) {
+                data[key + 'Id'] = null;
+            } else if (type === 'User' || type === 'Lookup') {
+                pending.push(self.resolveItemId(value, field)
+                    .then(function (id) {
+                        data[key + 'Id'] = id;
+                    }));
+            } else if (type === 'UserMulti' || type === 'LookupMulti') {
+                pending.push(Promise.all(values.map(function (v) {
+                    return self.resolveItemId(v, field);
+                })).then(function (ids) {
+                    data[key + 'Id'] = toMultiValue(ids);
+                }));
+            } else {
+                data[key] = value;
+            }
+        });
+
+        return Promise.all(pending).then(function () {
+            return data;
+        });
+    });
+};
+
+/**
+ * Returns the ID of a lookup item or a user, used by serializeItem().
+ * @param {number|Object|string} value - The ID, the item or user object
+ *      with an Id, for people columns the email or login name, or for lookup
+ *      columns the value of the column shown from the lookup list.
+ * @param {FieldInfo} field - The column definition.
+ * @returns {Promise.<number>} A promise resolved with the ID, or rejected
+ *      with SpRestApi.Error if the ID could not be determined.
+ */
+SpRestApi.prototype.resolveItemId = function (value, field) {
+    if (value !== null && typeof value === 'object') {
+        value = value.Id !== undefined ? value.Id : value.ID;
+    }
+
+    var isText = typeof value === 'string' && isNaN(value);
+
+    if (isText && /^User/.test(field.type)) {
+        return this.withoutCallbacks().ensureUser(value).then(function (data) {
+            return SpRestApi.unwrapResponse(data).Id;
+        });
+    }
+
+    if (isText && field.lookupList) {
+        return this.findLookupItemId(value, field);
+    }
+
+    var id = Number(value);
+
+    if (value === '' || value === null || !isFinite(id)) {
+        return Promise.reject(new SpRestApi.Error('The value \'' + value +
+            '\' of the column \'' + field.internalName +
+            '\' is not an item ID.'));
+    }
+
+    return Promise.resolve(id);
+};
+
+/**
+ * Finds the ID of the item in the lookup list whose shown column (usually
+ * Title) equals the value, used by resolveItemId().
+ * @param {string} value - The value of the column shown from the lookup
+ *      list.
+ * @param {FieldInfo} field - The lookup column definition.
+ * @returns {Promise.<number>} A promise resolved with the ID, or rejected
+ *      with SpRestApi.Error if no item or more than one item matches.
+ */
+SpRestApi.prototype.findLookupItemId = function (value, field) {
+    var api = this.withoutCallbacks().withOptions({
+        listTitle: field.lookupList,
+        expand: [],
+        orderBy: [],
+        recursiveFetch: false,
+        typedFields: false,
+    });
+
+    return api.where(field.lookupField || 'Title').eq(value).select('Id')
+        .top(2).getAllItems().then(function (data) {
+            var items = SpRestApi.normalizeResponse(data);
+
+            if (items.length !== 1) {
+                throw new SpRestApi.Error((items.length ? 'More than one' :
+                    'No') + ' item of the lookup list matches the value \'' +
+                    value + '\' of the column \'' + field.internalName +
+                    '\'.');
+            }
+
+            return items[0].Id;
+        });
+};
+
+/**
+ * Converts the values of the list items in the response into JavaScript
+ * types, according to the column types, if `options.typedFields` is on.
+ * The items are modified in place.
+ * @param {Object} data - The server response with one or more items.
+ * @returns {Promise.<Object>} A promise resolved with the same response.
+ */
+SpRestApi.prototype.deserializeResponse = function (data) {
+    if (!this.options.typedFields || !data) { return Promise.resolve(data); }
+
+    return this.getFieldDefinitions().then(function (fields) {
+        var fieldsByName = SpRestApi.indexFields(fields);
+        var items = SpRestApi.unwrapResponse(data);
+
+        [].concat(items).forEach(function (item) {
+            SpRestApi.deserializeItem(item, fieldsByName);
+        });
+
+        return data;
+    });
+};
+
+/**
+ * Converts the values of a single list item into JavaScript types: dates
+ * into Date objects, and multi-value columns into arrays. Also converts the
+ * `{Column}Id` values of the multi-value people and lookup columns.
+ * @param {Object} item - The list item. Will be modified.
+ * @param {Object.<string, FieldInfo>} fieldsByName - The list columns.
+ * @static
+ */
+SpRestApi.deserializeItem = function (item, fieldsByName) {
+    if (!item || typeof item !== 'object') { return; }
+
+    Object.keys(item).forEach(function (key) {
+        var value = item[key];
+        var field = fieldsByName[key] ||
+            (/Id$/.test(key) && fieldsByName[key.slice(0, -2)]);
+
+        if (!field || value === null || value === undefined) { return; }
+
+        if (field.type === 'DateTime' && typeof value === 'string') {
+            item[key] = new Date(value);
+        } else if (/^(MultiChoice|UserMulti|LookupMulti)$/.test(field.type) &&
+            value.results instanceof Array) {
+            item[key] = value.results;
+        }
+    });
+};
+
+/**
+ * Creates a map of the columns keyed by their internal names.
+ * @param {Array.<FieldInfo>} fields - The list columns.
+ * @returns {Object.<string, FieldInfo>} The columns by internal name.
+ * @static
+ */
+SpRestApi.indexFields = function (fields) {
+    var result = {};
+    fields.forEach(function (field) {
+        result[field.internalName] = field;
+    });
+    return result;
+};
+
+/**
+ * Generates the CAML SchemaXml of a new column, used by addField().
+ * @param {FieldInfo} field - The column definition. `lookupList` must be
+ *      the list ID.
+ * @returns {string} The field XML, e.g. '<Field Type="Text" ... />'.
+ * @static
+ */
+SpRestApi.generateFieldSchemaXml = function (field) {
+    var isMulti = field.type === 'LookupMulti' || field.type === 'UserMulti';
+    var attributes = {
+        Type: field.type,
+        Name: field.internalName,
+        StaticName: field.internalName,
+        DisplayName: field.title || field.internalName,
+        Description: field.description,
+        Required: field.required ? 'TRUE' : 'FALSE',
+    };
+
+    if (isMulti) { attributes.Mult = 'TRUE'; }
+
+    if (field.type === 'Lookup' || field.type === 'LookupMulti') {
+        attributes.List = '{' + field.lookupList.replace(/[{}]/g, '') + '}';
+        attributes.ShowField = field.lookupField || 'Title';
+    }
+
+    if (field.type === 'User' || field.type === 'UserMulti') {
+        attributes.UserSelectionMode = 'PeopleOnly';
+    }
+
+    if (field.type === 'DateTime') {
+        attributes.Format = field.dateOnly ? 'DateOnly' : 'DateTime';
+    }
+
+    var xml = '<Field';
+    Object.keys(attributes).forEach(function (name) {
+        if (attributes[name] === undefined) { return; }
+        xml += ' ' + name + '="' + SpRestApi.escapeXml(attributes[name]) + '"';
+    });
+
+    if (!field.choices) { return xml + ' />'; }
+
+    return xml + '><CHOICES>' + field.choices.map(function (choice) {
+        return '<CHOICE>' + SpRestApi.escapeXml(choice) + '</CHOICE>';
+    }).join('') + '</CHOICES></Field>';
+};
+
+/**
+ * Generates the URL of the attachments of a list item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {string} An URL ending with e.g. /items(761)/AttachmentFiles
+ */
+SpRestApi.prototype.generateAttachmentsUrl = function (itemId) {
+    return this.options.urls.item.format(
+        this.generateListUrl(), itemId) + '/AttachmentFiles';
+};
+
+/**
+ * Fetches the list of attachments of a list item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @returns {Promise.<Object>} A promise resolved with the attachments, each
+ *      of which has FileName and ServerRelativeUrl.
+ */
+SpRestApi.prototype.getAttachments = function (itemId) {
+    var url = this.generateAttachmentsUrl(itemId);
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Adds an attachment to a list item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {File|Blob|ArrayBuffer|string} content - The file content, e.g. a
+ *      File from an `<input type="file">`.
+ * @param {string} [fileName] - The name of the attachment. Required unless
+ *      `content` is a File.
+ * @returns {Promise.<Object>} A promise resolved with the new attachment,
+ *      or rejected with SpRestApi.Error if the file name is empty.
+ */
+SpRestApi.prototype.addAttachment = function (itemId, content, fileName) {
+    fileName = fileName || (content && content.name);
+    if (!fileName) {
+        return this.attachCallbacks(Promise.reject(new SpRestApi.Error(
+            'The attachment file name must not be empty.')));
+    }
+
+    var request = this.sendRequest({
+        url: this.generateAttachmentsUrl(itemId) + '/add(FileName=\'' +
+            SpRestApi.escapeUrlParameter(fileName) + '\')',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: content,
+    });
+
+    return this.attachCallbacks(this.invalidateListCacheAfter(request));
+};
+
+/**
+ * Adds several attachments to a list item. The attachments are uploaded one
+ * after another, since SharePoint rejects parallel uploads to the same item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {FileList|Array.<File>|Array.<{name: string, content: Blob}>}
+ *      files - The files, e.g. the `files` of an `<input type="file">`.
+ * @returns {Promise.<Array.<Object>>} A promise resolved with the new
+ *      attachments, in the same order as the files.
+ */
+SpRestApi.prototype.addAttachments = function (itemId, files) {
+    var results = [];
+    // The callbacks run once for all attachments, not for each of them
+    var api = this.withoutCallbacks();
+
+    var request = Array.prototype.reduce.call(files, function (chain, file) {
+        return chain.then(function () {
+            var content = file.content !== undefined ? file.content : file;
+            return api.addAttachment(itemId, content, file.name);
+        }).then(function (attachment) {
+            results.push(attachment);
+        });
+    }, Promise.resolve());
+
+    // The attachments are already normalized by addAttachment()
+    return this.attachCallbacks(request.then(function () {
+        return results;
+    }), true);
+};
+
+/**
+ * Downloads the content of an attachment.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {string} fileName - The name of the attachment.
+ * @param {string} [responseType] - 'blob' (default) or 'arraybuffer'.
+ * @returns {Promise.<Blob|ArrayBuffer>} A promise resolved with the content.
+ */
+SpRestApi.prototype.downloadAttachment = function (itemId, fileName,
+    responseType) {
+    var request = this.sendRequest({
+        url: this.generateAttachmentsUrl(itemId) + '(\'' +
+            SpRestApi.escapeUrlParameter(fileName) + '\')/$value',
+        method: 'GET',
+        responseType: responseType || 'blob',
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Deletes an attachment from a list item.
+ * @param {number} itemId - The SharePoint list item ID.
+ * @param {string} fileName - The name of the attachment.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteAttachment = function (itemId, fileName) {
+    var url = this.generateAttachmentsUrl(itemId) + '/getByFileName(\'' +
+        SpRestApi.escapeUrlParameter(fileName) + '\')';
+    return this.attachCallbacks(
+        this.invalidateListCacheAfter(this.loadUrl(url, 'DELETE')));
+};
+
+/**
+ * Generates the URL of a folder in a document library or list.
+ * @param {string} folderUrl - The server-relative URL of the folder, e.g.
+ *      '/sites/mysite/Shared Documents/Reports'.
+ * @returns {string} An URL ending with GetFolderByServerRelativeUrl('...').
+ */
+SpRestApi.prototype.generateFolderUrl = function (folderUrl) {
+    var parameter = SpRestApi.escapeUrlParameter(folderUrl);
+    return this.options.siteUrl + this.options.urls.folder.format(parameter);
+};
+
+/**
+ * Generates the URL of a file in a document library.
+ * @param {string} fileUrl - The server-relative URL of the file, e.g.
+ *      '/sites/mysite/Shared Documents/Report.docx'.
+ * @returns {string} An URL ending with GetFileByServerRelativeUrl('...').
+ */
+SpRestApi.prototype.generateFileUrl = function (fileUrl) {
+    var parameter = SpRestApi.escapeUrlParameter(fileUrl);
+    return this.options.siteUrl + this.options.urls.file.format(parameter);
+};
+
+/**
+ * Fetches the properties of a folder, together with its subfolders and
+ * files.
+ * @param {string} folderUrl - The server-relative URL of the folder.
+ * @returns {Promise.<Object>} A promise resolved with the folder, where
+ *      `Folders` and `Files` contain the folder contents.
+ */
+SpRestApi.prototype.getFolderContents = function (folderUrl) {
+    var url = this.generateFolderUrl(folderUrl) + '?$expand=Folders,Files';
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Creates a new folder. The parent folder must already exist.
+ * @param {string} folderUrl - The server-relative URL of the new folder.
+ * @returns {Promise.<Object>} A promise resolved with the created folder.
+ */
+SpRestApi.prototype.createFolder = function (folderUrl) {
+    var url = this.options.siteUrl + this.options.urls.folders +
+        '/add(\'' + SpRestApi.escapeUrlParameter(folderUrl) + '\')';
+    return this.attachCallbacks(
+        this.invalidateFileCacheAfter(this.loadUrl(url, 'POST')));
+};
+
+/**
+ * Moves a folder with all its contents to a new location.
+ * @param {string} folderUrl - The server-relative URL of the folder.
+ * @param {string} newFolderUrl - The new server-relative URL of the folder.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.moveFolder = function (folderUrl, newFolderUrl) {
+    var url = this.generateFolderUrl(folderUrl) + '/MoveTo(newurl=\'' +
+        SpRestApi.escapeUrlParameter(newFolderUrl) + '\')';
+    return this.attachCallbacks(
+        this.invalidateFileCacheAfter(this.loadUrl(url, 'POST')));
+};
+
+/**
+ * Renames a folder, keeping it in the same parent folder.
+ * @param {string} folderUrl - The server-relative URL of the folder.
+ * @param {string} newName - The new name of the folder.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.renameFolder = function (folderUrl, newName) {
+    var parentUrl = folderUrl.replace(/\/+$/, '').replace(/[^\/]*$/, '');
+    return this.moveFolder(folderUrl, parentUrl + newName);
+};
+
+/**
+ * Deletes a folder with all its contents.
+ * @param {string} folderUrl - The server-relative URL of the folder.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteFolder = function (folderUrl) {
+    var url = this.generateFolderUrl(folderUrl);
+    return this.attachCallbacks(
+        this.invalidateFileCacheAfter(this.loadUrl(url, 'DELETE')));
+};
+
+/**
+ * Uploads a file into a folder of a document library. Files larger than
+ * `options.fileChunkSize` are uploaded in chunks, using the StartUpload,
+ * ContinueUpload and FinishUpload methods.
+ * @param {string} folderUrl - The server-relative URL of the folder.
+ * @param {string} fileName - The name of the file, e.g. 'Report.docx'.
+ * @param {Blob|File|ArrayBuffer|string} content - The file content.
+ * @param {boolean} [overwrite] - Whether to replace an existing file with
+ *      the same name. Defaults to true.
+ * @returns {Promise.<Object>} A promise resolved with the uploaded file.
+ */
+SpRestApi.prototype.uploadFile = function (folderUrl, fileName, content,
+    overwrite) {
+    var url = this.generateFolderUrl(folderUrl) + '/Files/add(url=\'' +
+        SpRestApi.escapeUrlParameter(fileName) + '\',overwrite=' +
+        (overwrite !== false) + ')';
+    var size = SpRestApi.getContentSize(content);
+    var request;
+
+    if (typeof content !== 'string' && size > this.options.fileChunkSize) {
+        var fileUrl = folderUrl.replace(/\/+$/, '') + '/' + fileName;
+        request = this.sendRequest({ url: url, method: 'POST' }).then(
+            this.uploadFileChunks.bind(this, fileUrl, content));
+    } else {
+        request = this.sendRequest({
+            url: url,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: content,
+        });
+    }
+
+    return this.attachCallbacks(this.invalidateFileCacheAfter(request));
+};
+
+/**
+ * Uploads the content of an existing (empty) file in chunks. Used by
+ * uploadFile() for large files.
+ * @param {string} fileUrl - The server-relative URL of the file.
+ * @param {Blob|File|ArrayBuffer} content - The file content.
+ * @returns {Promise.<Object>} A promise resolved with the uploaded file.
+ */
+SpRestApi.prototype.uploadFileChunks = function (fileUrl, content) {
+    var self = this;
+    var chunkSize = this.options.fileChunkSize;
+    var size = SpRestApi.getContentSize(content);
+    var uploadId = 'uploadId=guid\'' + SpRestApi.generateGuid() + '\'';
+
+    var uploadChunk = function (offset) {
+        var end = Math.min(offset + chunkSize, size);
+        var method;
+
+        if (offset === 0) {
+            method = 'StartUpload(' + uploadId + ')';
+        } else if (end < size) {
+            method = 'ContinueUpload(' + uploadId + ',fileOffset=' +
+                offset + ')';
+        } else {
+            method = 'FinishUpload(' + uploadId + ',fileOffset=' +
+                offset + ')';
+        }
+
+        var request = self.sendRequest({
+            url: self.generateFileUrl(fileUrl) + '/' + method,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: content.slice(offset, end),
+        });
+
+        // The response of FinishUpload is the uploaded file
+        return end < size ? request.then(function () {
+            return uploadChunk(end);
+        }) : request;
+    };
+
+    return uploadChunk(0);
+};
+
+/**
+ * Downloads the content of a file.
+ * @param {string} fileUrl - The server-relative URL of the file.
+ * @param {string} [responseType] - 'blob' (default) or 'arraybuffer'.
+ * @returns {Promise.<Blob|ArrayBuffer>} A promise resolved with the file
+ *      content.
+ */
+SpRestApi.prototype.downloadFile = function (fileUrl, responseType) {
+    var request = this.sendRequest({
+        url: this.generateFileUrl(fileUrl) + '/$value',
+        method: 'GET',
+        responseType: responseType || 'blob',
+    });
+
+    return this.attachCallbacks(request, true);
+};
+
+/**
+ * Deletes a file.
+ * @param {string} fileUrl - The server-relative URL of the file.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.deleteFile = function (fileUrl) {
+    var url = this.generateFileUrl(fileUrl);
+    return this.attachCallbacks(
+        this.invalidateFileCacheAfter(this.loadUrl(url, 'DELETE')));
+};
+
+/**
+ * Fetches the list item fields (the document library columns) of a file.
+ * @param {string} fileUrl - The server-relative URL of the file.
+ * @returns {Promise.<Object>} A promise resolved with the list item.
+ */
+SpRestApi.prototype.getFileFields = function (fileUrl) {
+    var url = this.generateFileUrl(fileUrl) + '/ListItemAllFields';
+    url = SpRestApi.appendSelectQueryString(url, this.options.select);
+    url = SpRestApi.appendExpand(url, this.options.expand);
+    return this.attachCallbacks(this.loadUrl(url, 'GET'));
+};
+
+/**
+ * Updates the list item fields (the document library columns) of a file.
+ * The list item type is read from the server first, since it cannot be
+ * derived from the file URL.
+ * @param {string} fileUrl - The server-relative URL of the file.
+ * @param {Object} fields - The columns to be replaced.
+ * @returns {Promise.<Object>} A promise resolved with the server response.
+ */
+SpRestApi.prototype.updateFileFields = function (fileUrl, fields) {
+    var self = this;
+    var url = this.generateFileUrl(fileUrl) + '/ListItemAllFields';
+
+    // Only the verbose response contains the list item type
+    var request = this.sendRequest({
+        url: url + '?$select=Id',
+        method: 'GET',
+        headers: { 'Accept': SpRestApi.Verbosity.VERBOSE },
+        // The type must be current, and the fields may have just changed
+        cache: false,
+    }).then(function (data) {
+        fields.__metadata = { 'type': data.d.__metadata.type };
+        return self.loadUrl(url, 'MERGE', null, null, fields);
+    });
+
+    return this.attachCallbacks(this.invalidateFileCacheAfter(request));
+};
+
+/**
+ * Generates the PagingInfo of the page following the specified item, e.g.
+ * 'Paged=TRUE&p_Modified=...&p_ID=761'. The values of the columns the
+ * query is sorted by are required as well, except for ID.
+ * @param {Object} lastItem - The last item of the previous page.
+ * @param {Array.<string>} [orderFields] - The columns the query is sorted by.
+ * @returns {string} The PagingInfo of the ListItemCollectionPosition.
+ * @static
+ */
+SpRestApi.getPagingInfo = function (lastItem, orderFields) {
+    var pagingInfo = 'Paged=TRUE';
+
+    (orderFields || []).forEach(function (field) {
+        if (/^id$/i.test(field)) { return; }
+
+        var value = lastItem[field];
+        if (value instanceof Date) { value = value.toISOString(); }
+        pagingInfo += '&p_' + field + '=' +
+            encodeURIComponent(value === null || value === undefined ?
+                '' : value);
+    });
+
+    var id = lastItem.Id !== undefined ? lastItem.Id : lastItem.ID;
+    return pagingInfo + '&p_ID=' + id;
+};
+
+/**
+ * Generates the ListItemType which is required by SharePoint when creating a
+ * new list item. It is based on the list name where characters such as spaces
+ * are replaced with sequences like _x0020_. This is only a guess, which is
+ * wrong e.g. for renamed lists and document libraries.
+ * @param {string} listTitle - The display name of the list where we are
+ *      creating the new list item.
+ * @returns {string} A SharePoint list item type which looks like
+ *      'SP.Data.ProjectsListItem'.
+ * @static
+ * @deprecated Use getListItemEntityType(), which reads the real type name.
+ */
+SpRestApi.getListItemType = function (listTitle) {
+    var type = 'SP.Data.{0}ListItem'.format(listTitle.capitalize());
+    return SpRestApi.replaceSharepointSpecialChars(type);
+};
+
+/**
+ * Replaces special characters (like underscores and spaces) that
+ * cannot be used in SharePoint list names because SharePoint changes them to 
+ * escape sequences, as seen in the function.
+ * @param {string} inputString - A string that may contain an underscore or a
+ *      space, which will be replaced.
+ * @returns {string} The string that is safe to use in SharePoint list item
+ *      internal type.
+ * @static
+ */
+SpRestApi.replaceSharepointSpecialChars = function (inputString) {
+    return inputString
+        .replace(/_/g, '_x005f_')
+        .replace(/ /g, '_x0020_')
+        .replace(/&/g, '_x0026_');
+};
+
+/**
+ * Reverses the escape sequences like `_x0020_` which SharePoint uses in
+ * internal names and in the keys of the property bag.
+ * @param {string} inputString - The string with the escape sequences.
+ * @returns {string} The string with the original characters.
+ * @static
+ */
+SpRestApi.decodeSharepointSpecialChars = function (inputString) {
+    return inputString.replace(/_x([0-9a-f]{4})_/gi, function (match, code) {
+        return String.fromCharCode(parseInt(code, 16));
+    });
+};
+
+/**
+ * A generic function to call any URL of the SharePoint REST API. Usually
+ * there is no need to call this method directly.
+ * @param {string} url - The URL of the SharePoint REST API to be queried. Will
+ *      not be modified by this method.
+ * @param {string} method - HTTP method for this request, e.g. 'GET', 'POST',
+ *      'DELETE'.
+ * @param {Function} [success] - Callback for successfull REST API call.
+ * @param {Function} [error] - Callback for failed REST API call.
+ * @param {Object} [data] - The data to be POSTed/PUT to the server.
+ * @returns {Promise.<Object>} A promise resolved with the server response,
+ *      or rejected with a SpRestApi.Error.
+ */
+SpRestApi.prototype.loadUrl = function (url, method, success, error, data) {
+    var request = this.sendRequest({
+        url: url,
+        method: method,
+        body: data ? JSON.stringify(data) : undefined,
+    });
+
+    return request.then(function (response) {
+        if (typeof success === 'function') { success(response); }
+        return response;
+    }, function (response) {
+        if (typeof error === 'function') { error(response); }
+        throw response;
+    });
+};
+
+/**
+ * Sends a request to SharePoint using the transport from the options. Adds
+ * the common headers and the request digest, and parses the JSON response.
+ * Used by loadUrl() and by the methods which need other content types.
+ * Write requests wait until a valid request digest is available, and are
+ * retried once with a new digest if the server rejects the old one.
+ * @param {TransportRequest} request - The request to be sent. Only `url` and
+ *      `method` are required; the default headers are added automatically.
+ *      Set `digest: false` for requests which must not wait for the digest,
+ *      and `cache: false` for GET requests which must not be cached.
+ * @returns {Promise.<any>} A promise resolved with the parsed JSON (or the
+ *      raw body if `responseType` is not 'json'), or rejected with a
+ *      SpRestApi.Error if the server returned an error status.
+ */
+SpRestApi.prototype.sendRequest = function (request) {
+    var self = this;
+
+    if (this.options.signal && this.options.signal.aborted) {
+        return Promise.reject(new SpRestApi.AbortError(
+            'The request was aborted.', null, request));
+    }
+
+    var isCached = this.options.cache && request.cache !== false &&
+        (request.method || 'GET').toUpperCase() === 'GET' &&
+        (request.responseType || 'json') === 'json';
+    if (isCached && this.getCacheStorage()) {
+        return this.sendCachedRequest(request);
+    }
+
+    var isWrite = (request.method || 'GET').toUpperCase() !== 'GET';
+    var manageDigest = this.options.autoRefreshDigest &&
+        request.digest !== false && isWrite;
+
+    var token = manageDigest ?
+        this.ensureDigest() : Promise.resolve(this.getDigest().token);
+
+    return token.then(function (token) {
+        return self.transmit(request, token);
+    }).then(null, function (error) {
+        if (manageDigest && !request.isRetry &&
+            error instanceof SpRestApi.DigestExpiredError) {
+            // The digest has expired or was invalidated on the server
+            return self.refreshDigest().then(function () {
+                return self.sendRequest(
+                    SpRestApi.extend({}, request, { isRetry: true }));
+            });
+        }
+
+        throw error;
+    });
+};
+
+/**
+ * The prefix of the keys of the cached responses in the storage.
+ * @type {string}
+ * @static
+ */
+SpRestApi.CACHE_PREFIX = 'sp-rest-api:';
+
+/**
+ * Returns the storage of the cached responses, according to `options.cache`.
+ * @returns {?Storage} The storage, or null if the cache is off or the
+ *      storage is not available.
+ */
+SpRestApi.prototype.getCacheStorage = function () {
+    var cache = this.options.cache;
+
+    if (cache === 'session' || cache === 'local') {
+        var name = cache + 'Storage';
+        return typeof window !== 'undefined' && window[name] ?
+            window[name] : null;
+    }
+
+    if (cache && typeof cache === 'object') { return cache; }
+
+    return cache ? this.memoryCache : null;
+};
+
+/**
+ * Sends a GET request, or returns its cached response if it has not expired.
+ * Identical requests in progress are sent only once; aborting the signal of
+ * one caller rejects only that caller. Used by sendRequest() when
+ * `options.cache` is on.
+ * @param {TransportRequest} request - The GET request.
+ * @returns {Promise.<any>} A promise resolved with a copy of the parsed
+ *      JSON, so that the callers can modify it.
+ */
+SpRestApi.prototype.sendCachedRequest = function (request) {
+    var storage = this.getCacheStorage();
+    var pending = this.pendingRequests;
+    var ttl = this.options.cacheTtl;
+    var headers = SpRestApi.extend({ 'Accept': this.options.verbosity },
+        this.options.headers, request.headers);
+
+    // The format of the response depends on the Accept header
+    var accept = Object.keys(headers).filter(function (name) {
+        return /^accept$/i.test(name);
+    }).map(function (name) {
+        return headers[name];
+    }).pop();
+    var key = SpRestApi.CACHE_PREFIX + request.url + '\n' + accept;
+
+    var cached = SpRestApi.parseJson(storage.getItem(key));
+    if (cached && cached.expires > Date.now()) {
+        return Promise.resolve(cached.data);
+    } else if (cached) {
+        storage.removeItem(key);
+    }
+
+    if (!pending[key]) {
+        // Shared by the callers, so it is not aborted by any one of them
+        var promise = this.withOptions({ signal: null }).sendRequest(
+            SpRestApi.extend({}, request, { cache: false })
+        ).then(function (data) {
+            var text = JSON.stringify(data);
+
+            // Not cached if the list was changed meanwhile
+            if (pending[key] === promise) {
+                delete pending[key];
+                try {
+                    storage.setItem(key, '{"expires":' + (Date.now() + ttl) +
+                        ',"data":' + text + '}');
+                } catch (ex) {
+                    // The storage is full; the response is not cached
+                }
+            }
+
+            return text;
+        }, function (error) {
+            if (pending[key] === promise) { delete pending[key]; }
+            throw error;
+        });
+
+        pending[key] = promise;
+    }
+
+    return SpRestApi.abortable(pending[key], this.options.signal, request)
+        .then(SpRestApi.parseJson);
+};
+
+/**
+ * Returns a promise which settles with the specified one, or is rejected
+ * with SpRestApi.AbortError as soon as the signal is aborted. The promise
+ * itself, e.g. a request shared with other callers, goes on.
+ * @param {Promise} promise - The promise.
+ * @param {AbortSignal} [signal] - The signal of the caller.
+ * @param {TransportRequest} [request] - The request, for the error.
+ * @returns {Promise} The new promise, or `promise` without a signal.
+ * @static
+ */
+SpRestApi.abortable = function (promise, signal, request) {
+    if (!signal) { return promise; }
+
+    return new Promise(function (resolve, reject) {
+        var onAbort = function () {
+            reject(new SpRestApi.AbortError('The request was aborted.', null,
+                request));
+        };
+        var settle = function (callback, value) {
+            signal.removeEventListener('abort', onAbort);
+            callback(value);
+        };
+
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(function (value) {
+            settle(resolve, value);
+        }, function (error) {
+            settle(reject, error);
+        });
+    });
+};
+
+/**
+ * Removes the cached responses whose URL starts with the specified prefix,
+ * e.g. the URL of a list. The requests in progress are not cached.
+ * @param {string} [urlPrefix] - The absolute URL prefix. If not specified,
+ *      all cached responses are removed.
+ * @returns {SpRestApi} Returns the instance of this SpRestApi object.
+ */
+SpRestApi.prototype.invalidateCache = function (urlPrefix) {
+    var storage = this.getCacheStorage();
+    var prefix = SpRestApi.CACHE_PREFIX + (urlPrefix || '');
+    var pending = this.pendingRequests;
+    var keys = [];
+    var i;
+
+    for (i = 0; storage && i < storage.length; i++) {
+        var key = storage.key(i);
+        if (key && key.indexOf(prefix) === 0) { keys.push(key); }
+    }
+
+    keys.forEach(function (key) { storage.removeItem(key); });
+
+    Object.keys(pending).forEach(function (key) {
+        if (key.indexOf(prefix) === 0) { delete pending[key]; }
+    });
+
+    return this;
+};
+
+/**
+ * Removes all cached responses. Same as invalidateCache().
+ * @returns {SpRestApi} Returns the instance of this SpRestApi object.
+ */
+SpRestApi.prototype.clearCache = function () {
+    return this.invalidateCache();
+};
+
+/**
+ * Removes the cached responses of a list: its items, attachments, fields
+ * etc. Called automatically after the writes to the list.
+ * @param {string} [listTitle] - The title, ID or server-relative URL of the
+ *      list. By default, the current list.
+ * @returns {SpRestApi} Returns the instance of this SpRestApi object.
+ */
+SpRestApi.prototype.invalidateListCache = function (listTitle) {
+    var api = listTitle ? this.withOptions({ listTitle: listTitle }) : this;
+    return this.invalidateCache(api.generateListUrl());
+};
+
+/**
+ * Removes the cached responses whose URL starts with one of the prefixes
+ * once the write request completes, whether it succeeded or not.
+ * @param {Promise} request - The write request.
+ * @param {Array.<string>} urlPrefixes - The absolute URL prefixes.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.invalidateCacheAfter = function (request, urlPrefixes) {
+    var self = this;
+    var invalidate = function () {
+        urlPrefixes.forEach(function (urlPrefix) {
+            self.invalidateCache(urlPrefix);
+        });
+    };
+
+    return request.then(function (response) {
+        invalidate();
+        return response;
+    }, function (error) {
+        invalidate();
+        throw error;
+    });
+};
+
+/**
+ * Removes the cached responses of the current list once the write request
+ * completes, whether it succeeded or not.
+ * @param {Promise} request - The write request.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.invalidateListCacheAfter = function (request) {
+    return this.invalidateCacheAfter(request, [this.generateListUrl()]);
+};
+
+/**
+ * Removes the cached responses of all lists of the current site once the
+ * write request completes, whether it succeeded or not. Used when a list is
+ * created or deleted, since it may be cached by its title, ID or URL.
+ * @param {Promise} request - The write request.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.invalidateAllListsCacheAfter = function (request) {
+    var urls = this.options.urls;
+
+    return this.invalidateCacheAfter(request, [
+        this.options.siteUrl + urls.lists,
+        this.options.siteUrl + urls.listByUrl.split('{0}')[0],
+    ]);
+};
+
+/**
+ * Removes the cached responses of the files, folders and lists of the
+ * current site once the file or folder write request completes, whether it
+ * succeeded or not. The library of a file cannot be derived from its URL,
+ * so the items of all lists are removed.
+ * @param {Promise} request - The write request.
+ * @returns {Promise} The promise resolved or rejected with the same value
+ *      as `request`.
+ */
+SpRestApi.prototype.invalidateFileCacheAfter = function (request) {
+    var siteUrl = this.options.siteUrl;
+    var urls = this.options.urls;
+
+    return this.invalidateAllListsCacheAfter(this.invalidateCacheAfter(
+        request, [
+            siteUrl + urls.file.split('{0}')[0],
+            siteUrl + urls.folder.split('{0}')[0],
+            siteUrl + urls.folders,
+        ]));
+};
+
+/**
+ * A Storage-like in-memory store, used when `options.cache` is 'memory'.
+ * @class
+ */
+SpRestApi.MemoryStorage = function () {
+    this.items = {};
+    this.length = 0;
+};
+
+/**
+ * Returns the stored value.
+ * @param {string} key - The key.
+ * @returns {?string} The value, or null if not found.
+ */
+SpRestApi.MemoryStorage.prototype.getItem = function (key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+};
+
+/**
+ * Stores the value.
+ * @param {string} key - The key.
+ * @param {string} value - The value.
+ */
+SpRestApi.MemoryStorage.prototype.setItem = function (key, value) {
+    this.items[key] = String(value);
+    this.length = Object.keys(this.items).length;
+};
+
+/**
+ * Removes the value.
+ * @param {string} key - The key.
+ */
+SpRestApi.MemoryStorage.prototype.removeItem = function (key) {
+    delete this.items[key];
+    this.length = Object.keys(this.items).length;
+};
+
+/**
+ * Returns the key at the specified position.
+ * @param {number} index - The position.
+ * @returns {?string} The key, or null if out of range.
+ */
+SpRestApi.MemoryStorage.prototype.key = function (index) {
+    var key = Object.keys(this.items)[index];
+    return key === undefined ? null : key;
+};
+
+/**
+ * Sends a single request via the transport, without managing the digest.
+ * Used by sendRequest().
+ * @param {TransportRequest} request - The request to be sent.
+ * @param {string} token - The request digest.
+ * @returns {Promise.<any>} See sendRequest().
+ */
+SpRestApi.prototype.transmit = function (request, token) {
+    var transport = this.options.transport || SpRestApi.getDefaultTransport();
+
+    // These headers are common for all requests
+    var headers = SpRestApi.extend({
+        'Accept': this.options.verbosity,
+        'Content-Type': this.options.verbosity,
+        'X-RequestDigest': token,
+    }, this.options.headers, request.headers);
+
+    var method = request.method || 'GET';
+
+    // For the DELETE/MERGE methods, we actually send the request as POST
+    if (method === 'DELETE' || method === 'MERGE') {
+        headers['IF-MATCH'] = headers['IF-MATCH'] || '*';
+        headers['X-HTTP-METHOD'] = method;
+        method = 'POST';
+    }
+
+    var responseType = request.responseType || 'json';
+
+    var signal = this.options.signal;
+
+    return this.sendWithRetry(transport, {
+        url: request.url,
+        method: method,
+        headers: headers,
+        body: request.body,
+        responseType: responseType,
+        signal: signal || undefined,
+    }).then(function (response) {
+        if (response.status < 200 || response.status >= 300) {
+            response.responseJSON = SpRestApi.parseJson(response.responseText);
+            throw SpRestApi.createError(response, request);
+        }
+
+        if (responseType !== 'json') { return response.response; }
+
+        return SpRestApi.parseJson(response.responseText);
+    }, function (cause) {
+        // The transport failed without any response, e.g. a network error
+        var isAborted = signal && signal.aborted;
+        var error = isAborted ?
+            new SpRestApi.AbortError('The request was aborted.', null,
+                request) :
+            new SpRestApi.Error('The server could not be reached.', null,
+                request);
+        error.cause = cause;
+        throw error;
+    });
+};
+
+/**
+ * Sends the request via the transport, retrying it if SharePoint responds
+ * with 429 Too Many Requests or 503 Server Unavailable. Waits for the time
+ * specified in the Retry-After header, or uses exponential backoff with
+ * jitter if the header is missing. No more than
+ * `options.maxConcurrentRequests` requests are sent at the same time.
+ * @param {Transport} transport - The transport to send the request with.
+ * @param {TransportRequest} request - The complete request.
+ * @param {number} [attempt] - The number of previous attempts.
+ * @returns {Promise.<TransportResponse>} The last response from the server.
+ */
+SpRestApi.prototype.sendWithRetry = function (transport, request, attempt) {
+    var self = this;
+    attempt = attempt || 0;
+
+    return this.acquireRequestSlot().then(function () {
+        return transport(request);
+    }).then(function (response) {
+        self.releaseRequestSlot();
+
+        var isThrottled = response.status === 429 || response.status === 503;
+        if (!isThrottled || attempt >= self.options.maxRetries) {
+            return response;
+        }
+
+        var delay = self.getRetryDelay(response, attempt);
+
+        // An aborted request must not wait for Retry-After, nor be resent
+        return SpRestApi.delay(delay, request.signal).then(function () {
+            return self.sendWithRetry(transport, request, attempt + 1);
+        });
+    }, function (error) {
+        self.releaseRequestSlot();
+        throw error;
+    });
+};
+
+/**
+ * Calculates how long to wait before retrying a throttled request.
+ * @param {TransportResponse} response - The 429 or 503 response.
+ * @param {number} attempt - The number of previous attempts.
+ * @returns {number} The delay in milliseconds.
+ */
+SpRestApi.prototype.getRetryDelay = function (response, attempt) {
+    var retryAfter = response.getResponseHeader &&
+        response.getResponseHeader('Retry-After');
+
+    if (retryAfter) {
+        // Either the number of seconds, or a HTTP date
+        var seconds = Number(retryAfter);
+        var delay = isNaN(seconds) ?
+            Date.parse(retryAfter) - Date.now() : seconds * 1000;
+
+        if (!isNaN(delay)) { return Math.max(delay, 0); }
+    }
+
+    // Exponential backoff, with a random half to avoid retrying in lockstep
+    var backoff = Math.min(this.options.maxRetryDelay,
+        this.options.retryDelay * Math.pow(2, attempt));
+
+    return backoff / 2 + Math.random() * backoff / 2;
+};
+
+/**
+ * Waits until fewer than `options.maxConcurrentRequests` requests of this
+ * instance (and its copies) are in progress, and takes a slot for the next
+ * request. Every slot must be returned with releaseRequestSlot().
+ * @returns {Promise} A promise resolved when the request can be sent.
+ */
+SpRestApi.prototype.acquireRequestSlot = function () {
+    var limiter = this.requestLimiter;
+    var max = this.options.maxConcurrentRequests;
+
+    if (!max || limiter.active < max) {
+        limiter.active++;
+        return Promise.resolve();
+    }
+
+    return new Promise(function (resolve) {
+        // The slot is handed over by releaseRequestSlot()
+        limiter.queue.push(resolve);
+    });
+};
+
+/**
+ * Returns the slot taken by acquireRequestSlot(), starting the next queued
+ * request if there is one.
+ */
+SpRestApi.prototype.releaseRequestSlot = function () {
+    var limiter = this.requestLimiter;
+    var next = limiter.queue.shift();
+
+    if (next) {
+        next();
+    } else {
+        limiter.active--;
+    }
+};
+
+/**
+ * Parses the JSON string returned by the server. Empty responses, e.g. to
+ * MERGE and DELETE requests, are returned as undefined.
+ * @param {string} text - The response body.
+ * @returns {any} The parsed JSON, or undefined if the text is empty or is
+ *      not valid JSON.
+ * @static
+ */
+SpRestApi.parseJson = function (text) {
+    if (!text) { return undefined; }
+
+    try {
+        return JSON.parse(text);
+    } catch (ex) {
+        return undefined;
+    }
+};
+
+/**
+ * Runs the `onsuccess` or `onerror` callback from the options once the
+ * request completes. The callbacks are taken from the options at the time of
+ * the call, so that reconfiguring this instance does not affect the requests
+ * that are already in progress. If `options.normalize` is on, the response
+ * is normalized first.
+ * @param {Promise.<Object>} request - The request returned by loadUrl().
+ * @param {boolean} [isNormalized] - The response is not a SharePoint
+ *      response and must not be normalized.
+ * @returns {Promise.<Object>} The promise resolved with the same value as
+ *      `request` after `onsuccess` has run. If the request fails, the
+ *      promise is rejected, unless `onerror` is set: then it is resolved
+ *      with undefined after `onerror` has run, so that the code using only
+ *      the callbacks does not cause unhandled rejections.
+ */
+SpRestApi.prototype.attachCallbacks = function (request, isNormalized) {
+    var onsuccess = this.options.onsuccess;
+    var onerror = this.options.onerror;
+    var normalize = this.options.normalize && !isNormalized;
+
+    return request.then(function (response) {
+        if (normalize) { response = SpRestApi.normalizeResponse(response); }
+        if (typeof onsuccess === 'function') { onsuccess(response); }
+        return response;
+    }, function (response) {
+        if (typeof onerror !== 'function') { throw response; }
+        onerror(response);
+    });
+};
+
+/**
+ * @typedef {Object} DigestState - The request digest of a single site.
+ * @property {string} token - The request digest value.
+ * @property {?number} expires - When the digest expires (in milliseconds
+ *      since 1970), or null if unknown.
+ * @property {?Promise.<string>} refreshing - The refresh in progress.
+ */
+
+/**
+ * Returns the request digest state of the current site. If the site has no
+ * state yet, it is created from `options.token`.
+ * @returns {DigestState} The digest state, shared by all copies of this
+ *      instance created with withOptions().
+ */
+SpRestApi.prototype.getDigest = function () {
+    var siteUrl = this.options.siteUrl;
+
+    if (!this.digests[siteUrl]) {
+        this.digests[siteUrl] = {
+            token: this.options.token,
+            expires: SpRestApi.getDigestExpiry(this.options.token),
+            refreshing: null,
+        };
+    }
+
+    return this.digests[siteUrl];
+};
+
+/**
+ * Returns the request digest of the current site, refreshing it first if
+ * it is missing or about to expire. If a refresh is already in progress,
+ * waits for it instead of starting another one.
+ * @returns {Promise.<string>} A promise resolved with a valid digest.
+ */
+SpRestApi.prototype.ensureDigest = function () {
+    var digest = this.getDigest();
+
+    if (digest.refreshing) { return digest.refreshing; }
+
+    // Refresh one minute before the expiration, to allow for clock skew
+    var isValid = digest.token &&
+        (!digest.expires || digest.expires - 60000 > Date.now());
+
+    return isValid ? Promise.resolve(digest.token) : this.refreshDigest();
+};
+
+/**
+ * Sends a request to SharePoint to get the SharePoint authorization token,
+ * which is required for all data requests. Usually there is no need to call
+ * this method, since the token is refreshed automatically before the write
+ * requests unless `options.autoRefreshDigest` is off.
+ * The `onsuccess` and `onerror` callbacks from the options are not called.
+ * @param {Function} [callback] - The callback to run after the authorization
+ *      token is received successfully.
+ * @returns {Promise.<string>} A promise resolved with the new token, or
+ *      rejected if the token could not be refreshed.
+ */
+SpRestApi.prototype.refreshDigest = function (callback) {
+    var self = this;
+    var digest = this.getDigest();
+
+    if (!digest.refreshing) {
+        var request = {
+            url: this.options.siteUrl + this.options.urls.context,
+            method: 'POST',
+            digest: false,
+        };
+        var message = 'Unable to obtain SharePoint authorization token.';
+
+        digest.refreshing = this.sendRequest(request).then(function (data) {
+            var info = SpRestApi.unwrapResponse(data);
+            if (!info || !info.FormDigestValue) {
+                digest.refreshing = null;
+                throw new SpRestApi.Error(message, null, request);
+            }
+
+            digest.token = info.FormDigestValue;
+            digest.expires = Date.now() +
+                (info.FormDigestTimeoutSeconds || 1800) * 1000;
+            digest.refreshing = null;
+            self.options.token = digest.token;
+
+            return digest.token;
+        }, function (error) {
+            digest.refreshing = null;
+            var wrapped = new SpRestApi.Error(message, error.response,
+                request);
+            wrapped.cause = error;
+            throw wrapped;
+        });
+    }
+
+    return digest.refreshing.then(function (token) {
+        if (typeof callback === 'function') {
+            callback();
+        }
+
+        return token;
+    });
+};
+
+/**
+ * Fetches the context information, most importantly authorization token
+ * and its expiration time.
+ * @returns {Promise.<Object>} A promise resolved with the context information.
+ */
+SpRestApi.prototype.getContextInfo = function () {
+    return this.attachCallbacks(this.sendRequest({
+        url: this.options.siteUrl + this.options.urls.context,
+        method: 'POST',
+        digest: false,
+    }));
+};
+
+/**
+ * Calculates when the request digest expires from the timestamp included
+ * in it, e.g. '0x1234...,19 Oct 2017 10:00:00 -0000'. SharePoint digests are
+ * valid for 30 minutes by default.
+ * @param {string} token - The request digest.
+ * @returns {?number} The expiration time in milliseconds since 1970, or
+ *      null if the digest has no valid timestamp.
+ * @static
+ */
+SpRestApi.getDigestExpiry = function (token) {
+    var issued = Date.parse((token || '').split(',')[1]);
+    return isNaN(issued) ? null : issued + 1800 * 1000;
+};
+
+/**
+ * Checks whether the failed response means that the request digest has
+ * expired ("The security validation for this page is invalid").
+ * @param {TransportResponse} response - The failed response.
+ * @returns {boolean} True if the request should be retried with a new
+ *      digest.
+ * @static
+ */
+SpRestApi.isDigestError = function (response) {
+    if (!response || response.status !== 403) { return false; }
+
+    var text = response.responseText || '';
+    return text.indexOf('-2130575251') !== -1 ||
+        /security validation/i.test(text);
+};
+
+/**
+ * The error of a failed request, or of an invalid call. Passed to
+ * `onerror` and used to reject the promises.
+ * @class Error
+ * @constructor
+ * @param {string} [message] - The error message. By default, the message
+ *      from the server response.
+ * @param {TransportResponse} [response] - The failed response.
+ * @param {TransportRequest} [request] - The failed request.
+ */
+SpRestApi.Error = function (message, response, request) {
+    var details = SpRestApi.parseError(response);
+
+    this.name = 'SpRestApiError';
+    this.message = message || details.message ||
+        (response && response.statusText) || 'The request failed.';
+    this.stack = new Error(this.message).stack;
+
+    /**
+     * The HTTP status, or 0 if there was no response.
+     * @type {number}
+     */
+    this.status = response ? response.status : 0;
+
+    /**
+     * The SharePoint error code, e.g.
+     * '-2147024891, System.UnauthorizedAccessException'.
+     * @type {string}
+     */
+    this.code = details.code;
+
+    /** @type {string} */
+    this.url = request ? request.url : undefined;
+
+    /** @type {string} */
+    this.method = request ? request.method || 'GET' : undefined;
+
+    /** @type {TransportResponse} */
+    this.response = response;
+};
+
+SpRestApi.Error.prototype = Object.create(Error.prototype);
+SpRestApi.Error.prototype.constructor = SpRestApi.Error;
+
+/**
+ * Creates a subclass of SpRestApi.Error.
+ * @param {string} name - The `name` of the errors.
+ * @returns {Function} The constructor of the subclass, which takes the same
+ *      arguments as SpRestApi.Error.
+ * @static
+ */
+SpRestApi.createErrorType = function (name) {
+    var ErrorType = function () {
+        SpRestApi.Error.apply(this, arguments);
+        this.name = name;
+    };
+
+    ErrorType.prototype = Object.create(SpRestApi.Error.prototype);
+    ErrorType.prototype.constructor = ErrorType;
+
+    return ErrorType;
+};
+
+/**
+ * The list, item, file or other resource does not exist (404).
+ * @type {Function}
+ */
+SpRestApi.NotFoundError = SpRestApi.createErrorType('NotFoundError');
+
+/**
+ * The user is not signed in or has no permission (401 or 403).
+ * @type {Function}
+ */
+SpRestApi.AccessDeniedError = SpRestApi.createErrorType('AccessDeniedError');
+
+/**
+ * The server is still throttling the requests after all the retries
+ * (429 or 503).
+ * @type {Function}
+ */
+SpRestApi.ThrottledError = SpRestApi.createErrorType('ThrottledError');
+
+/**
+ * The request digest is invalid or has expired (403).
+ * @type {Function}
+ */
+SpRestApi.DigestExpiredError =
+    SpRestApi.createErrorType('DigestExpiredError');
+
+/**
+ * The item has been changed by someone else since it was read (412), or
+ * e.g. a file with the same name already exists (409). When thrown by
+ * updateItem() or deleteItem(), `current` contains the current version of
+ * the item (or null if it was deleted), and `etag` its etag.
+ * @type {Function}
+ */
+SpRestApi.ConflictError = SpRestApi.createErrorType('ConflictError');
+
+/**
+ * The query was blocked because it scans more items than the list view
+ * threshold allows. Filter by indexed columns or read the items in pages.
+ * @type {Function}
+ */
+SpRestApi.ListViewThresholdError =
+    SpRestApi.createErrorType('ListViewThresholdError');
+
+/**
+ * The request was cancelled via `options.signal`.
+ * @type {Function}
+ */
+SpRestApi.AbortError = SpRestApi.createErrorType('AbortError');
+
+/**
+ * Creates the error of a failed response, choosing the subclass of
+ * SpRestApi.Error by the HTTP status and the SharePoint error code.
+ * @param {TransportResponse} response - The failed response.
+ * @param {TransportRequest} [request] - The failed request.
+ * @returns {SpRestApi.Error} The error.
+ * @static
+ */
+SpRestApi.createError = function (response, request) {
+    var status = response.status;
+    var code = SpRestApi.parseError(response).code || '';
+    var ErrorType = SpRestApi.Error;
+
+    if (code.indexOf('SPQueryThrottledException') !== -1 ||
+        code.indexOf('-2147024860') === 0) {
+        ErrorType = SpRestApi.ListViewThresholdError;
+    } else if (SpRestApi.isDigestError(response)) {
+        ErrorType = SpRestApi.DigestExpiredError;
+    } else if (status === 401 || status === 403) {
+        ErrorType = SpRestApi.AccessDeniedError;
+    } else if (status === 404) {
+        ErrorType = SpRestApi.NotFoundError;
+    } else if (status === 409 || status === 412) {
+        ErrorType = SpRestApi.ConflictError;
+    } else if (status === 429 || status === 503) {
+        ErrorType = SpRestApi.ThrottledError;
+    }
+
+    return new ErrorType(null, response, request);
+};
+
+/**
+ * Reads the SharePoint error code and message from a failed response in
+ * any verbosity, e.g. `{ error: { code, message: { value } } }` or
+ * `{ 'odata.error': {...} }`, as well as the XML errors.
+ * @param {TransportResponse} [response] - The failed response.
+ * @returns {{code: string, message: string}} The error code and message,
+ *      undefined if not found.
+ * @static
+ */
+SpRestApi.parseError = function (response) {
+    var result = { code: undefined, message: undefined };
+    if (!response) { return result; }
+
+    var data = response.responseJSON ||
+        SpRestApi.parseJson(response.responseText);
+    var error = data && (data.error || data['odata.error']);
+
+    if (error) {
+        var message = error.message;
+        result.code = error.code;
+        result.message = message && typeof message === 'object' ?
+            message.value : message;
+    } else if (typeof response.responseText === 'string') {
+        var code = /<m:code>([^<]*)<\/m:code>/.exec(response.responseText);
+        var text = /<m:message[^>]*>([^<]*)<\/m:message>/
+            .exec(response.responseText);
+        result.code = code ? code[1] : undefined;
+        result.message = text ? text[1] : undefined;
+    }
+
+    return result;
+};
+
+/**
+ * Extracts the payload from a SharePoint response, regardless of the
+ * verbosity: `d.results` or `value` for collections, `d` or the response
+ * itself for single items, and the result of functions such as
+ * `d.GetContextWebInformation`.
+ * @param {Object} data - The parsed JSON response.
+ * @returns {any} The array of items, the single item, or the function
+ *      result. The metadata is not removed; see normalizeEntity().
+ * @static
+ */
+SpRestApi.unwrapResponse = function (data) {
+    if (!data || typeof data !== 'object') { return data; }
+
+    var keys;
+
+    // Verbose: { d: { results: [...] } } or { d: {...} }
+    if (data.d) {
+        if (data.d.results instanceof Array) { return data.d.results; }
+
+        // Function results are wrapped in an object without metadata,
+        // e.g. { d: { GetContextWebInformation: {...} } }
+        keys = Object.keys(data.d);
+        if (!data.d.__metadata && keys.length === 1) {
+            return data.d[keys[0]];
+        }
+
+        return data.d;
+    }
+
+    // Minimal and no metadata: { value: [...] } with only odata annotations
+    // besides it. Otherwise it is a single item.
+    keys = Object.keys(data).filter(function (key) {
+        return !SpRestApi.isODataAnnotation(key);
+    });
+    if (keys.length === 1 && keys[0] === 'value') { return data.value; }
+
+    return data;
+};
+
+/**
+ * Returns the URL of the next page of a collection response.
+ * @param {Object} data - The parsed JSON response.
+ * @returns {string} The URL, or undefined if this is the last page.
+ * @static
+ */
+SpRestApi.getNextUrl = function (data) {
+    if (!data) { return undefined; }
+    if (data.d) { return data.d.__next; }
+    return data['odata.nextLink'] || data['@odata.nextLink'];
+};
+
+/**
+ * Converts a SharePoint response into a result which does not depend on the
+ * verbosity. Used when `options.normalize` is on.
+ * @param {Object} data - The parsed JSON response.
+ * @returns {Array.<Object>|Object|any} A plain array of items, with the
+ *      `nextUrl` property if there are more pages; or a plain object for
+ *      single items; or the function result.
+ * @static
+ */
+SpRestApi.normalizeResponse = function (data) {
+    var result = SpRestApi.normalizeEntity(SpRestApi.unwrapResponse(data));
+    var nextUrl = SpRestApi.getNextUrl(data);
+
+    if (result instanceof Array && nextUrl) { result.nextUrl = nextUrl; }
+
+    return result;
+};
+
+/**
+ * Removes the metadata from an item and its expanded properties:
+ * `__metadata`, deferred properties and odata annotations. The etag is kept
+ * in the non-enumerable `__etag` property. Multi-value
+ * properties like `{ results: [...] }` are converted to plain arrays.
+ * @param {any} entity - The item, array of items or any other value.
+ * @returns {any} The copy of the item without the metadata.
+ * @static
+ */
+SpRestApi.normalizeEntity = function (entity) {
+    if (entity instanceof Array) {
+        return entity.map(SpRestApi.normalizeEntity);
+    }
+
+    if (!entity || typeof entity !== 'object' || entity instanceof Date) {
+        return entity;
+    }
+
+    if (entity.results instanceof Array) {
+        return SpRestApi.normalizeEntity(entity.results);
+    }
+
+    var result = {};
+
+    // Kept for optimistic concurrency, see updateItem()
+    var etag = SpRestApi.getEtag(entity);
+    if (etag) {
+        Object.defineProperty(result, '__etag', { value: etag });
+    }
+
+    Object.keys(entity).forEach(function (key) {
+        var value = entity[key];
+        var isDeferred = value && typeof value === 'object' &&
+            value.__deferred;
+
+        if (key === '__metadata' || isDeferred ||
+            SpRestApi.isODataAnnotation(key)) {
+            return;
+        }
+
+        result[key] = SpRestApi.normalizeEntity(value);
+    });
+
+    return result;
+};
+
+/**
+ * Checks whether the property name is an odata annotation, such as
+ * 'odata.type' or 'Author@odata.navigationLinkUrl'.
+ * @param {string} key - The property name.
+ * @returns {boolean} True if the property contains metadata.
+ * @static
+ */
+SpRestApi.isODataAnnotation = function (key) {
+    return key.indexOf('odata.') === 0 || key.indexOf('@odata.') !== -1;
+};
+
+/**
+ * Converts the arguments of a function which accepts either several strings
+ * or an array of strings, e.g. select('Id', 'Title') or select(['Id']),
+ * into a single array.
+ * @param {Arguments} args - The `arguments` of the calling function.
+ * @returns {Array.<any>} The flattened array.
+ * @static
+ */
+SpRestApi.flattenArguments = function (args) {
+    var result = [];
+    for (var i = 0; i < args.length; i++) {
+        result = result.concat(args[i]);
+    }
+    return result;
+};
+
+/**
+ * @typedef {Object} TransportRequest - A HTTP request passed to a transport.
+ * @property {string} url - The absolute or site-relative URL.
+ * @property {string} method - The HTTP method, e.g. 'GET' or 'POST'.
+ * @property {Object.<string, string>} headers - The HTTP request headers.
+ * @property {string|Blob|ArrayBuffer} [body] - The request body.
+ * @property {string} responseType - How to read the response body: 'json',
+ *      'text', 'blob' or 'arraybuffer'.
+ * @property {AbortSignal} [signal] - Aborts the request. Optional for custom
+ *      transports.
+ */
+/**
+ * @typedef {Object} TransportResponse - A HTTP response returned by a
+ *      transport. Looks similar to jqXHR, so that the existing error handlers
+ *      keep working.
+ * @property {number} status - The HTTP status code.
+ * @property {string} statusText - The HTTP status text.
+ * @property {string} responseText - The response body, if it is text.
+ * @property {string|Blob|ArrayBuffer} response - The response body in the
+ *      format requested by `responseType`.
+ * @property {Function} getResponseHeader - Returns a response header value
+ *      by its name.
+ */
+/**
+ * A function which sends a HTTP request. Must resolve with a
+ * TransportResponse for every HTTP status, and reject only if no response
+ * was received at all (e.g. a network error).
+ * @callback Transport
+ * @param {TransportRequest} request - The request to be sent.
+ * @returns {Promise.<TransportResponse>} The server response.
+ */
+
+/**
+ * The built-in transports. A custom transport, e.g. a mock for unit tests,
+ * can be set via the `transport` option.
+ * @readonly
+ * @enum {Transport}
+ */
+SpRestApi.Transports = {
+    /** Sends the requests via $.ajax(). Binary responses need jQuery 3+. */
+    jquery: function (request) {
+        var binary = request.responseType === 'blob' ||
+            request.responseType === 'arraybuffer';
+
+        var toResponse = function (jqXHR, body) {
+            return {
+                status: jqXHR.status,
+                statusText: jqXHR.statusText,
+                responseText: binary ? '' : jqXHR.responseText,
+                response: binary ? body : jqXHR.responseText,
+                getResponseHeader: function (name) {
+                    return jqXHR.getResponseHeader(name);
+                },
+            };
+        };
+
+        return new Promise(function (resolve, reject) {
+            var signal = request.signal;
+            var onAbort = function () { jqXHR.abort(); };
+
+            // The signal may outlive the request, e.g. when it is shared by
+            // many requests, so the listener must not keep the jqXHR alive
+            var settle = function (callback, value) {
+                if (signal) { signal.removeEventListener('abort', onAbort); }
+                callback(value);
+            };
+
+            var jqXHR = $.ajax({
+                url: request.url,
+                type: request.method,
+                cache: false,
+                data: request.body,
+                processData: false,
+                // Content-Type is already in the headers
+                contentType: false,
+                dataType: binary ? 'binary' : 'text',
+                xhrFields: binary ? { responseType: request.responseType } : {},
+                headers: request.headers,
+                success: function (body, textStatus, jqXHR) {
+                    settle(resolve, toResponse(jqXHR, body));
+                },
+                error: function (jqXHR) {
+                    // Status 0 means that there was no response at all
+                    if (!jqXHR.status) {
+                        settle(reject, jqXHR);
+                    } else {
+                        settle(resolve, toResponse(jqXHR));
+                    }
+                },
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    },
+
+    /** Sends the requests via fetch(). Works in browsers and Node 18+. */
+    fetch: function (request) {
+        return fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            credentials: 'same-origin',
+            signal: request.signal,
+        }).then(function (res) {
+            var body;
+            if (request.responseType === 'blob') {
+                body = res.blob();
+            } else if (request.responseType === 'arraybuffer') {
+                body = res.arrayBuffer();
+            } else {
+                body = res.text();
+            }
+
+            return body.then(function (body) {
+                return {
+                    status: res.status,
+                    statusText: res.statusText,
+                    responseText: typeof body === 'string' ? body : '',
+                    response: body,
+                    getResponseHeader: function (name) {
+                        return res.headers.get(name);
+                    },
+                };
+            });
+        });
+    },
+};
+
+/**
+ * Picks the transport used when none is specified in the options: jQuery if
+ * it is loaded on the page (for backwards compatibility), or fetch otherwise.
+ * @returns {Transport} One of the SpRestApi.Transports.
+ * @static
+ */
+SpRestApi.getDefaultTransport = function () {
+    if (typeof $ !== 'undefined' && $ && $.ajax) {
+        return SpRestApi.Transports.jquery;
+    }
+
+    return SpRestApi.Transports.fetch;
+};
+
+/**
+ * Copies the properties of one or more source objects into the target
+ * object, skipping the undefined values. A shallow equivalent of $.extend(),
+ * so that jQuery is not required.
+ * @param {Object} target - The object to be extended. Will be modified.
+ * @param {...Object} sources - The objects whose properties will be copied.
+ * @returns {Object} The modified target object.
+ * @static
+ */
+SpRestApi.extend = function (target) {
+    for (var i = 1; i < arguments.length; i++) {
+        var source = arguments[i];
+        if (!source) { continue; }
+
+        for (var key in source) {
+            if (source.hasOwnProperty(key) && source[key] !== undefined) {
+                target[key] = source[key];
+            }
+        }
+    }
+
+    return target;
+};
+
+/**
+ * Escapes the special XML characters, e.g. in CAML attribute values.
+ * @param {any} value - The value to be escaped.
+ * @returns {string} The escaped string.
+ * @static
+ */
+SpRestApi.escapeXml = function (value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+};
+
+/**
+ * Resolves the URL of a site relative to another site.
+ * @param {string} siteUrl - The URL of the current site.
+ * @param {string} url - The absolute or server-relative URL of the other
+ *      site, or its URL relative to the current site.
+ * @returns {string} The URL of the other site, without the trailing slash.
+ * @static
+ */
+SpRestApi.resolveWebUrl = function (siteUrl, url) {
+    var origin = /^https?:\/\/[^/]+/i.exec(siteUrl || '');
+    var result;
+
+    if (/^https?:\/\//i.test(url)) {
+        result = url;
+    } else if (url.charAt(0) === '/') {
+        result = (origin ? origin[0] : '') + url;
+    } else {
+        result = (siteUrl || '') + '/' + url;
+    }
+
+    return result.replace(/\/+$/, '');
+};
+
+/**
+ * Checks whether the string is a GUID, with or without the braces.
+ * @param {string} value - The string to check.
+ * @returns {boolean} True if the string is a GUID.
+ * @static
+ */
+SpRestApi.isGuid = function (value) {
+    return /^\{?[0-9a-f]{8}-([0-9a-f]{4}-){3}[0-9a-f]{12}\}?$/i.test(value);
+};
+
+/**
+ * Escapes a string used as a parameter in the SharePoint REST API URL, e.g.
+ * GetFolderByServerRelativeUrl('...'). Single quotes are doubled, and
+ * characters like '#' and '%' are URL-encoded. Slashes are kept as is.
+ * @param {string} value - The parameter value.
+ * @returns {string} The escaped value, without the enclosing quotes.
+ * @static
+ */
+SpRestApi.escapeUrlParameter = function (value) {
+    return encodeURIComponent(String(value).replace(/'/g, '\'\''))
+        .replace(/%2F/g, '/');
+};
+
+/**
+ * Returns the size of the file content in bytes (or characters, for
+ * strings).
+ * @param {Blob|ArrayBuffer|string} content - The file content.
+ * @returns {number} The size.
+ * @static
+ */
+SpRestApi.getContentSize = function (content) {
+    if (typeof content === 'string') { return content.length; }
+    return content.size !== undefined ? content.size : content.byteLength;
+};
+
+/**
+ * Generates a random GUID, e.g. for the $batch boundaries.
+ * @returns {string} A GUID like 'd7b3a3c2-1f4e-4b6a-9c1d-2e5f6a7b8c9d'.
+ * @static
+ */
+SpRestApi.generateGuid = function () {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g,
+        function (c) {
+            var r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+};
+
+/**
+ * Returns a promise which is resolved after the specified time.
+ * @param {number} milliseconds - How long to wait.
+ * @param {AbortSignal} [signal] - Stops waiting once aborted.
+ * @returns {Promise} The promise, rejected with SpRestApi.AbortError as
+ *      soon as the signal is aborted.
+ * @static
+ */
+SpRestApi.delay = function (milliseconds, signal) {
+    return new Promise(function (resolve, reject) {
+        var timer;
+        var onAbort = function () {
+            clearTimeout(timer);
+            reject(new SpRestApi.AbortError('The request was aborted.'));
+        };
+
+        if (signal && signal.aborted) {
+            onAbort();
+            return;
+        }
+
+        timer = setTimeout(function () {
+            if (signal) { signal.removeEventListener('abort', onAbort); }
+            resolve();
+        }, milliseconds);
+
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+};
+
+/**
+ * Removes undefined, null and empty string '' values from the array and
+ * returns a newly created array. Ideally we'd extend the Array.prototype with
+ * this method, but due to a bug in SharePoint's wpadder.debug.js it is not
+ * possible. See https://medium.com/@anton_ivanov/8e0dda134f79
+ * @param {Array.<any>} sourceArray - An array that possibly contains empty
+ *      strings, undefined or null values.
+ * @returns {Array.<any>} A copy of the array with the null, undefined and
+ *      empty string value removed.
+ */
+SpRestApi.compactArray = function (sourceArray) {
+    return sourceArray.filter(function (element) {
+        // remove all falsy values except 0 and false
+        return element === 0 || element === false || element;
+    });
+};
+
+
+/* Polyfills
+-----------------------------*/
+
+if (!String.prototype.format) {
+    /**
+    * Replaces symbols like {0}, {1} in a string with the values from
+    * the arguments.
     * @returns {string} The string with the replaced placeholders.
     */
     String.prototype.format = function () {
@@ -663,3 +6654,11 @@ if (!String.prototype.capitalize) {
         });
     };
 }
+
+
+/* Module export for Node and bundlers
+-----------------------------*/
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpRestApi;
+}
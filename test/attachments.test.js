@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Tests of the list item attachments.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var ITEM_URL = 'https://example.com/sites/test/_api/web/lists/' +
+    'getbytitle(\'Tasks\')/items(1)';
+
+/**
+ * Creates an SpRestApi instance which answers the attachment uploads with
+ * the new attachment, after a short delay, and records the number of
+ * uploads in progress.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport, maxActive: number}} The
+ *      instance, its transport and the most uploads at the same time.
+ */
+function setUp(options) {
+    var active = 0;
+    var stub = createStubApi(function (request) {
+        var name = /FileName='([^']*)'/.exec(request.url);
+        if (!name) { return { status: 204 }; }
+
+        active++;
+        stub.maxActive = Math.max(stub.maxActive, active);
+
+        return SpRestApi.delay(5).then(function () {
+            active--;
+            return { body: { d: {
+                __metadata: { type: 'SP.Attachment' },
+                FileName: decodeURIComponent(name[1]),
+            } } };
+        });
+    }, options);
+
+    stub.maxActive = 0;
+    return stub;
+}
+
+test('rejects an attachment without a file name', function () {
+    var stub = setUp();
+
+    return stub.api.addAttachment(1, 'content').then(function () {
+        assert.fail('The attachment was added');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.Error);
+        assert.strictEqual(error.message,
+            'The attachment file name must not be empty.');
+        assert.strictEqual(stub.transport.requests.length, 0);
+    });
+});
+
+test('takes the file name from a File', function () {
+    var stub = setUp();
+    var file = new File(['content'], 'Notes #1.txt');
+
+    return stub.api.addAttachment(1, file).then(function (data) {
+        var request = stub.transport.requests[0];
+        assert.strictEqual(data.d.FileName, 'Notes #1.txt');
+        assert.strictEqual(request.url, ITEM_URL +
+            '/AttachmentFiles/add(FileName=\'Notes%20%231.txt\')');
+        assert.strictEqual(request.headers['Content-Type'],
+            'application/octet-stream');
+        assert.strictEqual(request.body, file);
+    });
+});
+
+test('uploads several attachments one after another', function () {
+    var stub = setUp({ normalize: true });
+
+    return stub.api.addAttachments(1, [
+        new File(['a'], 'a.txt'),
+        { name: 'b.txt', content: 'b' },
+        { name: 'c.txt', content: 'c' },
+    ]).then(function (attachments) {
+        assert.deepStrictEqual(attachments.map(function (attachment) {
+            return attachment.FileName;
+        }), ['a.txt', 'b.txt', 'c.txt']);
+        assert.strictEqual(stub.maxActive, 1);
+    });
+});
+
+test('deletes an attachment by its file name', function () {
+    var stub = setUp();
+
+    return stub.api.deleteAttachment(1, 'O\'Brien.txt').then(function () {
+        var request = stub.transport.requests[0];
+        assert.strictEqual(request.url, ITEM_URL +
+            '/AttachmentFiles/getByFileName(\'O\'\'Brien.txt\')');
+        assert.strictEqual(request.headers['X-HTTP-METHOD'], 'DELETE');
+    });
+});
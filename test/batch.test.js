@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests of the $batch requests.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Builds a `multipart/mixed` $batch response.
+ * @param {Array.<string>} parts - The HTTP status line and the body of each
+ *      operation, e.g. 'HTTP/1.1 204 No Content\r\n\r\n'.
+ * @returns {string} The response body.
+ */
+function buildResponse(parts) {
+    return parts.map(function (part) {
+        return '--batchresponse_1\r\n' +
+            'Content-Type: application/http\r\n' +
+            'Content-Transfer-Encoding: binary\r\n\r\n' + part;
+    }).join('\r\n') + '\r\n--batchresponse_1--\r\n';
+}
+
+/**
+ * Creates an SpRestApi instance whose $batch requests are answered with the
+ * specified responses, one per request.
+ * @param {Array.<string>} responses - The $batch response bodies.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(responses, options) {
+    return createStubApi(function (request) {
+        if (/\/_api\/\$batch$/.test(request.url)) {
+            return { body: responses.shift() };
+        }
+
+        if (/ListItemEntityTypeFullName/.test(request.url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                ListItemEntityTypeFullName: 'SP.Data.TasksListItem',
+            } } };
+        }
+
+        return { status: 404 };
+    }, options);
+}
+
+/**
+ * Returns the $batch requests received by the transport.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Array.<TransportRequest>} The $batch requests.
+ */
+function getBatchRequests(transport) {
+    return transport.requests.filter(function (request) {
+        return /\/_api\/\$batch$/.test(request.url);
+    });
+}
+
+test('sends each operation in its own changeset', function () {
+    var stub = setUp([buildResponse([
+        'HTTP/1.1 201 Created\r\n' +
+            'Content-Type: application/json;odata=verbose\r\n\r\n' +
+            '{"d":{"Id":7,"Title":"New"}}',
+        'HTTP/1.1 204 No Content\r\n\r\n',
+        'HTTP/1.1 204 No Content\r\n\r\n',
+    ])]);
+
+    return stub.api.batch()
+        .createItem({ Title: 'New' })
+        .updateItem(1, { Title: 'Changed' }, '"3"')
+        .deleteItem(2)
+        .execute()
+        .then(function (results) {
+            var request = getBatchRequests(stub.transport)[0];
+            var boundary = /boundary="([^"]+)"/
+                .exec(request.headers['Content-Type'])[1];
+            var changesets = request.body.match(
+                /Content-Type: multipart\/mixed; boundary="changeset_/g);
+
+            assert.strictEqual(request.method, 'POST');
+            assert.ok(/^batch_/.test(boundary));
+            assert.strictEqual(changesets.length, 3);
+            assert.ok(request.body.indexOf('--' + boundary + '--') !== -1);
+            assert.ok(request.body.indexOf('"type":"SP.Data.TasksListItem"')
+                !== -1);
+            assert.ok(request.body.indexOf('IF-MATCH: "3"\r\n' +
+                'X-HTTP-METHOD: MERGE') !== -1);
+            assert.ok(request.body.indexOf('IF-MATCH: *\r\n' +
+                'X-HTTP-METHOD: DELETE') !== -1);
+            assert.ok(request.body.indexOf('POST https://example.com/' +
+                'sites/test/_api/web/lists/getbytitle(\'Tasks\')/items(2) ' +
+                'HTTP/1.1') !== -1);
+
+            assert.deepStrictEqual(results.map(function (result) {
+                return result.status;
+            }), [201, 204, 204]);
+            assert.strictEqual(results[0].data.d.Id, 7);
+        });
+});
+
+test('returns the results of the failed operations', function () {
+    var stub = setUp([buildResponse([
+        'HTTP/1.1 412 Precondition Failed\r\n' +
+            'Content-Type: application/json;odata=verbose\r\n\r\n' +
+            '{"error":{"code":"-1, Microsoft.SharePoint.Client.' +
+            'ClientServiceException","message":{"lang":"en-US",' +
+            '"value":"The version of the item has changed."}}}',
+        'HTTP/1.1 204 No Content\r\n\r\n',
+    ])]);
+
+    return stub.api.batch()
+        .deleteItem(1, '"1"')
+        .deleteItem(2)
+        .deleteItem(3)
+        .execute()
+        .then(function (results) {
+            assert.strictEqual(results[0].ok, false);
+            assert.ok(results[0].error instanceof SpRestApi.ConflictError);
+            assert.strictEqual(results[0].error.message,
+                'The version of the item has changed.');
+            assert.strictEqual(results[1].ok, true);
+
+            // No response at all for the last operation
+            assert.strictEqual(results[2].ok, false);
+            assert.strictEqual(results[2].status, 0);
+        });
+});
+
+test('splits the operations into chunks of batchSize', function () {
+    var stub = setUp([
+        buildResponse(['HTTP/1.1 204 No Content\r\n\r\n',
+            'HTTP/1.1 204 No Content\r\n\r\n']),
+        buildResponse(['HTTP/1.1 204 No Content\r\n\r\n']),
+    ], { batchSize: 2 });
+
+    return stub.api.batch()
+        .deleteItem(1)
+        .deleteItem(2)
+        .deleteItem(3)
+        .execute()
+        .then(function (results) {
+            assert.strictEqual(getBatchRequests(stub.transport).length, 2);
+            assert.deepStrictEqual(results.map(function (result) {
+                return result.ok;
+            }), [true, true, true]);
+        });
+});
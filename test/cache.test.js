@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Tests of caching the responses of the GET requests
+ * (`options.cache`).
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates a fake backend with the Tasks and Projects lists and an SpRestApi
+ * instance with the cache on, which sends its requests to it.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{backend: SpRestApi.FakeBackend, api: SpRestApi}} The backend
+ *      and the API.
+ */
+function setUp(options) {
+    var backend = new FakeBackend({ lists: {
+        Tasks: [{ Title: 'Write tests' }, { Title: 'Fix bugs' }],
+        Projects: [{ Title: 'Website' }],
+    } });
+
+    var api = new SpRestApi(SpRestApi.extend({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Tasks',
+        transport: backend.transport,
+        cache: true,
+    }, options));
+
+    return { backend: backend, api: api };
+}
+
+/**
+ * Counts the GET requests received by the backend.
+ * @param {SpRestApi.FakeBackend} backend - The backend.
+ * @returns {number} The number of the requests.
+ */
+function countReads(backend) {
+    return backend.requests.filter(function (request) {
+        return request.method === 'GET';
+    }).length;
+}
+
+test('returns a copy of the cached response until it expires', function () {
+    var fake = setUp();
+
+    return fake.api.getAllItems().then(function (data) {
+        data.d.results.pop();
+        return fake.api.getAllItems();
+    }).then(function (data) {
+        assert.strictEqual(data.d.results.length, 2);
+        assert.strictEqual(countReads(fake.backend), 1);
+
+        var api = fake.api.withOptions({ cacheTtl: 0 });
+        return api.getItem(1).then(function () { return api.getItem(1); });
+    }).then(function () {
+        assert.strictEqual(countReads(fake.backend), 3);
+    });
+});
+
+test('removes the cached responses of a list after writing to it',
+    function () {
+        var fake = setUp();
+        var projects = fake.api.withOptions({ listTitle: 'Projects' });
+
+        return Promise.all([
+            fake.api.getAllItems(),
+            projects.getAllItems(),
+        ]).then(function () {
+            return fake.api.createItem({ Title: 'Release' });
+        }).then(function () {
+            return Promise.all([
+                fake.api.getAllItems(),
+                projects.getAllItems(),
+            ]);
+        }).then(function (results) {
+            assert.strictEqual(results[0].d.results.length, 3);
+            assert.strictEqual(results[1].d.results.length, 1);
+            // The entity type of Tasks, and its items again
+            assert.strictEqual(countReads(fake.backend), 4);
+        });
+    });
+
+test('caches the responses of each Accept header separately', function () {
+    var fake = setUp();
+    var compact = fake.api.withOptions({
+        verbosity: SpRestApi.Verbosity.COMPACT,
+    });
+    var accept = fake.api.withOptions({ headers: {
+        accept: SpRestApi.Verbosity.COMPACT,
+    } });
+
+    return fake.api.getItem(1).then(function (data) {
+        assert.strictEqual(data.d.Title, 'Write tests');
+        return compact.getItem(1);
+    }).then(function (data) {
+        assert.strictEqual(data.Title, 'Write tests');
+        assert.strictEqual(data.d, undefined);
+        return accept.getItem(1);
+    }).then(function (data) {
+        assert.strictEqual(data.Title, 'Write tests');
+        assert.strictEqual(countReads(fake.backend), 2);
+    });
+});
+
+test('does not cache a failed request', function () {
+    var fake = setUp({ maxRetries: 0 });
+
+    return fake.api.getItem(9).then(function () {
+        assert.fail('The item was found');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.NotFoundError);
+        return fake.api.getItem(9).then(null, function () {});
+    }).then(function () {
+        assert.strictEqual(countReads(fake.backend), 2);
+    });
+});
+
+test('sends the identical requests in progress once, and aborts only the ' +
+    'caller whose signal was aborted', function () {
+    var respond;
+    var stub = createStubApi(function () {
+        return new Promise(function (resolve) {
+            respond = function () {
+                resolve({ body: { d: { __metadata: {
+                    type: 'SP.Data.TasksListItem' }, Id: 1 } } });
+            };
+        });
+    }, { cache: true });
+    var controller = new AbortController();
+
+    var aborted = stub.api.withOptions({ signal: controller.signal })
+        .getItem(1);
+    var other = stub.api.getItem(1);
+
+    controller.abort();
+
+    return aborted.then(function () {
+        assert.fail('The request was not aborted');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.AbortError);
+        assert.strictEqual(stub.transport.requests.length, 1);
+        assert.strictEqual(stub.transport.requests[0].signal, undefined);
+        respond();
+        return other;
+    }).then(function (data) {
+        assert.strictEqual(data.d.Id, 1);
+        return stub.api.getItem(1);
+    }).then(function () {
+        assert.strictEqual(stub.transport.requests.length, 1);
+    });
+});
+
+test('stores the responses in a Storage-like object, and removes them by ' +
+    'the URL prefix', function () {
+    var storage = new SpRestApi.MemoryStorage();
+    var fake = setUp({ cache: storage });
+    var projects = fake.api.withOptions({ listTitle: 'Projects' });
+
+    return Promise.all([
+        fake.api.getAllItems(),
+        projects.getAllItems(),
+    ]).then(function () {
+        assert.strictEqual(storage.length, 2);
+        assert.strictEqual(storage.key(0).indexOf(SpRestApi.CACHE_PREFIX +
+            fake.api.generateListUrl()), 0);
+
+        fake.api.invalidateListCache('Projects');
+        assert.strictEqual(storage.length, 1);
+
+        fake.api.clearCache();
+        assert.strictEqual(storage.length, 0);
+    });
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Tests of the promises and the callbacks returned and run by
+ * the request methods.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Answers the requests for item 1 of the Tasks list, and 404 for the
+ * others.
+ * @param {TransportRequest} request - The request.
+ * @returns {{status: number, body: Object}} The response.
+ */
+function handleRequest(request) {
+    if (/\/items\(1\)$/.test(request.url)) {
+        return { body: { d: { Id: 1, Title: 'Write tests' } } };
+    }
+
+    return { status: 404, body: { error: { message: {
+        value: 'Item does not exist.',
+    } } } };
+}
+
+test('resolves the promise with the response and runs onsuccess',
+    function () {
+        var responses = [];
+        var api = createStubApi(handleRequest, {
+            onsuccess: function (data) { responses.push(data); },
+        }).api;
+
+        return api.getItem(1).then(function (data) {
+            assert.strictEqual(data.d.Title, 'Write tests');
+            assert.deepStrictEqual(responses, [data]);
+        });
+    });
+
+test('rejects the promise with SpRestApi.Error without onerror', function () {
+    var api = createStubApi(handleRequest).api;
+
+    return api.getItem(2).then(function () {
+        assert.fail('The request was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.NotFoundError);
+        assert.strictEqual(error.message, 'Item does not exist.');
+    });
+});
+
+test('resolves the promise with undefined after onerror', function () {
+    var errors = [];
+    var api = createStubApi(handleRequest, {
+        onerror: function (error) { errors.push(error); },
+    }).api;
+
+    return api.getItem(2).then(function (data) {
+        assert.strictEqual(data, undefined);
+        assert.strictEqual(errors.length, 1);
+        assert.ok(errors[0] instanceof SpRestApi.NotFoundError);
+    });
+});
+
+test('runs the callbacks which were set when the request was made',
+    function () {
+        var calls = [];
+        var api = createStubApi(handleRequest, {
+            onsuccess: function () { calls.push('first'); },
+        }).api;
+
+        var request = api.getItem(1);
+        api.config({ onsuccess: function () { calls.push('second'); } });
+
+        return request.then(function () {
+            assert.deepStrictEqual(calls, ['first']);
+        });
+    });
+
+test('loadUrl() runs its own callbacks', function () {
+    var api = createStubApi(handleRequest).api;
+    var url = 'https://example.com/sites/test/_api/web/lists/' +
+        'getbytitle(\'Tasks\')/items(2)';
+    var errors = [];
+
+    return api.loadUrl(url, 'GET', null, function (error) {
+        errors.push(error);
+    }).then(function () {
+        assert.fail('The request was not rejected');
+    }, function (error) {
+        assert.deepStrictEqual(errors, [error]);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Tests of the CAML query builder and of getItemsByCaml().
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance whose GetItems returns the items with the
+ * IDs from 1 to `count`, at most `RowLimit` items per page.
+ * @param {number} count - The number of items in the list.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(count) {
+    return createStubApi(function (request) {
+        var query = JSON.parse(request.body).query;
+        var limit = Number(/<RowLimit[^>]*>(\d+)/.exec(query.ViewXml)[1]);
+        var position = query.ListItemCollectionPosition;
+        var from = position ?
+            Number(/p_ID=(\d+)$/.exec(position.PagingInfo)[1]) : 0;
+        var items = [];
+
+        for (var id = from + 1; id <= Math.min(from + limit, count); id++) {
+            items.push({ Id: id, Modified: '2017-01-0' + id + 'T00:00:00Z' });
+        }
+
+        return { body: { d: { results: items } } };
+    });
+}
+
+test('escapes the column names and the values', function () {
+    var caml = setUp(0).api.caml().scope('Recursive"All')
+        .where('Title').eq('<Tom & "Jerry\'s">')
+        .select('A&B');
+
+    assert.strictEqual(caml.toString(), '<View Scope="Recursive&quot;All">' +
+        '<ViewFields><FieldRef Name="A&amp;B" /></ViewFields><Query><Where>' +
+        '<Eq><FieldRef Name="Title" /><Value Type="Text">&lt;Tom &amp; ' +
+        '&quot;Jerry&apos;s&quot;&gt;</Value></Eq></Where></Query></View>');
+});
+
+test('nests the conditions in the order written', function () {
+    var api = setUp(0).api;
+    var group = api.caml().where('Status').eq('Open')
+        .or('Status').eq('New');
+    var caml = api.caml().where('Priority').lt(3).and(group)
+        .or('Flagged').eq(true);
+
+    assert.strictEqual(caml.whereXml, '<Or><And>' +
+        '<Lt><FieldRef Name="Priority" /><Value Type="Number">3</Value></Lt>' +
+        '<Or><Eq><FieldRef Name="Status" /><Value Type="Text">Open</Value>' +
+        '</Eq><Eq><FieldRef Name="Status" /><Value Type="Text">New</Value>' +
+        '</Eq></Or></And><Eq><FieldRef Name="Flagged" />' +
+        '<Value Type="Boolean">1</Value></Eq></Or>');
+});
+
+test('formats the lookups, dates, lists of values and empty values',
+    function () {
+        var api = setUp(0).api;
+        var caml = api.caml()
+            .where('Owner').eq(7, 'User')
+            .and('Due').ge(new Date(Date.UTC(2017, 0, 1)))
+            .and('ID').in([1, 2])
+            .and('Done').isNull()
+            .orderBy('Modified', 'desc', true)
+            .rowLimit(50);
+
+        assert.strictEqual(caml.toString(), '<View><Query><Where><And><And>' +
+            '<And><Eq><FieldRef Name="Owner" LookupId="TRUE" />' +
+            '<Value Type="User">7</Value></Eq><Geq><FieldRef Name="Due" />' +
+            '<Value Type="DateTime" IncludeTimeValue="TRUE">' +
+            '2017-01-01T00:00:00.000Z</Value></Geq></And><In>' +
+            '<FieldRef Name="ID" /><Values><Value Type="Counter">1</Value>' +
+            '<Value Type="Counter">2</Value></Values></In></And><IsNull>' +
+            '<FieldRef Name="Done" /></IsNull></And></Where>' +
+            '<OrderBy UseIndexForOrderBy="TRUE" Override="TRUE">' +
+            '<FieldRef Name="Modified" Ascending="FALSE" /></OrderBy>' +
+            '</Query><RowLimit Paged="TRUE">50</RowLimit></View>');
+    });
+
+test('loads all pages of a CAML query in a folder', function () {
+    var stub = setUp(5);
+
+    return stub.api.caml().orderBy('Modified').rowLimit(2)
+        .folder('/sites/test/Lists/Tasks/2017')
+        .getItems().then(function (data) {
+            var queries = stub.transport.requests.map(function (request) {
+                return JSON.parse(request.body).query;
+            });
+
+            assert.deepStrictEqual(data.d.results.map(function (item) {
+                return item.Id;
+            }), [1, 2, 3, 4, 5]);
+            assert.strictEqual(queries.length, 3);
+            assert.strictEqual(queries[0].FolderServerRelativeUrl,
+                '/sites/test/Lists/Tasks/2017');
+            assert.strictEqual(queries[0].ListItemCollectionPosition,
+                undefined);
+            assert.strictEqual(
+                queries[1].ListItemCollectionPosition.PagingInfo,
+                'Paged=TRUE&p_Modified=2017-01-02T00%3A00%3A00Z&p_ID=2');
+            assert.ok(/\/GetItems$/.test(stub.transport.requests[0].url));
+        });
+});
+
+test('adds the RowLimit to a ViewXml without one', function () {
+    var stub = setUp(3);
+
+    return stub.api.withOptions({ maxItems: 2, recursiveFetch: false })
+        .getItemsByCaml('<Query></Query>').then(function (data) {
+            var query = JSON.parse(stub.transport.requests[0].body).query;
+            assert.strictEqual(query.ViewXml, '<View><Query></Query>' +
+                '<RowLimit Paged="TRUE">2</RowLimit></View>');
+            assert.strictEqual(data.d.results.length, 2);
+        });
+});
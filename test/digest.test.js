@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests of the request digest lifecycle.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance whose context info returns the digests
+ * 'digest-1', 'digest-2' and so on, and whose item deletes are rejected
+ * unless they have the digest in `valid.token`.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport, valid: Object}} The
+ *      instance, its transport and the valid digest.
+ */
+function setUp(options) {
+    var valid = { token: 'digest' };
+    var count = 0;
+
+    var stub = createStubApi(function (request) {
+        if (/\/_api\/contextinfo$/.test(request.url)) {
+            count++;
+            valid.token = 'digest-' + count;
+            return { body: { d: { GetContextWebInformation: {
+                FormDigestValue: valid.token,
+                FormDigestTimeoutSeconds: 1800,
+            } } } };
+        }
+
+        if (request.headers['X-RequestDigest'] !== valid.token) {
+            return { status: 403, body: { error: {
+                code: '-2130575251, Microsoft.SharePoint.SPException',
+                message: { value: 'The security validation for this page ' +
+                    'is invalid and might be corrupted.' },
+            } } };
+        }
+
+        return { status: 204 };
+    }, options);
+
+    stub.valid = valid;
+    return stub;
+}
+
+/**
+ * Returns the URLs of the requests received by the transport, without the
+ * site URL.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Array.<string>} The relative URLs.
+ */
+function getPaths(transport) {
+    return transport.requests.map(function (request) {
+        return request.url.replace('https://example.com/sites/test', '');
+    });
+}
+
+test('obtains the digest before the first write', function () {
+    var stub = setUp({ token: null });
+
+    return stub.api.deleteItem(1).then(function () {
+        assert.deepStrictEqual(getPaths(stub.transport), [
+            '/_api/contextinfo',
+            '/_api/web/lists/getbytitle(\'Tasks\')/items(1)',
+        ]);
+        assert.strictEqual(
+            stub.transport.requests[1].headers['X-RequestDigest'],
+            'digest-1');
+    });
+});
+
+test('obtains the digest once for concurrent writes', function () {
+    var stub = setUp({ token: null });
+
+    return Promise.all([
+        stub.api.deleteItem(1),
+        stub.api.withOptions({ listTitle: 'Projects' }).deleteItem(2),
+    ]).then(function () {
+        assert.strictEqual(getPaths(stub.transport).filter(function (path) {
+            return path === '/_api/contextinfo';
+        }).length, 1);
+    });
+});
+
+test('refreshes an expired digest and retries once', function () {
+    var stub = setUp();
+    stub.valid.token = 'digest-0';
+
+    return stub.api.deleteItem(1).then(function () {
+        assert.deepStrictEqual(getPaths(stub.transport), [
+            '/_api/web/lists/getbytitle(\'Tasks\')/items(1)',
+            '/_api/contextinfo',
+            '/_api/web/lists/getbytitle(\'Tasks\')/items(1)',
+        ]);
+        assert.strictEqual(
+            stub.transport.requests[2].headers['X-RequestDigest'],
+            'digest-1');
+        assert.strictEqual(stub.api.options.token, 'digest-1');
+    });
+});
+
+test('rejects a write which fails again with the new digest', function () {
+    var stub = createStubApi(function (request) {
+        if (/\/_api\/contextinfo$/.test(request.url)) {
+            return { body: { d: { GetContextWebInformation: {
+                FormDigestValue: 'digest-1',
+            } } } };
+        }
+
+        return { status: 403, body: { error: {
+            code: '-2130575251, Microsoft.SharePoint.SPException',
+            message: { value: 'The security validation for this page is ' +
+                'invalid and might be corrupted.' },
+        } } };
+    });
+
+    return stub.api.deleteItem(1).then(function () {
+        assert.fail('The write was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.DigestExpiredError);
+        assert.strictEqual(stub.transport.requests.length, 3);
+    });
+});
+
+test('refreshes a digest which is about to expire', function () {
+    // The timestamp format of SharePoint, e.g. '19 Oct 2017 10:00:00 GMT'
+    var issued = new Date(Date.now() - 29.5 * 60 * 1000).toUTCString()
+        .slice(5);
+    var stub = setUp({ token: '0x1234,' + issued });
+
+    return stub.api.deleteItem(1).then(function () {
+        assert.strictEqual(getPaths(stub.transport)[0],
+            '/_api/contextinfo');
+    });
+});
+
+test('does not manage the digest if autoRefreshDigest is off', function () {
+    var stub = setUp({ autoRefreshDigest: false });
+    stub.valid.token = 'digest-0';
+
+    return stub.api.deleteItem(1).then(function () {
+        assert.fail('The write was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.DigestExpiredError);
+        assert.strictEqual(stub.transport.requests.length, 1);
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Tests of the errors of the failed requests and of the
+ * invalid calls.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Sends a request which fails with the specified response, and returns the
+ * error.
+ * @param {number} status - The HTTP status.
+ * @param {Object|string} [body] - The response body.
+ * @returns {Promise.<SpRestApi.Error>} A promise resolved with the error.
+ */
+function getError(status, body) {
+    var api = createStubApi(function () {
+        return { status: status, body: body };
+    }).api;
+
+    return api.getItem(1).then(function () {
+        assert.fail('The request was not rejected');
+    }, function (error) {
+        return error;
+    });
+}
+
+test('chooses the error type by the status and the code', function () {
+    return Promise.all([
+        getError(404),
+        getError(401),
+        getError(403),
+        getError(409),
+        getError(500, { error: {
+            code: '-2147024860, Microsoft.SharePoint.SPQueryThrottledException',
+            message: { value: 'The attempted operation is prohibited.' },
+        } }),
+        getError(500),
+    ]).then(function (errors) {
+        assert.deepStrictEqual(errors.map(function (error) {
+            assert.ok(error instanceof SpRestApi.Error);
+            assert.ok(error instanceof Error);
+            return error.name;
+        }), ['NotFoundError', 'AccessDeniedError', 'AccessDeniedError',
+            'ConflictError', 'ListViewThresholdError', 'SpRestApiError']);
+    });
+});
+
+test('reads the details of a JSON error', function () {
+    return getError(403, { 'odata.error': {
+        code: '-2147024891, System.UnauthorizedAccessException',
+        message: { lang: 'en-US', value: 'Access denied.' },
+    } }).then(function (error) {
+        assert.strictEqual(error.message, 'Access denied.');
+        assert.strictEqual(error.code,
+            '-2147024891, System.UnauthorizedAccessException');
+        assert.strictEqual(error.status, 403);
+        assert.strictEqual(error.method, 'GET');
+        assert.strictEqual(error.url, 'https://example.com/sites/test/' +
+            '_api/web/lists/getbytitle(\'Tasks\')/items(1)');
+        assert.strictEqual(error.response.status, 403);
+    });
+});
+
+test('reads the details of an XML error', function () {
+    return getError(404, '<?xml version="1.0" encoding="utf-8"?>' +
+        '<m:error xmlns:m="http://schemas.microsoft.com/ado/2007/08/' +
+        'dataservices/metadata"><m:code>-2130575338, System.Argument' +
+        'Exception</m:code><m:message xml:lang="en-US">List does not ' +
+        'exist.</m:message></m:error>').then(function (error) {
+        assert.ok(error instanceof SpRestApi.NotFoundError);
+        assert.strictEqual(error.message, 'List does not exist.');
+        assert.strictEqual(error.code,
+            '-2130575338, System.ArgumentException');
+    });
+});
+
+test('rejects the calls with an empty ID without a request', function () {
+    var stub = createStubApi(function () { return { body: {} }; });
+    var errors = [];
+    var api = stub.api.withOptions({
+        onerror: function (error) { errors.push(error); },
+    });
+
+    return Promise.all([
+        api.getItem(''),
+        api.getUserById(0),
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [undefined, undefined]);
+        assert.deepStrictEqual(errors.map(function (error) {
+            assert.ok(error instanceof SpRestApi.Error);
+            return error.message;
+        }), ['The list item ID must not be empty.',
+            'Tried to get user information using an empty user ID.']);
+        assert.strictEqual(stub.transport.requests.length, 0);
+    });
+});
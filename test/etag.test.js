@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Tests of the etags of the conditional updates and deletes.
+ * The conflicts themselves are tested against the fake backend, see
+ * fake-backend.test.js.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+test('reads the etag in every verbosity', function () {
+    assert.strictEqual(SpRestApi.getEtag({ d: { __metadata: {
+        etag: '"1"' } } }), '"1"');
+    assert.strictEqual(SpRestApi.getEtag({ 'odata.etag': '"2"' }), '"2"');
+    assert.strictEqual(SpRestApi.getEtag({ '@odata.etag': '"3"' }), '"3"');
+    assert.strictEqual(SpRestApi.getEtag(SpRestApi.normalizeResponse({
+        'odata.etag': '"4"', Id: 1 })), '"4"');
+    assert.strictEqual(SpRestApi.getEtag('"5"'), '"5"');
+    assert.strictEqual(SpRestApi.getEtag({ Id: 1 }), undefined);
+});
+
+test('sends any version without an etag', function () {
+    assert.strictEqual(SpRestApi.getIfMatch(), '*');
+    assert.strictEqual(SpRestApi.getIfMatch(''), '*');
+    assert.strictEqual(SpRestApi.getIfMatch({ 'odata.etag': '"2"' }), '"2"');
+    assert.throws(function () {
+        SpRestApi.getIfMatch({ Id: 1 });
+    }, SpRestApi.Error);
+});
+
+test('rejects a conflict of an item which was deleted meanwhile',
+    function () {
+        var stub = createStubApi(function (request) {
+            if (request.method === 'GET') {
+                return { status: 404, body: { error: { message: {
+                    value: 'Item does not exist.',
+                } } } };
+            }
+
+            return { status: 412, body: { error: { message: {
+                value: 'The version of the item has changed.',
+            } } } };
+        });
+
+        return stub.api.deleteItem(1, '"1"').then(function () {
+            assert.fail('The delete was not rejected');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.ConflictError);
+            assert.strictEqual(error.current, null);
+            assert.strictEqual(error.etag, undefined);
+            assert.strictEqual(
+                stub.transport.requests[0].headers['IF-MATCH'], '"1"');
+        });
+    });
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests of SpRestApi against the in-memory fake backend, in
+ * all three verbosities. Run with `npm test`.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+
+/**
+ * Creates a fake backend with the Tasks list and an SpRestApi instance
+ * which sends its requests to it.
+ * @param {string} verbosity - The verbosity of the responses.
+ * @returns {{backend: SpRestApi.FakeBackend, api: SpRestApi}} The backend
+ *      and the API.
+ */
+function setUp(verbosity) {
+    var backend = new FakeBackend({
+        lists: {
+            Tasks: [
+                { Title: 'Write tests', Status: 'Open' },
+                { Title: 'Fix bugs', Status: 'Open' },
+                { Title: 'Release', Status: 'Closed' },
+                { Title: 'Celebrate', Status: 'Open' },
+                { Title: 'Rest', Status: 'Closed' },
+            ],
+        },
+        fields: {
+            Tasks: [{ InternalName: 'Status', TypeAsString: 'Text' }],
+        },
+    });
+
+    var api = new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Tasks',
+        transport: backend.transport,
+        verbosity: verbosity,
+    });
+
+    return { backend: backend, api: api };
+}
+
+/**
+ * Returns the titles of the items in a server response.
+ * @param {Object} data - The server response.
+ * @returns {Array.<string>} The item titles.
+ */
+function getTitles(data) {
+    return SpRestApi.normalizeResponse(data).map(function (item) {
+        return item.Title;
+    });
+}
+
+Object.keys(SpRestApi.Verbosity).forEach(function (name) {
+    var verbosity = SpRestApi.Verbosity[name];
+    var hasEtags = verbosity !== SpRestApi.Verbosity.COMPACT;
+
+    test(name + ': creates, reads, updates and deletes an item', function () {
+        var api = setUp(verbosity).api;
+        var id;
+
+        return api.createItem({ Title: 'Review', Status: 'Open' })
+            .then(function (data) {
+                id = SpRestApi.unwrapResponse(data).Id;
+                assert.strictEqual(id, 6);
+                return api.getItem(id);
+            }).then(function (data) {
+                var item = SpRestApi.unwrapResponse(data);
+                assert.strictEqual(item.Title, 'Review');
+                assert.strictEqual(item.Status, 'Open');
+                return api.updateItem(id, { Status: 'Closed' });
+            }).then(function () {
+                return api.getItem(id);
+            }).then(function (data) {
+                var item = SpRestApi.unwrapResponse(data);
+                assert.strictEqual(item.Title, 'Review');
+                assert.strictEqual(item.Status, 'Closed');
+                return api.deleteItem(id);
+            }).then(function () {
+                return api.getItem(id).then(function () {
+                    assert.fail('The deleted item was found');
+                }, function (error) {
+                    assert.ok(error instanceof SpRestApi.NotFoundError);
+                });
+            });
+    });
+
+    test(name + ': rejects an update of a changed item', function () {
+        var api = setUp(verbosity).api;
+        var read;
+
+        return api.getItem(1).then(function (data) {
+            read = data;
+            assert.strictEqual(SpRestApi.getEtag(read),
+                hasEtags ? '"1"' : undefined);
+            return api.updateItem(1, { Status: 'Closed' });
+        }).then(function () {
+            return api.updateItem(1, { Status: 'Open' }, read);
+        }).then(function () {
+            assert.fail('The update was not rejected');
+        }, function (error) {
+            if (!hasEtags) {
+                // Without metadata, the item has no etag
+                assert.ok(error instanceof SpRestApi.Error);
+                assert.ok(!(error instanceof SpRestApi.ConflictError));
+                return;
+            }
+
+            assert.ok(error instanceof SpRestApi.ConflictError);
+            assert.strictEqual(error.etag, '"2"');
+            assert.strictEqual(
+                SpRestApi.unwrapResponse(error.current).Status, 'Closed');
+
+            // The current etag is accepted
+            return api.deleteItem(1, error.etag);
+        });
+    });
+
+    test(name + ': deletes an item only with the current etag', function () {
+        var fake = setUp(verbosity);
+
+        return fake.api.deleteItem(2, '"5"').then(function () {
+            assert.fail('The delete was not rejected');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.ConflictError);
+            assert.strictEqual(fake.backend.getItems('Tasks').length, 5);
+            return fake.api.deleteItem(2, '"1"');
+        }).then(function () {
+            assert.strictEqual(fake.backend.getItems('Tasks').length, 4);
+        });
+    });
+
+    test(name + ': links to the next page', function () {
+        var api = setUp(verbosity).api.withOptions({
+            maxItems: 2,
+            recursiveFetch: false,
+        });
+
+        return api.getAllItems().then(function (data) {
+            var nextUrl = verbosity === SpRestApi.Verbosity.VERBOSE ?
+                data.d.__next : data['odata.nextLink'];
+            assert.ok(/\$skiptoken=Paged%3DTRUE%26p_ID%3D2/.test(nextUrl));
+            assert.strictEqual(SpRestApi.getNextUrl(data), nextUrl);
+        });
+    });
+
+    test(name + ': loads all pages', function () {
+        var fake = setUp(verbosity);
+
+        return fake.api.withOptions({ maxItems: 2 }).getAllItems()
+            .then(function (data) {
+                assert.deepStrictEqual(getTitles(data), ['Write tests',
+                    'Fix bugs', 'Release', 'Celebrate', 'Rest']);
+                assert.strictEqual(fake.backend.requests.length, 3);
+            });
+    });
+
+    test(name + ': returns the URL of the next page', function () {
+        var api = setUp(verbosity).api.withOptions({
+            maxItems: 2,
+            recursiveFetch: false,
+            normalize: true,
+        });
+
+        return api.where('Status').eq('Open').getAllItems()
+            .then(function (items) {
+                assert.deepStrictEqual(getTitles(items),
+                    ['Write tests', 'Fix bugs']);
+                assert.ok(/\$skiptoken=/.test(items.nextUrl));
+                return api.resumeFetch({ nextUrl: items.nextUrl });
+            }).then(function (items) {
+                assert.deepStrictEqual(getTitles(items), ['Celebrate']);
+                assert.strictEqual(items.nextUrl, undefined);
+            });
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests of the document library file and folder operations.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var FOLDER_URL = 'https://example.com/sites/test/_api/web/' +
+    'GetFolderByServerRelativeUrl(\'/sites/test/Shared%20Documents/' +
+    'O\'\'Brien%20%23%201\')';
+var FILE_URL = 'https://example.com/sites/test/_api/web/' +
+    'GetFileByServerRelativeUrl(\'/sites/test/Shared%20Documents/' +
+    'Report.docx\')';
+
+/**
+ * Creates an SpRestApi instance which answers every request with the
+ * specified body.
+ * @param {Object} [body] - The response body. Empty by default.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(body, options) {
+    return createStubApi(function () {
+        return { body: body };
+    }, options);
+}
+
+/**
+ * Returns the method and the URL of the requests received by the
+ * transport, including the X-HTTP-METHOD.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Array.<string>} E.g. 'DELETE https://...'.
+ */
+function getRequests(transport) {
+    return transport.requests.map(function (request) {
+        return (request.headers['X-HTTP-METHOD'] || request.method) + ' ' +
+            request.url;
+    });
+}
+
+test('escapes the quotes and special characters of the URLs', function () {
+    var stub = setUp();
+
+    return stub.api.deleteFolder('/sites/test/Shared Documents/O\'Brien # 1')
+        .then(function () {
+            assert.deepStrictEqual(getRequests(stub.transport),
+                ['DELETE ' + FOLDER_URL]);
+        });
+});
+
+test('renames a folder in the same parent folder', function () {
+    var stub = setUp();
+
+    return stub.api.renameFolder('/sites/test/Shared Documents/Old/',
+        'New').then(function () {
+            assert.deepStrictEqual(getRequests(stub.transport), [
+                'POST https://example.com/sites/test/_api/web/' +
+                'GetFolderByServerRelativeUrl(\'/sites/test/' +
+                'Shared%20Documents/Old/\')/MoveTo(newurl=\'/sites/test/' +
+                'Shared%20Documents/New\')',
+            ]);
+        });
+});
+
+test('uploads a small file in a single request', function () {
+    var stub = setUp({ d: { Name: 'Report.docx' } });
+
+    return stub.api.uploadFile('/sites/test/Shared Documents', 'Report.docx',
+        'content', false).then(function (data) {
+            var request = stub.transport.requests[0];
+            assert.strictEqual(data.d.Name, 'Report.docx');
+            assert.strictEqual(request.url, 'https://example.com/sites/' +
+                'test/_api/web/GetFolderByServerRelativeUrl(\'/sites/test/' +
+                'Shared%20Documents\')/Files/add(url=\'Report.docx\',' +
+                'overwrite=false)');
+            assert.strictEqual(request.headers['Content-Type'],
+                'application/octet-stream');
+            assert.strictEqual(request.body, 'content');
+        });
+});
+
+test('uploads a large file in chunks', function () {
+    var stub = setUp({ d: { Name: 'Report.docx' } }, { fileChunkSize: 4 });
+    var content = new Uint8Array(10).buffer;
+
+    return stub.api.uploadFile('/sites/test/Shared Documents/',
+        'Report.docx', content).then(function (data) {
+            var requests = stub.transport.requests;
+            var urls = requests.map(function (request) {
+                return request.url.replace(/guid'[^']*'/, 'guid\'id\'');
+            });
+
+            assert.strictEqual(data.d.Name, 'Report.docx');
+            assert.deepStrictEqual(urls.slice(1), [
+                FILE_URL + '/StartUpload(uploadId=guid\'id\')',
+                FILE_URL + '/ContinueUpload(uploadId=guid\'id\',' +
+                    'fileOffset=4)',
+                FILE_URL + '/FinishUpload(uploadId=guid\'id\',' +
+                    'fileOffset=8)',
+            ]);
+            assert.strictEqual(requests[0].body, undefined);
+            assert.deepStrictEqual(requests.slice(1).map(function (request) {
+                return request.body.byteLength;
+            }), [4, 4, 2]);
+        });
+});
+
+test('downloads a file as is', function () {
+    var stub = setUp('%PDF', { normalize: true });
+
+    return stub.api.downloadFile('/sites/test/Shared Documents/Report.docx',
+        'text').then(function (content) {
+            assert.strictEqual(content, '%PDF');
+            assert.strictEqual(stub.transport.requests[0].url,
+                FILE_URL + '/$value');
+            assert.strictEqual(stub.transport.requests[0].responseType,
+                'text');
+        });
+});
+
+test('updates the fields of a file with the item type', function () {
+    var stub = setUp({ d: {
+        __metadata: { type: 'SP.Data.Shared_x0020_DocumentsItem' },
+        Id: 3,
+    } }, { cache: true });
+    var fileUrl = '/sites/test/Shared Documents/Report.docx';
+
+    return stub.api.updateFileFields(fileUrl, { Title: 'Draft' })
+        .then(function () {
+            return stub.api.updateFileFields(fileUrl, { Title: 'Report' });
+        }).then(function () {
+            var requests = stub.transport.requests;
+
+            // The type is read again, not from the cache
+            assert.deepStrictEqual(getRequests(stub.transport).slice(2), [
+                'GET ' + FILE_URL + '/ListItemAllFields?$select=Id',
+                'MERGE ' + FILE_URL + '/ListItemAllFields',
+            ]);
+            assert.strictEqual(requests[2].headers.Accept,
+                'application/json;odata=verbose');
+            assert.deepStrictEqual(JSON.parse(requests[3].body), {
+                Title: 'Report',
+                __metadata: { type: 'SP.Data.Shared_x0020_DocumentsItem' },
+            });
+        });
+});
@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Helpers shared by the tests: a stub transport for the
+ * endpoints which the fake backend does not cover.
+ */
+
+var SpRestApi = require('../sp-rest-api.js');
+
+/**
+ * Creates a transport which answers every request with the result of the
+ * handler, and records the requests.
+ * @param {Function} handler - Called with the TransportRequest; returns
+ *      `{status, body, headers}` or a promise of it. An object body is sent
+ *      as JSON. The status is 200 by default.
+ * @returns {Transport} The transport, with the received requests in
+ *      `requests`.
+ */
+function createStubTransport(handler) {
+    var transport = function (request) {
+        transport.requests.push(request);
+
+        return Promise.resolve(handler(request)).then(function (result) {
+            result = result || {};
+
+            var body = result.body;
+            var text = body === undefined || body === null ? '' :
+                typeof body === 'string' ? body : JSON.stringify(body);
+            var headers = result.headers || {};
+
+            return {
+                status: result.status || 200,
+                statusText: String(result.status || 200),
+                responseText: text,
+                response: text,
+                getResponseHeader: function (name) {
+                    var key = Object.keys(headers).filter(function (key) {
+                        return key.toLowerCase() === name.toLowerCase();
+                    })[0];
+                    return key ? headers[key] : null;
+                },
+            };
+        });
+    };
+
+    transport.requests = [];
+    return transport;
+}
+
+/**
+ * Creates an SpRestApi instance which sends its requests to the handler.
+ * See createStubTransport().
+ * @param {Function} handler - The request handler.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function createStubApi(handler, options) {
+    var transport = createStubTransport(handler);
+    var api = new SpRestApi(SpRestApi.extend({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Tasks',
+        token: 'digest',
+        transport: transport,
+    }, options));
+
+    return { api: api, transport: transport };
+}
+
+module.exports = {
+    createStubTransport: createStubTransport,
+    createStubApi: createStubApi,
+};
@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Tests of importing items from CSV and JSON. Run with
+ * `npm test`.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+
+/**
+ * Creates a fake backend with the Projects list and an SpRestApi instance
+ * which sends its requests to it. The list has the item 'Website' with the
+ * ProjectCode 'P1'.
+ * @returns {{backend: SpRestApi.FakeBackend, api: SpRestApi}} The backend
+ *      and the API.
+ */
+function setUp() {
+    var backend = new FakeBackend({
+        lists: {
+            Projects: [{ Title: 'Website', ProjectCode: 'P1', Budget: 10 }],
+        },
+        fields: {
+            Projects: [
+                { InternalName: 'ProjectCode', TypeAsString: 'Text' },
+                { InternalName: 'Budget', TypeAsString: 'Number' },
+                { InternalName: 'Start', TypeAsString: 'DateTime' },
+                { InternalName: 'Active', TypeAsString: 'Boolean' },
+            ],
+        },
+    });
+
+    var api = new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Projects',
+        transport: backend.transport,
+    });
+
+    return { backend: backend, api: api };
+}
+
+/**
+ * Returns the actions of the imported rows.
+ * @param {ImportReport} report - The report of importItems().
+ * @returns {Array.<string>} The actions, e.g. 'create'.
+ */
+function getActions(report) {
+    return report.rows.map(function (result) { return result.action; });
+}
+
+/**
+ * Counts the writes received by the backend.
+ * @param {SpRestApi.FakeBackend} backend - The backend.
+ * @returns {number} The number of the POST requests, except for the
+ *      digest.
+ */
+function countWrites(backend) {
+    return backend.requests.filter(function (request) {
+        return request.method === 'POST' &&
+            !/\/contextinfo$/.test(request.url);
+    }).length;
+}
+
+test('parseImportNumber() rejects both ambiguous numbers', function () {
+    assert.ok(isNaN(SpRestApi.parseImportNumber('1,234')));
+    assert.ok(isNaN(SpRestApi.parseImportNumber('1.234')));
+    assert.ok(isNaN(SpRestApi.parseImportNumber('-1.234')));
+});
+
+test('parseImportNumber() detects the decimal separator', function () {
+    assert.strictEqual(SpRestApi.parseImportNumber('1,234.5'), 1234.5);
+    assert.strictEqual(SpRestApi.parseImportNumber('1.234,5'), 1234.5);
+    assert.strictEqual(SpRestApi.parseImportNumber('1 234,5'), 1234.5);
+    assert.strictEqual(SpRestApi.parseImportNumber('1,234,567'), 1234567);
+    assert.strictEqual(SpRestApi.parseImportNumber('0.125'), 0.125);
+    assert.strictEqual(SpRestApi.parseImportNumber('12,34'), 12.34);
+    assert.ok(isNaN(SpRestApi.parseImportNumber('1,23,456')));
+});
+
+test('parseImportNumber() uses the given decimal separator', function () {
+    assert.strictEqual(SpRestApi.parseImportNumber('1,234', ','), 1.234);
+    assert.strictEqual(SpRestApi.parseImportNumber('1.234', ','), 1234);
+    assert.strictEqual(SpRestApi.parseImportNumber('1,234', '.'), 1234);
+    assert.strictEqual(SpRestApi.parseImportNumber('1.234', '.'), 1.234);
+    assert.strictEqual(SpRestApi.parseImportNumber('1.234,5', ','), 1234.5);
+    assert.ok(isNaN(SpRestApi.parseImportNumber('1,234.5', ',')));
+    assert.ok(isNaN(SpRestApi.parseImportNumber('1.2.3', '.')));
+});
+
+test('importItems() fails the rows with ambiguous numbers', function () {
+    var fake = setUp();
+    var csv = 'Title,Budget\nA,"1,234"\nB,1.234\nC,"1,234.5"';
+
+    return fake.api.importItems(csv).then(function (report) {
+        assert.deepStrictEqual(report.rows.map(function (result) {
+            return result.action;
+        }), ['error', 'error', 'create']);
+        assert.strictEqual(report.failed, 2);
+        assert.strictEqual(report.created, 1);
+        assert.strictEqual(report.rows[2].values.Budget, 1234.5);
+        assert.strictEqual(fake.backend.getItems('Projects').length, 2);
+    });
+});
+
+test('importItems() uses the configured decimal separator', function () {
+    var fake = setUp();
+    var csv = 'Title;Budget\nA;1,234\nB;1.234';
+
+    return fake.api.importItems(csv, {
+        delimiter: ';',
+        decimalSeparator: ',',
+    }).then(function (report) {
+        assert.strictEqual(report.failed, 0);
+        assert.strictEqual(report.rows[0].values.Budget, 1.234);
+        assert.strictEqual(report.rows[1].values.Budget, 1234);
+    });
+});
+
+test('parseImportDate() accepts only ISO 8601 dates which exist',
+    function () {
+        assert.strictEqual(SpRestApi.parseImportDate('2017-12-31')
+            .toISOString(), '2017-12-31T00:00:00.000Z');
+        assert.strictEqual(SpRestApi.parseImportDate('2017-12-31T14:00Z')
+            .toISOString(), '2017-12-31T14:00:00.000Z');
+        ['2017-02-31', '31.12.2017', '2017-12-31T25'].forEach(function (text) {
+            assert.ok(isNaN(SpRestApi.parseImportDate(text).getTime()), text);
+        });
+    });
+
+test('importItems() updates the items by the key and creates the others',
+    function () {
+        var fake = setUp();
+        var csv = 'Code,title,Budget,Notes\nP1,Website 2,20,a\n' +
+            'P2,Shop,5,b';
+
+        return fake.api.importItems(csv, {
+            key: 'ProjectCode',
+            mapping: { Code: 'ProjectCode' },
+        }).then(function (report) {
+            assert.deepStrictEqual(getActions(report), ['update', 'create']);
+            assert.strictEqual(report.updated, 1);
+            assert.strictEqual(report.created, 1);
+            assert.deepStrictEqual(report.unmappedColumns, ['Notes']);
+            assert.deepStrictEqual(report.rows[0].values, {
+                ProjectCode: 'P1',
+                Title: 'Website 2',
+                Budget: 20,
+            });
+            assert.deepStrictEqual(fake.backend.getItems('Projects')
+                .map(function (item) {
+                    return [item.Id, item.Title, item.Budget];
+                }), [[1, 'Website 2', 20], [2, 'Shop', 5]]);
+        });
+    });
+
+test('importItems() fails the rows with the same key', function () {
+    var fake = setUp();
+    var rows = [
+        { ProjectCode: 'P2', Title: 'Shop' },
+        { ProjectCode: 'P3', Title: 'Blog' },
+        { ProjectCode: 'P2', Title: 'Store' },
+    ];
+
+    return fake.api.importItems(rows, { key: 'ProjectCode' })
+        .then(function (report) {
+            assert.deepStrictEqual(getActions(report),
+                ['error', 'create', 'error']);
+            assert.strictEqual(report.rows[0].error.message, 'The key ' +
+                '\'P2\' of the column \'ProjectCode\' appears in more ' +
+                'than one row: 1, 3.');
+            assert.strictEqual(report.failed, 2);
+            assert.strictEqual(countWrites(fake.backend), 1);
+        });
+});
+
+test('importItems() fails the rows with invalid values', function () {
+    var fake = setUp();
+    var csv = 'Title,Start,Active\nA,2017-02-31,yes\nB,2017-03-01,maybe\n' +
+        'C,2017-03-01,n';
+
+    return fake.api.importItems(csv).then(function (report) {
+        assert.deepStrictEqual(getActions(report),
+            ['error', 'error', 'create']);
+        assert.strictEqual(report.rows[0].error.message, 'The value ' +
+            '\'2017-02-31\' of the column \'Start\' is not a valid date ' +
+            '(YYYY-MM-DD).');
+        assert.strictEqual(report.rows[1].error.message, 'The value ' +
+            '\'maybe\' of the column \'Active\' is not a valid Yes/No ' +
+            'value.');
+        assert.strictEqual(report.rows[2].values.Active, false);
+        assert.ok(report.rows[2].values.Start instanceof Date);
+    });
+});
+
+test('importItems() only reports the changes in a dry run', function () {
+    var fake = setUp();
+
+    return fake.api.importItems('[{"ProjectCode":"P1","Budget":30},' +
+        '{"ProjectCode":"P2","Budget":"x"},{"ProjectCode":"P3"}]', {
+        key: 'ProjectCode',
+        dryRun: true,
+    }).then(function (report) {
+        assert.strictEqual(report.dryRun, true);
+        assert.deepStrictEqual(getActions(report),
+            ['update', 'error', 'create']);
+        assert.strictEqual(report.rows[0].id, 1);
+        assert.strictEqual(countWrites(fake.backend), 0);
+        assert.strictEqual(fake.backend.getItems('Projects')[0].Budget, 10);
+    });
+});
+
+test('importItems() rejects the data which cannot be parsed', function () {
+    var fake = setUp();
+
+    return Promise.all([
+        fake.api.importItems('[{"Title": "A"'),
+        fake.api.importItems('[{"Title": "A"}, "B"]'),
+        fake.api.importItems({ Title: 'A' }),
+    ].map(function (request) {
+        return request.then(function () {
+            assert.fail('The import was not rejected');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.Error);
+            return error.message;
+        });
+    })).then(function (messages) {
+        assert.ok(/^The data is not valid JSON: /.test(messages[0]));
+        assert.strictEqual(messages[1], 'The row 2 is not an object.');
+        assert.strictEqual(messages[2],
+            'The data must be CSV or JSON text, or an array of rows.');
+        assert.strictEqual(fake.backend.requests.length, 0);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Tests of addressing the lists and of their item entity
+ * types.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance whose lists have the entity type
+ * 'SP.Data.TasksListItem', unless `failEntityType` of the result is set.
+ * @returns {{api: SpRestApi, transport: Transport,
+ *      failEntityType: boolean}} The instance and its transport.
+ */
+function setUp() {
+    var stub = createStubApi(function (request) {
+        if (/ListItemEntityTypeFullName/.test(request.url)) {
+            if (stub.failEntityType) { return { status: 500 }; }
+
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                ListItemEntityTypeFullName: 'SP.Data.TasksListItem',
+            } } };
+        }
+
+        return { body: { d: { __metadata: { type: 'SP.Data.TasksListItem' },
+            Id: 1 } } };
+    });
+
+    stub.failEntityType = false;
+    return stub;
+}
+
+/**
+ * Counts the requests for the entity type.
+ * @param {Transport} transport - The stub transport.
+ * @returns {number} The number of the requests.
+ */
+function countEntityTypeReads(transport) {
+    return transport.requests.filter(function (request) {
+        return /ListItemEntityTypeFullName/.test(request.url);
+    }).length;
+}
+
+test('addresses a list by its title, ID or URL', function () {
+    var api = setUp().api;
+    var site = 'https://example.com/sites/test/_api/web/';
+
+    assert.strictEqual(api.lists('O\'Brien & Co').generateListUrl(),
+        site + 'lists/getbytitle(\'O\'\'Brien%20%26%20Co\')');
+    assert.strictEqual(
+        api.lists('{A1B2C3D4-0000-4000-8000-000000000001}').generateListUrl(),
+        site + 'lists(guid\'A1B2C3D4-0000-4000-8000-000000000001\')');
+    assert.strictEqual(api.lists('/sites/test/Lists/Tasks').generateListUrl(),
+        site + 'GetList(\'/sites/test/Lists/Tasks\')');
+});
+
+test('reads the entity type of a list once', function () {
+    var stub = setUp();
+
+    return Promise.all([
+        stub.api.createItem({ Title: 'A' }),
+        stub.api.createItem({ Title: 'B' }),
+    ]).then(function () {
+        return stub.api.updateItem(1, { Title: 'C' });
+    }).then(function () {
+        var bodies = stub.transport.requests.filter(function (request) {
+            return request.method === 'POST';
+        }).map(function (request) {
+            return JSON.parse(request.body).__metadata.type;
+        });
+
+        assert.strictEqual(countEntityTypeReads(stub.transport), 1);
+        assert.deepStrictEqual(bodies, ['SP.Data.TasksListItem',
+            'SP.Data.TasksListItem', 'SP.Data.TasksListItem']);
+    });
+});
+
+test('reads the entity type of each list', function () {
+    var stub = setUp();
+
+    return stub.api.createItem({ Title: 'A' }).then(function () {
+        return stub.api.withOptions({ listTitle: 'Projects' })
+            .createItem({ Title: 'B' });
+    }).then(function () {
+        assert.strictEqual(countEntityTypeReads(stub.transport), 2);
+    });
+});
+
+test('reads the entity type again after a failure', function () {
+    var stub = setUp();
+    stub.failEntityType = true;
+
+    return stub.api.createItem({ Title: 'A' }).then(function () {
+        assert.fail('The item was created');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.Error);
+        stub.failEntityType = false;
+        return stub.api.createItem({ Title: 'A' });
+    }).then(function () {
+        assert.strictEqual(countEntityTypeReads(stub.transport), 2);
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests of the verbosity-independent response normalization.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+
+/**
+ * Creates an SpRestApi instance with `normalize` on, which sends its
+ * requests to a fake backend with the Tasks list.
+ * @param {Verbosity} verbosity - The verbosity of the responses.
+ * @returns {SpRestApi} The instance.
+ */
+function setUp(verbosity) {
+    var backend = new FakeBackend({
+        lists: {
+            Tasks: [
+                { Title: 'Write tests', Status: 'Open' },
+                { Title: 'Fix bugs', Status: 'Closed' },
+            ],
+        },
+        fields: {
+            Tasks: [{ InternalName: 'Status', TypeAsString: 'Text' }],
+        },
+    });
+
+    return new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Tasks',
+        transport: backend.transport,
+        verbosity: verbosity,
+        normalize: true,
+        select: ['Id', 'Title', 'Status'],
+    });
+}
+
+test('returns the same items in every verbosity', function () {
+    var names = Object.keys(SpRestApi.Verbosity);
+
+    return Promise.all(names.map(function (name) {
+        var api = setUp(SpRestApi.Verbosity[name]);
+        return Promise.all([api.getAllItems(), api.getItem(1)]);
+    })).then(function (results) {
+        results.forEach(function (result, i) {
+            assert.deepStrictEqual(result[0], [
+                { Id: 1, Title: 'Write tests', Status: 'Open' },
+                { Id: 2, Title: 'Fix bugs', Status: 'Closed' },
+            ], names[i]);
+            assert.deepStrictEqual(result[1],
+                { Id: 1, Title: 'Write tests', Status: 'Open' }, names[i]);
+        });
+    });
+});
+
+test('removes the metadata and keeps the etag', function () {
+    var item = SpRestApi.normalizeResponse({ d: {
+        __metadata: { type: 'SP.Data.TasksListItem', etag: '"4"' },
+        Id: 1,
+        Author: { __deferred: { uri: 'https://example.com/Author' } },
+        Editor: {
+            __metadata: { type: 'SP.Data.UserInfoItem' },
+            Title: 'John',
+        },
+        Tags: { __metadata: { type: 'Collection(Edm.String)' },
+            results: ['a', 'b'] },
+    } });
+
+    assert.deepStrictEqual(item, {
+        Id: 1,
+        Editor: { Title: 'John' },
+        Tags: ['a', 'b'],
+    });
+    assert.strictEqual(item.__etag, '"4"');
+    assert.strictEqual(SpRestApi.getEtag(item), '"4"');
+});
+
+test('removes the odata annotations and keeps the next page', function () {
+    var items = SpRestApi.normalizeResponse({
+        'odata.metadata': 'https://example.com/_api/$metadata',
+        'odata.nextLink': 'https://example.com/next',
+        value: [{
+            'odata.type': 'SP.Data.TasksListItem',
+            'odata.etag': '"2"',
+            'Author@odata.navigationLinkUrl': 'Author',
+            Id: 1,
+        }],
+    });
+
+    assert.deepStrictEqual(items.slice(), [{ Id: 1 }]);
+    assert.strictEqual(items.nextUrl, 'https://example.com/next');
+    assert.strictEqual(items[0].__etag, '"2"');
+});
+
+test('unwraps the function results', function () {
+    assert.deepStrictEqual(SpRestApi.normalizeResponse({ d: {
+        GetContextWebInformation: { FormDigestValue: 'digest' },
+    } }), { FormDigestValue: 'digest' });
+});
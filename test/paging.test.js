@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Tests of loading the list items page by page: forEachPage(),
+ * iterateItems(), the limits, the progress and resuming a failed fetch.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+var createStubTransport = require('./helpers.js').createStubTransport;
+
+/**
+ * Creates a fake backend with five tasks and an SpRestApi instance which
+ * loads them two per page. The request with the index `failAt` of the
+ * result fails once with 503, unless it is -1.
+ * @returns {{backend: SpRestApi.FakeBackend, api: SpRestApi,
+ *      failAt: number}} The backend and the API.
+ */
+function setUp() {
+    var backend = new FakeBackend({ lists: { Tasks: [
+        { Title: 'Write tests' },
+        { Title: 'Fix bugs' },
+        { Title: 'Release' },
+        { Title: 'Celebrate' },
+        { Title: 'Rest' },
+    ] } });
+    var fake = { backend: backend, failAt: -1 };
+    var unavailable = createStubTransport(function () {
+        return { status: 503 };
+    });
+
+    fake.api = new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        listTitle: 'Tasks',
+        maxItems: 2,
+        maxRetries: 0,
+        transport: function (request) {
+            if (backend.requests.length === fake.failAt) {
+                fake.failAt = -1;
+                backend.requests.push(request);
+                return unavailable(request);
+            }
+
+            return backend.transport(request);
+        },
+    });
+
+    return fake;
+}
+
+/**
+ * Returns the titles of the items.
+ * @param {Array.<Object>} items - The items.
+ * @returns {Array.<string>} The titles.
+ */
+function getTitles(items) {
+    return items.map(function (item) { return item.Title; });
+}
+
+test('forEachPage() runs the callback for each page', function () {
+    var fake = setUp();
+    var pages = [];
+
+    return fake.api.forEachPage(function (items, count) {
+        pages.push([getTitles(items), count]);
+    }).then(function (count) {
+        assert.strictEqual(count, 5);
+        assert.deepStrictEqual(pages, [
+            [['Write tests', 'Fix bugs'], 2],
+            [['Release', 'Celebrate'], 4],
+            [['Rest'], 5],
+        ]);
+        assert.strictEqual(fake.backend.requests.length, 3);
+    });
+});
+
+test('forEachPage() stops once the callback returns false', function () {
+    var fake = setUp();
+
+    return fake.api.forEachPage(function () {
+        return Promise.resolve(false);
+    }).then(function (count) {
+        assert.strictEqual(count, 2);
+        assert.strictEqual(fake.backend.requests.length, 1);
+    });
+});
+
+test('stops after the maximum number of items and reports the progress',
+    function () {
+        var fake = setUp();
+        var progress = [];
+        var api = fake.api.withOptions({
+            maxTotalItems: 3,
+            onprogress: function (count) { progress.push(count); },
+        });
+
+        return api.forEachPage(function () {}).then(function (count) {
+            assert.strictEqual(count, 3);
+            assert.deepStrictEqual(progress, [2, 3]);
+            assert.strictEqual(fake.backend.requests.length, 2);
+            return api.getAllItems();
+        }).then(function (data) {
+            assert.deepStrictEqual(getTitles(data.d.results),
+                ['Write tests', 'Fix bugs', 'Release']);
+            assert.deepStrictEqual(progress, [2, 3, 2, 3]);
+        });
+    });
+
+test('iterateItems() loads a page only when it is requested', function () {
+    var fake = setUp();
+    var iterator = fake.api.withOptions({ normalize: true }).iterateItems();
+
+    assert.strictEqual(typeof iterator[Symbol.asyncIterator], 'function');
+    assert.strictEqual(fake.backend.requests.length, 0);
+
+    return iterator.next().then(function (result) {
+        assert.strictEqual(result.done, false);
+        assert.deepStrictEqual(getTitles(result.value),
+            ['Write tests', 'Fix bugs']);
+        assert.strictEqual(result.value[0].__metadata, undefined);
+        assert.strictEqual(fake.backend.requests.length, 1);
+        return iterator.return();
+    }).then(function (result) {
+        assert.strictEqual(result.done, true);
+        return iterator.next();
+    }).then(function (result) {
+        assert.deepStrictEqual(result, { value: undefined, done: true });
+        assert.strictEqual(fake.backend.requests.length, 1);
+    });
+});
+
+test('rejects with AbortError once the signal is aborted', function () {
+    var fake = setUp();
+    var controller = new AbortController();
+    var api = fake.api.withOptions({ signal: controller.signal });
+
+    return api.forEachPage(function () {
+        controller.abort();
+    }).then(function () {
+        assert.fail('The loading was not aborted');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.AbortError);
+        assert.strictEqual(fake.backend.requests.length, 1);
+    });
+});
+
+test('resumes a fetch from the page which failed', function () {
+    var fake = setUp();
+    fake.failAt = 1;
+
+    return fake.api.getAllItems().then(function () {
+        assert.fail('The fetch did not fail');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.Error);
+        assert.deepStrictEqual(getTitles(error.partialItems),
+            ['Write tests', 'Fix bugs']);
+        assert.ok(/\$skiptoken=/.test(error.nextUrl));
+        return fake.api.resumeFetch(error);
+    }).then(function (data) {
+        assert.deepStrictEqual(getTitles(data.d.results), ['Write tests',
+            'Fix bugs', 'Release', 'Celebrate', 'Rest']);
+        assert.strictEqual(fake.backend.requests.length, 4);
+    });
+});
+
+test('resumeFetch() rejects an error without the next page', function () {
+    var fake = setUp();
+
+    return fake.api.resumeFetch(new SpRestApi.Error('Failed')).then(
+        function () {
+            assert.fail('The fetch was resumed');
+        }, function (error) {
+            assert.strictEqual(error.message,
+                'The fetch cannot be resumed, since no page was loaded.');
+            assert.strictEqual(fake.backend.requests.length, 0);
+        });
+});
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests of the users, the SharePoint groups and the people
+ * search.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var LOGIN_NAME = 'i:0#.f|membership|john@example.com';
+
+/**
+ * Creates an SpRestApi instance whose site has the user 7 (John), who is
+ * a member of the group 'Approvers' only.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp() {
+    return createStubApi(function (request) {
+        var url = decodeURIComponent(request.url);
+        var user = { __metadata: { type: 'SP.User' }, Id: 7,
+            LoginName: LOGIN_NAME, Title: 'John' };
+
+        if (/\/currentuser\/groups\?/.test(url)) {
+            var isMember = /Id eq 3$|Title eq 'Approvers'$/.test(url);
+            return { body: { d: { results: isMember ? [{ Id: 3 }] : [] } } };
+        }
+
+        if (/clientPeoplePickerSearchUser$/.test(url)) {
+            return { body: { d: { ClientPeoplePickerSearchUser:
+                JSON.stringify([{ Key: LOGIN_NAME, DisplayText: 'John' }]),
+            } } };
+        }
+
+        return { body: { d: user } };
+    });
+}
+
+/**
+ * Returns the decoded URLs of the requests.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Array.<string>} The URLs.
+ */
+function getUrls(transport) {
+    return transport.requests.map(function (request) {
+        return decodeURIComponent(request.url);
+    });
+}
+
+/**
+ * Runs the function with the SharePoint page context set, and removes the
+ * context once the returned promise settles.
+ * @param {Object} pageContext - The `_spPageContextInfo` of the page.
+ * @param {Function} fn - Returns a promise.
+ * @returns {Promise} A promise resolved once the one returned by `fn` is,
+ *      or rejected with the same error.
+ */
+function withPageContext(pageContext, fn) {
+    var restore = function () { delete global._spPageContextInfo; };
+
+    global._spPageContextInfo = pageContext;
+    return fn().then(restore, function (error) {
+        restore();
+        throw error;
+    });
+}
+
+test('reads the current user of another site than the page\'s',
+    function () {
+        var stub = setUp();
+
+        return withPageContext({
+            webAbsoluteUrl: 'https://example.com/sites/other',
+            siteAbsoluteUrl: 'https://example.com',
+            userId: 5,
+        }, function () {
+            return stub.api.getCurrentUser();
+        }).then(function () {
+            assert.deepStrictEqual(getUrls(stub.transport), [
+                'https://example.com/sites/test/_api/web/currentuser' +
+                    '?$expand=Groups',
+            ]);
+        });
+    });
+
+test('reads the current user of the page\'s site by the ID', function () {
+    var stub = setUp();
+
+    return withPageContext({
+        webAbsoluteUrl: 'https://EXAMPLE.com/sites/test/',
+        userId: 5,
+    }, function () {
+        return stub.api.getCurrentUser();
+    }).then(function () {
+        assert.deepStrictEqual(getUrls(stub.transport), [
+            'https://example.com/sites/test/_api/Web/GetUserById(5)' +
+                '?$expand=Groups',
+        ]);
+    });
+});
+
+test('reads the users of the configured site', function () {
+    var stub = setUp();
+    var other = stub.api.web('/sites/other');
+
+    return Promise.all([
+        other.getUserById(7),
+        other.getUserByEmail('o\'brien@example.com'),
+        other.getUserByLoginName(LOGIN_NAME),
+    ]).then(function () {
+        assert.deepStrictEqual(getUrls(stub.transport), [
+            'https://example.com/sites/other/_api/Web/GetUserById(7)' +
+                '?$expand=Groups',
+            'https://example.com/sites/other/_api/web/siteusers/' +
+                'getByEmail(\'o\'\'brien@example.com\')',
+            'https://example.com/sites/other/_api/web/siteusers/' +
+                'getByLoginName(@v)?@v=\'' + LOGIN_NAME + '\'',
+        ]);
+    });
+});
+
+test('adds a user to a group by the login name', function () {
+    var stub = setUp();
+
+    return stub.api.addUserToGroup('Approvers', 'john@example.com')
+        .then(function () {
+            var requests = stub.transport.requests;
+
+            assert.deepStrictEqual(getUrls(stub.transport), [
+                'https://example.com/sites/test/_api/web/ensureuser',
+                'https://example.com/sites/test/_api/web/sitegroups/' +
+                    'getbyname(\'Approvers\')/users',
+            ]);
+            assert.deepStrictEqual(JSON.parse(requests[0].body),
+                { logonName: 'john@example.com' });
+            assert.deepStrictEqual(JSON.parse(requests[1].body), {
+                __metadata: { type: 'SP.User' },
+                LoginName: LOGIN_NAME,
+            });
+        });
+});
+
+test('removes a user from a group by the ID or the email', function () {
+    var stub = setUp();
+
+    return stub.api.removeUserFromGroup(3, 7).then(function () {
+        return stub.api.removeUserFromGroup('Approvers', 'john@example.com');
+    }).then(function () {
+        assert.deepStrictEqual(getUrls(stub.transport), [
+            'https://example.com/sites/test/_api/web/sitegroups/getbyid(3)/' +
+                'users/removebyid(7)',
+            'https://example.com/sites/test/_api/web/ensureuser',
+            'https://example.com/sites/test/_api/web/sitegroups/' +
+                'getbyname(\'Approvers\')/users/removebyid(7)',
+        ]);
+    });
+});
+
+test('checks whether the current user is in a group', function () {
+    var stub = setUp();
+
+    return Promise.all([
+        stub.api.isCurrentUserInGroup('Approvers'),
+        stub.api.isCurrentUserInGroup(3),
+        stub.api.isCurrentUserInGroup('O\'Brien\'s team'),
+    ]).then(function (results) {
+        assert.deepStrictEqual(results, [true, true, false]);
+        assert.strictEqual(getUrls(stub.transport)[2],
+            'https://example.com/sites/test/_api/web/currentuser/groups' +
+            '?$select=Id&$filter=Title eq \'O\'\'Brien\'\'s team\'');
+    });
+});
+
+test('searches for people like the people picker', function () {
+    var stub = setUp();
+    var types = SpRestApi.PrincipalTypes;
+
+    return stub.api.searchPeople('jo', 5, types.USER | types.SECURITY_GROUP)
+        .then(function (results) {
+            var params = JSON.parse(stub.transport.requests[0].body)
+                .queryParams;
+
+            assert.deepStrictEqual(results,
+                [{ Key: LOGIN_NAME, DisplayText: 'John' }]);
+            assert.strictEqual(params.QueryString, 'jo');
+            assert.strictEqual(params.MaximumEntitySuggestions, 5);
+            assert.strictEqual(params.PrincipalType, 5);
+        });
+});
+
+test('config() keeps the default options unchanged', function () {
+    var api = setUp().api;
+
+    api.config({ listTitle: 'Projects' });
+    api.config({ maxItems: 10 });
+
+    assert.strictEqual(api.options.listTitle, 'Projects');
+    assert.strictEqual(api.options.maxItems, 10);
+    assert.strictEqual(api.defaultOptions.listTitle, '');
+    assert.strictEqual(api.defaultOptions.maxItems, 100);
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests of the permissions: checking them, the role
+ * assignments and the role inheritance.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var LOGIN_NAME = 'i:0#.f|membership|john@example.com';
+
+/**
+ * Creates an SpRestApi instance whose site has the user 7 (John), the
+ * group 'Approvers' with the ID 3 and the permission level 'Contribute'
+ * with the ID 1073741827. The user may view and edit the items.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp() {
+    return createStubApi(function (request) {
+        var url = decodeURIComponent(request.url);
+        var entity = { __metadata: { type: 'SP.Object' } };
+
+        if (/\/ensureuser$/.test(url)) {
+            entity.Id = 7;
+            entity.LoginName = LOGIN_NAME;
+        } else if (/\/sitegroups\//.test(url)) {
+            entity.Id = 3;
+        } else if (/\/roledefinitions\//.test(url)) {
+            entity.Id = 1073741827;
+        } else if (/permissions/i.test(url)) {
+            entity.High = '0';
+            entity.Low = '5';
+        }
+
+        return { body: { d: entity } };
+    });
+}
+
+/**
+ * Returns the methods and the decoded URLs of the requests.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Array.<string>} The methods and the URLs, e.g.
+ *      'POST https://...'.
+ */
+function getRequests(transport) {
+    return transport.requests.map(function (request) {
+        return (request.headers['X-HTTP-METHOD'] || request.method) + ' ' +
+            decodeURIComponent(request.url);
+    });
+}
+
+test('decodes the permission masks', function () {
+    var permissions = SpRestApi.decodePermissions({
+        High: String(0x40000000),
+        Low: '5',
+    });
+
+    assert.strictEqual(permissions.viewListItems, true);
+    assert.strictEqual(permissions.addListItems, false);
+    assert.strictEqual(permissions.editListItems, true);
+    assert.strictEqual(permissions.enumeratePermissions, true);
+    assert.strictEqual(permissions.fullMask, false);
+    assert.strictEqual(SpRestApi.decodePermissions({
+        High: '2147483647',
+        Low: '4294967295',
+    }).fullMask, true);
+});
+
+test('reads the permissions of the current user or another user',
+    function () {
+        var stub = setUp();
+
+        return stub.api.getEffectivePermissions('web').then(function (own) {
+            assert.strictEqual(own.editListItems, true);
+            return stub.api.getEffectivePermissions(1, 'john@example.com');
+        }).then(function (johns) {
+            assert.strictEqual(johns.addListItems, false);
+            assert.deepStrictEqual(getRequests(stub.transport), [
+                'GET https://example.com/sites/test/_api/web/' +
+                    'EffectiveBasePermissions',
+                'POST https://example.com/sites/test/_api/web/ensureuser',
+                'GET https://example.com/sites/test/_api/web/lists/' +
+                    'getbytitle(\'Tasks\')/items(1)/' +
+                    'getusereffectivepermissions(@u)?@u=\'' + LOGIN_NAME +
+                    '\'',
+            ]);
+        });
+    });
+
+test('rejects adding a role assignment without the role', function () {
+    var stub = setUp();
+
+    return Promise.all([undefined, null, ''].map(function (role) {
+        return stub.api.addRoleAssignment(1, 7, role).then(function () {
+            assert.fail('The role assignment was added');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.Error);
+            assert.strictEqual(error.message, 'The role must not be empty.');
+        });
+    })).then(function () {
+        assert.strictEqual(stub.transport.requests.length, 0);
+    });
+});
+
+test('adds a role assignment by the user and the role names', function () {
+    var stub = setUp();
+
+    return stub.api.addRoleAssignment(1, 'john@example.com', 'Contribute')
+        .then(function () {
+            assert.deepStrictEqual(getRequests(stub.transport), [
+                'POST https://example.com/sites/test/_api/web/ensureuser',
+                'GET https://example.com/sites/test/_api/web/roledefinitions/' +
+                    'getbyname(\'Contribute\')?$select=Id',
+                'POST https://example.com/sites/test/_api/web/lists/' +
+                    'getbytitle(\'Tasks\')/items(1)/roleassignments/' +
+                    'addroleassignment(principalid=7,roledefid=1073741827)',
+            ]);
+        });
+});
+
+test('removes one or all role assignments of a group', function () {
+    var stub = setUp();
+
+    return stub.api.removeRoleAssignment('web', 3, 1073741826)
+        .then(function () {
+            return stub.api.removeRoleAssignment('list', 'Approvers');
+        }).then(function () {
+            assert.deepStrictEqual(getRequests(stub.transport), [
+                'POST https://example.com/sites/test/_api/web/' +
+                    'roleassignments/removeroleassignment(principalid=3,' +
+                    'roledefid=1073741826)',
+                'GET https://example.com/sites/test/_api/web/sitegroups/' +
+                    'getbyname(\'Approvers\')',
+                'DELETE https://example.com/sites/test/_api/web/lists/' +
+                    'getbytitle(\'Tasks\')/roleassignments/' +
+                    'getbyprincipalid(3)',
+            ]);
+        });
+});
+
+test('breaks and resets the role inheritance', function () {
+    var stub = setUp();
+
+    return stub.api.breakRoleInheritance(1, false).then(function () {
+        return stub.api.resetRoleInheritance();
+    }).then(function () {
+        assert.deepStrictEqual(getRequests(stub.transport), [
+            'POST https://example.com/sites/test/_api/web/lists/' +
+                'getbytitle(\'Tasks\')/items(1)/breakroleinheritance(' +
+                'copyRoleAssignments=false,clearSubscopes=true)',
+            'POST https://example.com/sites/test/_api/web/lists/' +
+                'getbytitle(\'Tasks\')/resetroleinheritance',
+        ]);
+    });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Tests of the OData query builder.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance which answers every request with an empty
+ * collection.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp() {
+    return createStubApi(function () {
+        return { body: { d: { results: [] } } };
+    });
+}
+
+test('formats the OData values', function () {
+    assert.strictEqual(SpRestApi.formatODataValue('O\'Brien & Co'),
+        '\'O\'\'Brien%20%26%20Co\'');
+    assert.strictEqual(SpRestApi.formatODataValue(5), '5');
+    assert.strictEqual(SpRestApi.formatODataValue(true), '1');
+    assert.strictEqual(SpRestApi.formatODataValue(null), 'null');
+    assert.strictEqual(SpRestApi.formatODataValue(
+        new Date(Date.UTC(2017, 7, 1))),
+        'datetime\'2017-08-01T00:00:00.000Z\'');
+});
+
+test('groups the conditions in the order written', function () {
+    var api = setUp().api;
+    var query = api.where('Status').eq('Open').and('Priority').lt(3)
+        .or('Title').startsWith('Urgent');
+
+    assert.strictEqual(query.toString(), '(Status eq \'Open\' and ' +
+        'Priority lt 3) or startswith(Title,\'Urgent\')');
+});
+
+test('adds negated conditions and groups', function () {
+    var api = setUp().api;
+    var group = api.where('Status').eq('Open').or('Status').eq('New');
+    var query = api.where('Title').not().substringOf('draft').and(group);
+
+    assert.strictEqual(query.toString(), 'not (substringof(\'draft\',Title))' +
+        ' and (Status eq \'Open\' or Status eq \'New\')');
+});
+
+test('sends $filter, $select, $expand, $orderby and $top', function () {
+    var stub = setUp();
+
+    return stub.api.where('Status').eq('Open')
+        .select('Id', 'Title').select(['Author/Title'])
+        .expand('Author')
+        .orderBy('Modified', 'desc').orderBy('Id')
+        .top(10)
+        .getAllItems()
+        .then(function () {
+            var url = stub.transport.requests[0].url;
+            assert.ok(url.indexOf('$top=10') !== -1);
+            assert.ok(url.indexOf('$select=Id,Title,Author/Title') !== -1);
+            assert.ok(url.indexOf('$filter=(Status eq \'Open\')') !== -1);
+            assert.ok(url.indexOf('$expand=Author') !== -1);
+            assert.ok(url.indexOf('$orderby=Modified desc,Id') !== -1);
+        });
+});
+
+test('leaves the options of the instance unchanged', function () {
+    var stub = setUp();
+    stub.api.config({ select: ['Id'], filters: ['Id gt 0'] });
+
+    return stub.api.where('Status').eq('Open').getAllItems()
+        .then(function () {
+            return stub.api.getAllItems();
+        }).then(function () {
+            var queryUrl = stub.transport.requests[0].url;
+            var url = stub.transport.requests[1].url;
+            assert.ok(queryUrl.indexOf('$select=Id') !== -1);
+            assert.ok(queryUrl.indexOf('Status eq') !== -1);
+            assert.ok(queryUrl.indexOf('Id gt 0') === -1);
+            assert.ok(url.indexOf('$filter=(Id gt 0)') !== -1);
+            assert.ok(url.indexOf('Status eq') === -1);
+        });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests of retrying the throttled requests and of limiting
+ * the concurrent requests.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance which throttles the first requests with
+ * the specified statuses, and answers the others with item 1.
+ * @param {Array.<number>} statuses - The statuses of the first responses,
+ *      e.g. [429, 503].
+ * @param {string} retryAfter - The Retry-After header of the throttled
+ *      responses.
+ * @param {SpRestApiOptions} [options] - Other options.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(statuses, retryAfter, options) {
+    return createStubApi(function () {
+        var status = statuses.shift();
+        if (status) {
+            return {
+                status: status,
+                headers: { 'Retry-After': retryAfter },
+                body: { error: { message: { value: 'Throttled.' } } },
+            };
+        }
+
+        return { body: { d: { Id: 1 } } };
+    }, options);
+}
+
+test('retries a throttled request after Retry-After', function () {
+    var stub = setUp([429, 503], '0');
+
+    return stub.api.getItem(1).then(function (data) {
+        assert.strictEqual(data.d.Id, 1);
+        assert.strictEqual(stub.transport.requests.length, 3);
+    });
+});
+
+test('rejects with ThrottledError after maxRetries', function () {
+    var stub = setUp([429, 429, 429], '0', { maxRetries: 2 });
+
+    return stub.api.getItem(1).then(function () {
+        assert.fail('The request was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.ThrottledError);
+        assert.strictEqual(stub.transport.requests.length, 3);
+    });
+});
+
+test('uses Retry-After or exponential backoff as the delay', function () {
+    var api = new SpRestApi({ retryDelay: 1000, maxRetryDelay: 5000 });
+    var response = function (retryAfter) {
+        return {
+            status: 429,
+            getResponseHeader: function () { return retryAfter; },
+        };
+    };
+
+    assert.strictEqual(api.getRetryDelay(response('7'), 0), 7000);
+    assert.strictEqual(api.getRetryDelay(response(
+        new Date(Date.now() - 1000).toUTCString()), 0), 0);
+
+    var delay = api.getRetryDelay(response(null), 2);
+    assert.ok(delay >= 2000 && delay <= 4000);
+
+    delay = api.getRetryDelay(response(null), 10);
+    assert.ok(delay >= 2500 && delay <= 5000);
+});
+
+test('stops waiting for Retry-After once aborted', function () {
+    var controller = new AbortController();
+    var stub = setUp([429], '60', { signal: controller.signal });
+    var started = Date.now();
+
+    var request = stub.api.getItem(1);
+    setTimeout(function () { controller.abort(); }, 10);
+
+    return request.then(function () {
+        assert.fail('The request was not aborted');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.AbortError);
+        assert.ok(Date.now() - started < 5000);
+        assert.strictEqual(stub.transport.requests.length, 1);
+    });
+});
+
+test('delay() rejects at once if the signal is already aborted',
+    function () {
+        var controller = new AbortController();
+        controller.abort();
+
+        return SpRestApi.delay(60000, controller.signal).then(function () {
+            assert.fail('The delay was not aborted');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.AbortError);
+        });
+    });
+
+test('sends at most maxConcurrentRequests requests at once', function () {
+    var active = 0;
+    var maxActive = 0;
+
+    var api = createStubApi(function () {
+        active++;
+        maxActive = Math.max(maxActive, active);
+
+        return SpRestApi.delay(5).then(function () {
+            active--;
+            return { body: { d: { Id: 1 } } };
+        });
+    }, { maxConcurrentRequests: 2 }).api;
+
+    return Promise.all([1, 2, 3, 4, 5].map(function (id) {
+        return api.getItem(id);
+    })).then(function (responses) {
+        assert.strictEqual(responses.length, 5);
+        assert.strictEqual(maxActive, 2);
+        assert.deepStrictEqual(api.requestLimiter,
+            { active: 0, queue: [] });
+    });
+});
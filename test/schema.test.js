@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Tests of the list and column management.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var FakeBackend = require('../sp-rest-api-fake.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var LIST_URL = 'https://example.com/sites/test/_api/web/lists/' +
+    'getbytitle(\'Tasks\')';
+
+/**
+ * Creates an SpRestApi instance whose Tasks list has the Title and Status
+ * columns, and whose Projects list has an ID. Column writes succeed unless
+ * `failWrites` of the result is set.
+ * @returns {{api: SpRestApi, transport: Transport, failWrites: boolean}}
+ *      The instance and its transport.
+ */
+function setUp() {
+    var stub = createStubApi(function (request) {
+        if (request.method === 'GET' && /\/fields/.test(request.url)) {
+            return { body: { d: { results: [
+                { InternalName: 'Title', TypeAsString: 'Text' },
+                { InternalName: 'Status', TypeAsString: 'Choice' },
+            ] } } };
+        }
+
+        if (/getbytitle\('Projects'\)\?\$select=Id$/.test(request.url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                Id: 'a1b2c3d4-0000-4000-8000-000000000001',
+            } } };
+        }
+
+        if (stub.failWrites) {
+            return { status: 500, body: { error: { message: {
+                value: 'Failed.',
+            } } } };
+        }
+
+        return { body: { d: { __metadata: { type: 'SP.Field' } } } };
+    });
+
+    stub.failWrites = false;
+    return stub;
+}
+
+/**
+ * Counts the requests for the columns of the Tasks list.
+ * @param {Transport} transport - The stub transport.
+ * @returns {number} The number of the requests.
+ */
+function countFieldReads(transport) {
+    return transport.requests.filter(function (request) {
+        return request.method === 'GET' && /\/fields/.test(request.url);
+    }).length;
+}
+
+test('generates the schema XML of a column', function () {
+    assert.strictEqual(SpRestApi.generateFieldSchemaXml({
+        internalName: 'Status',
+        title: 'Status & "Phase"',
+        type: 'Choice',
+        required: true,
+        choices: ['Open', '<Closed>'],
+    }), '<Field Type="Choice" Name="Status" StaticName="Status" ' +
+        'DisplayName="Status &amp; &quot;Phase&quot;" Required="TRUE">' +
+        '<CHOICES><CHOICE>Open</CHOICE><CHOICE>&lt;Closed&gt;</CHOICE>' +
+        '</CHOICES></Field>');
+});
+
+test('adds a lookup column to a list given by its title', function () {
+    var stub = setUp();
+
+    return stub.api.addField({
+        internalName: 'Project',
+        type: 'Lookup',
+        lookupList: 'Projects',
+    }, true).then(function () {
+        var request = stub.transport.requests[1];
+        var parameters = JSON.parse(request.body).parameters;
+
+        assert.strictEqual(request.url,
+            LIST_URL + '/fields/CreateFieldAsXml');
+        assert.strictEqual(parameters.Options, 24);
+        assert.ok(parameters.SchemaXml.indexOf(
+            'List="{a1b2c3d4-0000-4000-8000-000000000001}" ' +
+            'ShowField="Title"') !== -1);
+    });
+});
+
+test('sends only the changed properties of a column', function () {
+    var stub = setUp();
+
+    return stub.api.updateField('Status', {
+        type: 'Choice',
+        title: 'State',
+        choices: ['Open', 'Closed'],
+    }).then(function () {
+        var request = stub.transport.requests[0];
+        assert.strictEqual(request.url, LIST_URL +
+            '/fields/getbyinternalnameortitle(\'Status\')');
+        assert.strictEqual(request.headers['X-HTTP-METHOD'], 'MERGE');
+        assert.deepStrictEqual(JSON.parse(request.body), {
+            __metadata: { type: 'SP.FieldChoice' },
+            Title: 'State',
+            Choices: {
+                __metadata: { type: 'Collection(Edm.String)' },
+                results: ['Open', 'Closed'],
+            },
+        });
+    });
+});
+
+test('reads the columns again only after a successful write', function () {
+    var stub = setUp();
+    var api = stub.api;
+
+    return api.getFieldDefinitions().then(function () {
+        return api.getFieldDefinitions();
+    }).then(function () {
+        assert.strictEqual(countFieldReads(stub.transport), 1);
+        stub.failWrites = true;
+        return api.deleteField('Status').then(null, function () {});
+    }).then(function () {
+        return api.getFieldDefinitions();
+    }).then(function () {
+        assert.strictEqual(countFieldReads(stub.transport), 1);
+        stub.failWrites = false;
+        return api.deleteField('Status');
+    }).then(function () {
+        return api.getFieldDefinitions();
+    }).then(function () {
+        assert.strictEqual(countFieldReads(stub.transport), 2);
+    });
+});
+
+test('reports the differences from the schema in a dry run', function () {
+    var backend = new FakeBackend({
+        lists: { Tasks: [] },
+        fields: {
+            Tasks: [{
+                InternalName: 'Status',
+                TypeAsString: 'Choice',
+                Choices: { results: ['Open', 'Closed'] },
+            }],
+        },
+    });
+    var api = new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        transport: backend.transport,
+    });
+
+    return api.provisionList({
+        title: 'Tasks',
+        fields: [
+            { internalName: 'Title', type: 'Text' },
+            { internalName: 'Status', type: 'Choice',
+                choices: ['Open', 'Done'] },
+            { internalName: 'Due', type: 'DateTime' },
+        ],
+    }, true).then(function (report) {
+        assert.deepStrictEqual(report, {
+            listCreated: false,
+            added: ['Due'],
+            differences: [{
+                field: 'Status',
+                property: 'choices',
+                expected: ['Open', 'Done'],
+                actual: ['Open', 'Closed'],
+            }],
+            unchanged: ['Title'],
+        });
+        assert.ok(backend.requests.every(function (request) {
+            return request.method === 'GET';
+        }));
+    });
+});
+
+test('reports a missing list in a dry run', function () {
+    var api = new SpRestApi({
+        siteUrl: 'https://example.com/sites/test',
+        transport: new FakeBackend().transport,
+    });
+
+    return api.provisionList({
+        title: 'Projects',
+        fields: [{ internalName: 'Code', type: 'Text' }],
+    }, true).then(function (report) {
+        assert.strictEqual(report.listCreated, true);
+        assert.deepStrictEqual(report.added, ['Code']);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * @fileoverview Tests of the SharePoint search: the query string and
+ * flattening the results.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates the search response with two of the three results, starting at
+ * the first one, and the FileType refiner.
+ * @param {boolean} isVerbose - Wrap the collections in `results`, as in
+ *      the verbose responses.
+ * @returns {Object} The parsed JSON response.
+ */
+function createResponse(isVerbose) {
+    var collection = function (items) {
+        return isVerbose ? { results: items } : items;
+    };
+    var row = function (title, rank, modified) {
+        return { Cells: collection([
+            { Key: 'Title', Value: title, ValueType: 'Edm.String' },
+            { Key: 'Rank', Value: rank, ValueType: 'Edm.Double' },
+            { Key: 'LastModifiedTime', Value: modified,
+                ValueType: 'Edm.DateTime' },
+            { Key: 'IsDocument', Value: 'true', ValueType: 'Edm.Boolean' },
+        ]) };
+    };
+    var query = {
+        PrimaryQueryResult: {
+            RelevantResults: {
+                RowCount: 2,
+                TotalRows: 3,
+                Table: { Rows: collection([
+                    row('Budget', '12.5', '2017-01-02T03:04:05Z'),
+                    row('Plan', '7', null),
+                ]) },
+            },
+            RefinementResults: { Refiners: collection([{
+                Name: 'FileType',
+                Entries: collection([{
+                    RefinementName: 'docx',
+                    RefinementValue: 'docx',
+                    RefinementCount: '2',
+                    RefinementToken: '"ǂǂ646f6378"',
+                }]),
+            }]) },
+        },
+        Properties: collection([{ Key: 'StartRow', Value: 0 }]),
+    };
+
+    return isVerbose ? { d: { query: query } } : query;
+}
+
+test('builds the query string', function () {
+    assert.strictEqual(SpRestApi.buildSearchQueryString('O\'Brien & co', {
+        selectProperties: ['Title', 'Path'],
+        refiners: ['FileType'],
+        refinementFilters: ['FileType:equals("docx")'],
+        sortList: { LastModifiedTime: 'descending', Rank: 'descending' },
+        rowLimit: 10,
+        startRow: 20,
+        sourceId: '8413cd39-2156-4e00-b54d-11efd9abdb89',
+        trimDuplicates: false,
+    }), '?querytext=\'O\'\'Brien%20%26%20co\'' +
+        '&selectproperties=\'Title%2CPath\'' +
+        '&refiners=\'FileType\'' +
+        '&refinementfilters=\'FileType%3Aequals(%22docx%22)\'' +
+        '&sortlist=\'LastModifiedTime%3Adescending%2CRank%3Adescending\'' +
+        '&rowlimit=10&startrow=20' +
+        '&sourceid=\'8413cd39-2156-4e00-b54d-11efd9abdb89\'' +
+        '&trimduplicates=false');
+    assert.strictEqual(SpRestApi.buildSearchQueryString('*', {
+        sortList: 'Rank:descending',
+    }), '?querytext=\'*\'&sortlist=\'Rank%3Adescending\'');
+});
+
+test('flattens the results in every verbosity', function () {
+    [true, false].forEach(function (isVerbose) {
+        var result = SpRestApi.flattenSearchResults(
+            createResponse(isVerbose));
+
+        assert.deepStrictEqual(result, {
+            items: [{
+                Title: 'Budget',
+                Rank: 12.5,
+                LastModifiedTime: new Date('2017-01-02T03:04:05Z'),
+                IsDocument: true,
+            }, {
+                Title: 'Plan',
+                Rank: 7,
+                LastModifiedTime: null,
+                IsDocument: true,
+            }],
+            totalRows: 3,
+            rowCount: 2,
+            nextStartRow: 2,
+            refiners: { FileType: [{
+                name: 'docx',
+                value: 'docx',
+                count: 2,
+                token: '"ǂǂ646f6378"',
+            }] },
+        });
+    });
+});
+
+test('returns no next page after the last result', function () {
+    var response = createResponse(false);
+    response.Properties[0].Value = 1;
+
+    assert.strictEqual(
+        SpRestApi.flattenSearchResults(response).nextStartRow, null);
+    assert.deepStrictEqual(SpRestApi.flattenSearchResults({ d: { query: {
+        PrimaryQueryResult: null,
+    } } }), {
+        items: [],
+        totalRows: 0,
+        rowCount: 0,
+        nextStartRow: null,
+        refiners: {},
+    });
+});
+
+test('search() queries the search API of the site', function () {
+    var stub = createStubApi(function () {
+        return { body: createResponse(true) };
+    });
+
+    return stub.api.web('/sites/other').search('budget', { rowLimit: 2 })
+        .then(function (result) {
+            assert.strictEqual(result.items.length, 2);
+            assert.strictEqual(stub.transport.requests[0].url,
+                'https://example.com/sites/other/_api/search/query' +
+                '?querytext=\'budget\'&rowlimit=2');
+        });
+});
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Tests of working with other sites (webs) and of the site
+ * properties: the subsites, the lists and the property bag.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance whose site has the subsites 'a' and 'b',
+ * and 'a' has the subsite 'a/c'. The context info of each site returns the
+ * digest 'digest-' with the site URL. The property bag has two encoded
+ * keys.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp() {
+    var subwebs = {
+        '/sites/test': ['/sites/test/a', '/sites/test/b'],
+        '/sites/test/a': ['/sites/test/a/c'],
+    };
+
+    return createStubApi(function (request) {
+        var url = decodeURIComponent(request.url);
+        var site = url.replace(/^https:\/\/example\.com/, '')
+            .replace(/\/_(api|vti_bin)\/.*$/, '');
+
+        if (/\/_api\/contextinfo$/.test(url)) {
+            return { body: { d: { GetContextWebInformation: {
+                FormDigestValue: 'digest-' + site,
+                FormDigestTimeoutSeconds: 1800,
+            } } } };
+        }
+
+        if (/\/webs$/.test(url)) {
+            return { body: { d: { results: (subwebs[site] || []).map(
+                function (path) {
+                    return { __metadata: { type: 'SP.Web' },
+                        ServerRelativeUrl: path };
+                }) } } };
+        }
+
+        if (/\/AllProperties$/.test(url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.PropertyValues' },
+                app_x005f_settings: '{"theme":"dark"}',
+                vti_x005f_defaultlanguage: 'en-us',
+            } } };
+        }
+
+        return { status: 204 };
+    });
+}
+
+test('resolves the URL of another site', function () {
+    var site = 'https://example.com/sites/test';
+
+    assert.strictEqual(SpRestApi.resolveWebUrl(site, 'a/c/'),
+        'https://example.com/sites/test/a/c');
+    assert.strictEqual(SpRestApi.resolveWebUrl(site, '/sites/other'),
+        'https://example.com/sites/other');
+    assert.strictEqual(SpRestApi.resolveWebUrl(site,
+        'https://contoso.sharepoint.com/sites/hr/'),
+        'https://contoso.sharepoint.com/sites/hr');
+    assert.strictEqual(SpRestApi.resolveWebUrl('', '/sites/other'),
+        '/sites/other');
+});
+
+test('obtains the digest of another site for its writes', function () {
+    var stub = setUp();
+    var other = stub.api.web('a');
+
+    return other.deleteItem(1).then(function () {
+        return stub.api.deleteItem(1);
+    }).then(function () {
+        var requests = stub.transport.requests;
+
+        assert.deepStrictEqual(requests.map(function (request) {
+            return request.url;
+        }), [
+            'https://example.com/sites/test/a/_api/contextinfo',
+            'https://example.com/sites/test/a/_api/web/lists/' +
+                'getbytitle(\'Tasks\')/items(1)',
+            'https://example.com/sites/test/_api/web/lists/' +
+                'getbytitle(\'Tasks\')/items(1)',
+        ]);
+        assert.strictEqual(requests[1].headers['X-RequestDigest'],
+            'digest-/sites/test/a');
+        assert.strictEqual(requests[2].headers['X-RequestDigest'], 'digest');
+        assert.strictEqual(other.options.listTitle, 'Tasks');
+    });
+});
+
+test('lists the subsites recursively', function () {
+    var stub = setUp();
+
+    return stub.api.getSubwebs(true).then(function (webs) {
+        assert.deepStrictEqual(webs.map(function (web) {
+            return web.ServerRelativeUrl;
+        }), ['/sites/test/a', '/sites/test/a/c', '/sites/test/b']);
+        assert.strictEqual(webs[0].__metadata, undefined);
+        assert.strictEqual(stub.transport.requests.length, 4);
+    });
+});
+
+test('lists the visible or all lists', function () {
+    var stub = setUp();
+
+    return stub.api.getLists().then(function () {
+        return stub.api.getLists(true);
+    }).then(function () {
+        var urls = stub.transport.requests.map(function (request) {
+            return decodeURIComponent(request.url);
+        });
+
+        assert.ok(/&\$filter=Hidden eq false$/.test(urls[0]));
+        assert.ok(/&\$expand=RootFolder$/.test(urls[1]));
+    });
+});
+
+test('reads the property bag with the decoded keys', function () {
+    var stub = setUp();
+
+    return stub.api.getPropertyBag().then(function (properties) {
+        assert.deepStrictEqual(properties, {
+            app_settings: '{"theme":"dark"}',
+            vti_defaultlanguage: 'en-us',
+        });
+    });
+});
+
+test('writes the property bag via ProcessQuery', function () {
+    var stub = createStubApi(function () {
+        return { body: [{ ErrorInfo: null }] };
+    });
+
+    return stub.api.setPropertyBagValue('a<b', 'x&y').then(function () {
+        var request = stub.transport.requests[0];
+
+        assert.strictEqual(request.url, 'https://example.com/sites/test/' +
+            '_vti_bin/client.svc/ProcessQuery');
+        assert.strictEqual(request.headers['Content-Type'], 'text/xml');
+        assert.ok(request.body.indexOf('<Parameter Type="String">a&lt;b' +
+            '</Parameter><Parameter Type="String">x&amp;y</Parameter>') !==
+            -1);
+        return stub.api.setPropertyBagValue('a', null);
+    }).then(function () {
+        assert.ok(stub.transport.requests[1].body.indexOf(
+            '<Parameter Type="Null" />') !== -1);
+    });
+});
+
+test('rejects the errors of ProcessQuery', function () {
+    var stub = createStubApi(function () {
+        return { body: [{ ErrorInfo: {
+            ErrorMessage: 'Access denied.',
+            ErrorTypeName: 'System.UnauthorizedAccessException',
+        } }] };
+    });
+
+    return stub.api.setPropertyBagValue('a', 'b').then(function () {
+        assert.fail('The value was stored');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.Error);
+        assert.strictEqual(error.message, 'Access denied.');
+        assert.strictEqual(error.code, 'System.UnauthorizedAccessException');
+    });
+});
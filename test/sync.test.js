@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Tests of syncing the list items via their changes:
+ * syncItems(), getChanges() and groupChanges().
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var types = SpRestApi.ChangeTypes;
+
+/**
+ * Creates a change of a list item.
+ * @param {number} id - The item ID.
+ * @param {number} type - The SpRestApi.ChangeTypes value.
+ * @param {string} token - The change token.
+ * @returns {Object} The SP.ChangeItem object.
+ */
+function change(id, type, token) {
+    return {
+        ItemId: id,
+        ChangeType: type,
+        ChangeToken: { StringValue: token },
+    };
+}
+
+/**
+ * Creates an SpRestApi instance whose list has the items with the IDs from
+ * 1 to 3, the current change token 't0', and the specified changes since
+ * that token.
+ * @param {Array.<Object>} changes - The changes, oldest first.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(changes) {
+    return createStubApi(function (request) {
+        var url = decodeURIComponent(request.url);
+
+        if (/CurrentChangeToken/.test(url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                CurrentChangeToken: { StringValue: 't0' },
+            } } };
+        }
+
+        if (/\/GetChanges$/.test(url)) {
+            var query = JSON.parse(request.body).query;
+            var start = query.ChangeTokenStart.StringValue;
+            var index = changes.map(function (c) {
+                return c.ChangeToken.StringValue;
+            }).indexOf(start) + 1;
+
+            return { body: { d: { results:
+                changes.slice(index, index + query.FetchLimit) } } };
+        }
+
+        var ids = (url.match(/Id eq \d+/g) || ['Id eq 1', 'Id eq 2',
+            'Id eq 3']).map(function (condition) {
+            return Number(condition.slice(6));
+        });
+        return { body: { d: { results: ids.filter(function (id) {
+            return id <= 3;
+        }).map(function (id) {
+            return { __metadata: { type: 'SP.Data.TasksListItem' }, Id: id };
+        }) } } };
+    });
+}
+
+test('sorts the changes by the last change of each item', function () {
+    assert.strictEqual(types.SYSTEM_UPDATE, 15);
+    assert.deepStrictEqual(SpRestApi.groupChanges([
+        change(1, types.ADD, 't1'),
+        change(2, types.UPDATE, 't2'),
+        change(1, types.UPDATE, 't3'),
+        change(3, types.SYSTEM_UPDATE, 't4'),
+        change(2, types.DELETE_OBJECT, 't5'),
+        change(4, types.MOVE_AWAY, 't6'),
+        change(4, types.RESTORE, 't7'),
+        change(5, types.MOVE_INTO, 't8'),
+        change(6, types.RENAME, 't9'),
+    ]), { added: [1, 4, 5], updated: [3, 6], deleted: [2] });
+});
+
+test('returns all items as added without a token', function () {
+    var stub = setUp([]);
+
+    return stub.api.syncItems().then(function (result) {
+        assert.deepStrictEqual(result.added, [1, 2, 3]);
+        assert.deepStrictEqual(result.updated, []);
+        assert.deepStrictEqual(result.deleted, []);
+        assert.strictEqual(result.items.length, 3);
+        assert.strictEqual(result.token, 't0');
+        // The token is read before the items
+        assert.ok(/CurrentChangeToken/.test(stub.transport.requests[0].url));
+    });
+});
+
+test('loads only the added and the updated items', function () {
+    var stub = setUp([
+        change(2, types.UPDATE, 't1'),
+        change(3, types.DELETE_OBJECT, 't2'),
+        change(4, types.ADD, 't3'),
+        change(4, types.DELETE_OBJECT, 't4'),
+        change(1, types.SYSTEM_UPDATE, 't5'),
+    ]);
+
+    return stub.api.syncItems('t0').then(function (result) {
+        var itemsUrl = decodeURIComponent(stub.transport.requests[1].url);
+
+        assert.deepStrictEqual(result.added, []);
+        assert.deepStrictEqual(result.updated, [2, 1]);
+        assert.deepStrictEqual(result.deleted, [3, 4]);
+        assert.deepStrictEqual(result.items.map(function (item) {
+            return item.Id;
+        }), [2, 1]);
+        assert.strictEqual(result.token, 't5');
+        assert.ok(/\$filter=\(?Id eq 2 or Id eq 1\)?/.test(itemsUrl));
+    });
+});
+
+test('keeps the token if nothing has changed', function () {
+    var stub = setUp([]);
+
+    return stub.api.syncItems('t0').then(function (result) {
+        assert.deepStrictEqual(result, {
+            added: [],
+            updated: [],
+            deleted: [],
+            items: [],
+            token: 't0',
+        });
+        assert.strictEqual(stub.transport.requests.length, 1);
+    });
+});
+
+test('getChanges() loads the changes in pages of 1000', function () {
+    var changes = [];
+    for (var i = 1; i <= 1001; i++) {
+        changes.push(change(i, types.ADD, 't' + i));
+    }
+    var stub = setUp(changes);
+
+    return stub.api.getChanges('t0').then(function (result) {
+        var queries = stub.transport.requests.map(function (request) {
+            return JSON.parse(request.body).query;
+        });
+
+        assert.strictEqual(result.length, 1001);
+        assert.strictEqual(queries.length, 2);
+        assert.strictEqual(queries[0].FetchLimit, 1000);
+        assert.strictEqual(queries[1].ChangeTokenStart.StringValue, 't1000');
+        assert.strictEqual(queries[0].Item, true);
+        assert.strictEqual(queries[0].DeleteObject, true);
+    });
+});
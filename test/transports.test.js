@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Tests of the built-in transports and of the requests which
+ * SpRestApi passes to a transport.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates a signal which records its listeners, to check that the
+ * transports remove them.
+ * @returns {Object} The AbortSignal-like object, with the current
+ *      listeners in `listeners`.
+ */
+function createSignal() {
+    var signal = {
+        aborted: false,
+        listeners: [],
+        addEventListener: function (type, listener) {
+            signal.listeners.push(listener);
+        },
+        removeEventListener: function (type, listener) {
+            signal.listeners = signal.listeners.filter(function (other) {
+                return other !== listener;
+            });
+        },
+    };
+
+    return signal;
+}
+
+test('sends MERGE and DELETE as POST with X-HTTP-METHOD', function () {
+    var stub = createStubApi(function () { return { status: 204 }; });
+
+    return stub.api.deleteItem(1).then(function () {
+        var request = stub.transport.requests[0];
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.headers['X-HTTP-METHOD'], 'DELETE');
+        assert.strictEqual(request.headers['IF-MATCH'], '*');
+        assert.strictEqual(request.headers['X-RequestDigest'], 'digest');
+        assert.strictEqual(request.headers.Accept,
+            SpRestApi.Verbosity.VERBOSE);
+    });
+});
+
+test('adds the headers from the options', function () {
+    var stub = createStubApi(function () {
+        return { body: { d: { Id: 1 } } };
+    }, { headers: { Authorization: 'Bearer token' } });
+
+    return stub.api.getItem(1).then(function () {
+        assert.strictEqual(stub.transport.requests[0].headers.Authorization,
+            'Bearer token');
+    });
+});
+
+test('rejects with SpRestApi.Error if the transport fails', function () {
+    var api = createStubApi(function () {
+        throw new TypeError('Failed to fetch');
+    }).api;
+
+    return api.getItem(1).then(function () {
+        assert.fail('The request was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.Error);
+        assert.strictEqual(error.message, 'The server could not be reached.');
+        assert.ok(error.cause instanceof TypeError);
+    });
+});
+
+test('the fetch transport converts the response', function () {
+    var originalFetch = global.fetch;
+    var options;
+
+    global.fetch = function (url, init) {
+        options = init;
+        return Promise.resolve(new Response('{"d":{"Id":1}}', {
+            status: 200,
+            statusText: 'OK',
+            headers: { 'Content-Type': 'application/json' },
+        }));
+    };
+
+    return SpRestApi.Transports.fetch({
+        url: 'https://example.com/_api/web',
+        method: 'GET',
+        headers: { Accept: SpRestApi.Verbosity.VERBOSE },
+        responseType: 'json',
+    }).then(function (response) {
+        assert.strictEqual(options.method, 'GET');
+        assert.strictEqual(options.credentials, 'same-origin');
+        assert.strictEqual(response.status, 200);
+        assert.strictEqual(response.responseText, '{"d":{"Id":1}}');
+        assert.strictEqual(response.getResponseHeader('content-type'),
+            'application/json');
+    }).then(function () {
+        global.fetch = originalFetch;
+    }, function (error) {
+        global.fetch = originalFetch;
+        throw error;
+    });
+});
+
+test('the jQuery transport is the default when jQuery is loaded',
+    function () {
+        global.$ = { ajax: function () {} };
+
+        try {
+            assert.strictEqual(SpRestApi.getDefaultTransport(),
+                SpRestApi.Transports.jquery);
+        } finally {
+            delete global.$;
+        }
+
+        assert.strictEqual(SpRestApi.getDefaultTransport(),
+            SpRestApi.Transports.fetch);
+    });
+
+test('the jQuery transport removes its abort listener', function () {
+    var signal = createSignal();
+    var settings;
+
+    global.$ = {
+        ajax: function (options) {
+            settings = options;
+            return { abort: function () {} };
+        },
+    };
+
+    var response = SpRestApi.Transports.jquery({
+        url: 'https://example.com/_api/web',
+        method: 'GET',
+        headers: {},
+        responseType: 'json',
+        signal: signal,
+    });
+
+    assert.strictEqual(signal.listeners.length, 1);
+    settings.error({
+        status: 404,
+        statusText: 'Not Found',
+        responseText: '{}',
+        getResponseHeader: function () { return null; },
+    });
+
+    return response.then(function (response) {
+        assert.strictEqual(response.status, 404);
+        assert.strictEqual(signal.listeners.length, 0);
+    }).then(function () {
+        delete global.$;
+    }, function (error) {
+        delete global.$;
+        throw error;
+    });
+});
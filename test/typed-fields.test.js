@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Tests of converting the item values according to the
+ * column types (`typedFields`).
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+var PROJECTS_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+/**
+ * Creates an SpRestApi instance with `typedFields` on, whose Tasks list has
+ * a date, a multiple choice, a person and a lookup column. The Projects
+ * lookup list has one item titled 'Website' and two titled 'Shop'.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp() {
+    return createStubApi(function (request) {
+        var url = decodeURIComponent(request.url);
+
+        if (/\/fields$/.test(url)) {
+            return { body: { d: { results: [
+                { InternalName: 'Due', TypeAsString: 'DateTime' },
+                { InternalName: 'Tags', TypeAsString: 'MultiChoice' },
+                { InternalName: 'Owner', TypeAsString: 'User' },
+                { InternalName: 'Project', TypeAsString: 'Lookup',
+                    LookupList: '{' + PROJECTS_ID + '}',
+                    LookupField: 'Title' },
+            ] } } };
+        }
+
+        if (/ListItemEntityTypeFullName/.test(url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                ListItemEntityTypeFullName: 'SP.Data.TasksListItem',
+            } } };
+        }
+
+        if (/\/ensureuser$/.test(url)) {
+            return { body: { d: { __metadata: { type: 'SP.User' }, Id: 7 } } };
+        }
+
+        if (url.indexOf('lists(guid\'' + PROJECTS_ID + '\')/items') !== -1) {
+            var title = /Title eq '([^']*)'/.exec(url)[1];
+            var ids = title === 'Website' ? [3] : title === 'Shop' ? [4, 5] :
+                [];
+            return { body: { d: { results: ids.map(function (id) {
+                return { __metadata: { type: 'SP.Data.ProjectsListItem' },
+                    Id: id };
+            }) } } };
+        }
+
+        if (request.method === 'POST') {
+            return { body: { d: SpRestApi.extend(JSON.parse(request.body),
+                { Id: 1 }) } };
+        }
+
+        return { body: { d: {
+            __metadata: { type: 'SP.Data.TasksListItem' },
+            Id: 1,
+            Due: '2017-12-31T14:00:00Z',
+            Tags: { __metadata: { type: 'Collection(Edm.String)' },
+                results: ['a', 'b'] },
+            OwnerId: 7,
+        } } };
+    }, { typedFields: true });
+}
+
+/**
+ * Returns the body of the request which created the item.
+ * @param {Transport} transport - The stub transport.
+ * @returns {Object} The parsed body.
+ */
+function getCreatedItem(transport) {
+    return JSON.parse(transport.requests.filter(function (request) {
+        return request.method === 'POST' && /\/items(\?|$)/.test(request.url);
+    })[0].body);
+}
+
+test('converts the values of a new item', function () {
+    var stub = setUp();
+
+    return stub.api.createItem({
+        Title: 'Launch',
+        Due: new Date(Date.UTC(2017, 11, 31, 14)),
+        Tags: 'a',
+        Owner: 'john@example.com',
+        Project: 'Website',
+    }).then(function () {
+        assert.deepStrictEqual(getCreatedItem(stub.transport), {
+            __metadata: { type: 'SP.Data.TasksListItem' },
+            Title: 'Launch',
+            Due: '2017-12-31T14:00:00.000Z',
+            Tags: {
+                __metadata: { type: 'Collection(Edm.String)' },
+                results: ['a'],
+            },
+            OwnerId: 7,
+            ProjectId: 3,
+        });
+    });
+});
+
+test('clears the person and lookup columns with null', function () {
+    var stub = setUp();
+
+    return stub.api.createItem({ Owner: null, Project: { Id: 3 } })
+        .then(function () {
+            var item = getCreatedItem(stub.transport);
+            assert.strictEqual(item.OwnerId, null);
+            assert.strictEqual(item.ProjectId, 3);
+        });
+});
+
+test('rejects a lookup value which matches more than one item',
+    function () {
+        var stub = setUp();
+
+        return stub.api.createItem({ Project: 'Shop' }).then(function () {
+            assert.fail('The item was created');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.Error);
+            assert.strictEqual(error.message, 'More than one item of the ' +
+                'lookup list matches the value \'Shop\' of the column ' +
+                '\'Project\'.');
+        });
+    });
+
+test('rejects a lookup value which matches no item', function () {
+    var stub = setUp();
+
+    return stub.api.createItem({ Project: 'Blog' }).then(function () {
+        assert.fail('The item was created');
+    }, function (error) {
+        assert.ok(/^No item of the lookup list/.test(error.message));
+    });
+});
+
+test('converts the values of the items read', function () {
+    var api = setUp().api;
+
+    return api.getItem(1).then(function (data) {
+        var item = SpRestApi.unwrapResponse(data);
+        assert.ok(item.Due instanceof Date);
+        assert.strictEqual(item.Due.toISOString(), '2017-12-31T14:00:00.000Z');
+        assert.deepStrictEqual(item.Tags, ['a', 'b']);
+        assert.strictEqual(item.OwnerId, 7);
+    });
+});
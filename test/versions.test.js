@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Tests of the item version history and the recycle bin.
+ */
+
+var test = require('node:test');
+var assert = require('node:assert');
+var SpRestApi = require('../sp-rest-api.js');
+var createStubApi = require('./helpers.js').createStubApi;
+
+/**
+ * Creates an SpRestApi instance whose item 1 has the specified versions.
+ * The Tasks list has the columns Title, Owner, _Comments, the read-only
+ * Author and the hidden Secret, and is in the folder
+ * /sites/test/Lists/Tasks. The recycle bin of the site has the entries
+ * 'a' and 'b' from Tasks, and 'c' and 'd' from other lists.
+ * @param {Array.<Object>} versions - The SP.ListItemVersion objects.
+ * @returns {{api: SpRestApi, transport: Transport}} The instance and its
+ *      transport.
+ */
+function setUp(versions) {
+    return createStubApi(function (request) {
+        var url = request.url;
+        var version = /\/items\(1\)\/versions\((\d+)\)$/.exec(url);
+        var found = version && versions.filter(function (v) {
+            return v.VersionId === Number(version[1]);
+        })[0];
+
+        if (/\/items\(1\)\/versions$/.test(url)) {
+            return { body: { d: { results: versions } } };
+        } else if (found) {
+            return { body: { d: SpRestApi.extend({
+                __metadata: { type: 'SP.ListItemVersion' },
+            }, found) } };
+        } else if (/\/fields$/.test(url)) {
+            return { body: { d: { results: [
+                { InternalName: 'Title', TypeAsString: 'Text' },
+                { InternalName: 'Owner', TypeAsString: 'User' },
+                { InternalName: '_Comments', TypeAsString: 'Note' },
+                { InternalName: 'Author', TypeAsString: 'User',
+                    ReadOnlyField: true },
+                { InternalName: 'Secret', TypeAsString: 'Text',
+                    Hidden: true },
+            ] } } };
+        } else if (/ListItemEntityTypeFullName/.test(url)) {
+            return { body: { d: {
+                __metadata: { type: 'SP.List' },
+                ListItemEntityTypeFullName: 'SP.Data.TasksListItem',
+            } } };
+        } else if (/\/items\(1\)$/.test(url)) {
+            return { status: 204 };
+        } else if (/\/recycle\(\)$/.test(url)) {
+            return { body: { d: { Recycle: 'a' } } };
+        } else if (/\/RootFolder\?/.test(url)) {
+            return { body: { d: { __metadata: { type: 'SP.Folder' },
+                ServerRelativeUrl: '/sites/test/Lists/Tasks' } } };
+        } else if (/\/RecycleBin\?/.test(url)) {
+            return { body: { d: { results: [
+                { Id: 'a', DirName: 'sites/test/Lists/Tasks' },
+                { Id: 'b', DirName: 'sites/test/Lists/Tasks/2017' },
+                { Id: 'c', DirName: 'sites/test/Lists/TasksArchive' },
+                { Id: 'd', DirName: 'sites/test/Shared Documents' },
+            ].map(function (entry) {
+                entry.__metadata = { type: 'SP.RecycleBinItem' };
+                return entry;
+            }) } } };
+        } else if (/\/RecycleBin\('a'\)\/restore\(\)$/.test(url)) {
+            return { status: 204 };
+        }
+
+        return { status: 404, body: { error: { message: {
+            value: 'Not found.',
+        } } } };
+    });
+}
+
+test('diffItemVersions() compares the last two versions', function () {
+    var api = setUp([
+        { VersionId: 512, VersionLabel: '1.0', Title: 'A', Status: 'Open' },
+        { VersionId: 1024, VersionLabel: '2.0', Title: 'A', Status: 'Done' },
+    ]).api;
+
+    return api.diffItemVersions(1).then(function (diff) {
+        assert.deepStrictEqual(diff, {
+            from: '1.0',
+            to: '2.0',
+            changes: [{ field: 'Status', from: 'Open', to: 'Done' }],
+        });
+    });
+});
+
+test('diffItemVersions() compares the first version with an empty item',
+    function () {
+        var api = setUp([
+            { VersionId: 512, VersionLabel: '1.0', Title: 'A' },
+        ]).api;
+
+        return api.diffItemVersions(1).then(function (diff) {
+            assert.deepStrictEqual(diff, {
+                from: null,
+                to: '1.0',
+                changes: [{ field: 'Title', from: undefined, to: 'A' }],
+            });
+        });
+    });
+
+test('diffItemVersions() rejects an item without versions', function () {
+    var api = setUp([]).api;
+
+    return api.diffItemVersions(1).then(function () {
+        assert.fail('The diff was not rejected');
+    }, function (error) {
+        assert.ok(error instanceof SpRestApi.NotFoundError);
+    });
+});
+
+test('diffItemVersions() rejects a version which does not exist',
+    function () {
+        var api = setUp([
+            { VersionId: 512, VersionLabel: '1.0', Title: 'A' },
+        ]).api;
+
+        return api.diffItemVersions(1, '0.5').then(function () {
+            assert.fail('The diff was not rejected');
+        }, function (error) {
+            assert.ok(error instanceof SpRestApi.NotFoundError);
+        });
+    });
+
+test('the version and recycle URLs have no query string', function () {
+    var stub = setUp([]);
+    var api = stub.api.withOptions({ select: ['Title'], expand: ['Owner'] });
+
+    return Promise.all([
+        api.getItemVersions(1),
+        api.getItemVersion(1, '2.0').then(null, function () {}),
+        api.recycleItem(1).then(null, function () {}),
+    ]).then(function () {
+        var base = 'https://example.com/sites/test/_api/web/lists/' +
+            'getbytitle(\'Tasks\')/items(1)';
+        assert.deepStrictEqual(stub.transport.requests.map(function (r) {
+            return r.url;
+        }), [
+            base + '/versions',
+            base + '/versions(1024)',
+            base + '/recycle()',
+        ]);
+    });
+});
+
+test('restores the editable columns of a version', function () {
+    var stub = setUp([{
+        VersionId: 512,
+        VersionLabel: '1.0',
+        Title: 'A',
+        Owner: { LookupId: 7, LookupValue: 'John' },
+        OData__Comments: 'First',
+        Author: { LookupId: 8, LookupValue: 'Jane' },
+        Secret: 'x',
+    }]);
+
+    return stub.api.restoreItemVersion(1, '1.0', '"3"').then(function () {
+        var update = stub.transport.requests.filter(function (request) {
+            return request.headers['X-HTTP-METHOD'] === 'MERGE';
+        })[0];
+
+        assert.strictEqual(update.headers['IF-MATCH'], '"3"');
+        assert.deepStrictEqual(JSON.parse(update.body), {
+            __metadata: { type: 'SP.Data.TasksListItem' },
+            Title: 'A',
+            OwnerId: 7,
+            OData__Comments: 'First',
+        });
+    });
+});
+
+test('recycles an item, lists the entries of the list and restores one',
+    function () {
+        var stub = setUp([]);
+
+        return stub.api.recycleItem(1).then(function (id) {
+            assert.strictEqual(id, 'a');
+            return stub.api.getRecycleBinItems();
+        }).then(function (entries) {
+            assert.deepStrictEqual(entries.map(function (entry) {
+                return entry.Id;
+            }), ['a', 'b']);
+            return stub.api.restoreRecycleBinItem('a');
+        }).then(function () {
+            var urls = stub.transport.requests.map(function (request) {
+                return decodeURIComponent(request.url);
+            });
+
+            assert.strictEqual(urls[2], 'https://example.com/sites/test/' +
+                '_api/web/RecycleBin?$orderby=DeletedDate desc');
+            assert.strictEqual(urls[3], 'https://example.com/sites/test/' +
+                '_api/web/RecycleBin(\'a\')/restore()');
+        });
+    });